@@ -0,0 +1,39 @@
+const { pool } = require('../config/database');
+
+async function makeAdmin(email) {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      "UPDATE users SET role = 'admin' WHERE email = $1 RETURNING id, email",
+      [email]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`No user found with email ${email}`);
+    }
+
+    console.log(`User ${result.rows[0].email} (id ${result.rows[0].id}) is now an admin`);
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  const email = process.argv[2];
+
+  if (!email) {
+    console.error('Usage: npm run make-admin -- <email>');
+    process.exit(1);
+  }
+
+  makeAdmin(email)
+    .then(() => process.exit(0))
+    .catch((err) => {
+      console.error(err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { makeAdmin };
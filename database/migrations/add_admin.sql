@@ -0,0 +1,31 @@
+-- Migration: Add admin role, driver license review and admin audit log
+-- Date: 2026-10-18
+
+ALTER TYPE user_role ADD VALUE IF NOT EXISTS 'admin';
+
+-- License review outcome for driver profiles
+ALTER TABLE driver_profiles
+ADD COLUMN IF NOT EXISTS license_status VARCHAR(20) DEFAULT 'pending'
+    CHECK (license_status IN ('pending', 'approved', 'rejected')),
+ADD COLUMN IF NOT EXISTS license_rejection_reason TEXT,
+ADD COLUMN IF NOT EXISTS license_reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS license_reviewed_at TIMESTAMP;
+
+UPDATE driver_profiles SET license_status = 'approved' WHERE license_verified = TRUE;
+
+CREATE INDEX IF NOT EXISTS idx_driver_profiles_license_status ON driver_profiles(license_status);
+
+-- Every admin action with its actor and timestamp
+CREATE TABLE IF NOT EXISTS admin_actions (
+    id SERIAL PRIMARY KEY,
+    admin_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    action VARCHAR(50) NOT NULL,
+    target_type VARCHAR(30) NOT NULL,
+    target_id INTEGER NOT NULL,
+    reason TEXT,
+    details JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_actions_admin_id ON admin_actions(admin_id);
+CREATE INDEX IF NOT EXISTS idx_admin_actions_target ON admin_actions(target_type, target_id);
@@ -0,0 +1,41 @@
+-- Migration: Add background job locking, run log and booking expiry
+-- Date: 2026-10-18
+
+-- Pending bookings that were not answered in time
+ALTER TYPE booking_status ADD VALUE IF NOT EXISTS 'expired';
+
+-- One row per job. An instance may run a job once it is due and no other
+-- instance holds an unexpired lock on it.
+CREATE TABLE IF NOT EXISTS job_locks (
+    name VARCHAR(100) PRIMARY KEY,
+    locked_by VARCHAR(255),
+    locked_until TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    next_run_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS job_runs (
+    id SERIAL PRIMARY KEY,
+    job_name VARCHAR(100) NOT NULL,
+    instance_id VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'running'
+        CHECK (status IN ('running', 'succeeded', 'failed')),
+    result JSONB,
+    error TEXT,
+    started_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_job_name ON job_runs(job_name, started_at DESC);
+
+-- When the current request was made; rebooking after a cancellation reuses the row
+DO $$ BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'bookings' AND column_name = 'requested_at'
+    ) THEN
+        ALTER TABLE bookings ADD COLUMN requested_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP;
+        UPDATE bookings SET requested_at = created_at;
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_pending ON bookings(requested_at) WHERE status = 'pending';
@@ -0,0 +1,30 @@
+-- Migration: Add booking modification history
+-- Date: 2026-10-18
+
+-- Every change of a booking's seats or pickup/dropoff locations. More seats on
+-- a confirmed booking wait for the driver's approval; until then the booking
+-- is pending and the approval is pending too. A rejected or expired approval
+-- restores the old values.
+CREATE TABLE IF NOT EXISTS booking_modifications (
+    id SERIAL PRIMARY KEY,
+    booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    modified_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    old_seats_booked INTEGER NOT NULL,
+    new_seats_booked INTEGER NOT NULL,
+    old_pickup_location VARCHAR(255),
+    new_pickup_location VARCHAR(255),
+    old_dropoff_location VARCHAR(255),
+    new_dropoff_location VARCHAR(255),
+    old_total_price DECIMAL(10, 2) NOT NULL,
+    new_total_price DECIMAL(10, 2) NOT NULL,
+    old_status VARCHAR(20) NOT NULL,
+    new_status VARCHAR(20) NOT NULL,
+    approval_status VARCHAR(20) NOT NULL DEFAULT 'not_required'
+        CHECK (approval_status IN ('not_required', 'pending', 'approved', 'rejected', 'expired', 'cancelled')),
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_modifications_booking ON booking_modifications(booking_id);
+CREATE INDEX IF NOT EXISTS idx_booking_modifications_pending
+    ON booking_modifications(booking_id) WHERE approval_status = 'pending';
@@ -0,0 +1,56 @@
+-- Migration: Add cancellation policy, recorded cancellations and reliability inputs
+-- Date: 2026-10-18
+
+-- Cancellation windows (hours before departure) and reliability penalty points
+CREATE TABLE IF NOT EXISTS cancellation_policy (
+    key VARCHAR(50) PRIMARY KEY,
+    value DECIMAL(10, 2) NOT NULL CHECK (value >= 0),
+    description TEXT,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Databases that ran an earlier version of this migration have a TIMESTAMP
+-- updated_at, read in the database's own time zone like in add_timestamptz.sql
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = current_schema()
+          AND table_name = 'cancellation_policy'
+          AND column_name = 'updated_at'
+          AND data_type = 'timestamp without time zone'
+    ) THEN
+        ALTER TABLE cancellation_policy ALTER COLUMN updated_at TYPE TIMESTAMPTZ
+            USING updated_at AT TIME ZONE current_setting('TimeZone');
+    END IF;
+END $$;
+
+DROP TRIGGER IF EXISTS update_cancellation_policy_updated_at ON cancellation_policy;
+CREATE TRIGGER update_cancellation_policy_updated_at BEFORE UPDATE ON cancellation_policy
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO cancellation_policy (key, value, description) VALUES
+('free_cancel_hours', 24, 'Cancellations at least this many hours before departure are free'),
+('late_cancel_hours', 2, 'Cancellations closer to departure than this are late'),
+('standard_cancel_penalty', 0.25, 'Penalty points for cancellations between the free and late windows'),
+('late_cancel_penalty', 1, 'Penalty points for late cancellations'),
+('no_show_penalty', 1, 'Penalty points for passengers who do not show up')
+ON CONFLICT (key) DO NOTHING;
+
+-- Every cancellation by a passenger or driver, with the penalty it carried
+-- under the policy in force at the time
+CREATE TABLE IF NOT EXISTS cancellations (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('passenger', 'driver')),
+    ride_id INTEGER NOT NULL REFERENCES rides(id) ON DELETE CASCADE,
+    booking_id INTEGER REFERENCES bookings(id) ON DELETE CASCADE,
+    reason TEXT,
+    hours_before_departure DECIMAL(8, 2) NOT NULL,
+    category VARCHAR(20) NOT NULL CHECK (category IN ('free', 'standard', 'late')),
+    penalty_points DECIMAL(5, 2) NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_cancellations_user ON cancellations(user_id, role);
+CREATE INDEX IF NOT EXISTS idx_cancellations_ride ON cancellations(ride_id);
@@ -0,0 +1,32 @@
+-- Migration: Add driver document uploads with review status
+-- Date: 2026-10-18
+
+-- Uploaded license, vehicle registration and insurance documents.
+-- A newer upload supersedes older pending uploads of the same type, and an
+-- approval supersedes the previously approved document of that type.
+CREATE TABLE IF NOT EXISTS driver_documents (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    document_type VARCHAR(30) NOT NULL
+        CHECK (document_type IN ('license', 'vehicle_registration', 'insurance')),
+    storage_key VARCHAR(255) NOT NULL,
+    original_name VARCHAR(255),
+    mime_type VARCHAR(100) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    expires_on DATE NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending'
+        CHECK (status IN ('pending', 'approved', 'rejected', 'expired', 'superseded')),
+    rejection_reason TEXT,
+    reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_driver_documents_user_id ON driver_documents(user_id);
+CREATE INDEX IF NOT EXISTS idx_driver_documents_status ON driver_documents(status);
+CREATE INDEX IF NOT EXISTS idx_driver_documents_expires_on ON driver_documents(expires_on);
+
+DROP TRIGGER IF EXISTS update_driver_documents_updated_at ON driver_documents;
+CREATE TRIGGER update_driver_documents_updated_at BEFORE UPDATE ON driver_documents
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
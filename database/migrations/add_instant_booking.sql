@@ -0,0 +1,29 @@
+-- Migration: Add instant booking and booking approval deadlines
+-- Date: 2026-10-18
+
+-- Drivers can confirm bookings automatically on all their rides, optionally
+-- only for passengers with a verified university email or a minimum rating
+ALTER TABLE driver_profiles
+ADD COLUMN IF NOT EXISTS instant_booking BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS instant_booking_verified_only BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS instant_booking_min_rating DECIMAL(3, 2)
+    CHECK (instant_booking_min_rating >= 0 AND instant_booking_min_rating <= 5);
+
+-- NULL follows the driver profile. approval_window_minutes is how long the
+-- driver has to answer a booking request on this ride.
+ALTER TABLE rides
+ADD COLUMN IF NOT EXISTS instant_booking BOOLEAN,
+ADD COLUMN IF NOT EXISTS approval_window_minutes INTEGER
+    CHECK (approval_window_minutes BETWEEN 5 AND 1440);
+
+-- Pending bookings are auto-rejected (status expired) after this time
+ALTER TABLE bookings
+ADD COLUMN IF NOT EXISTS approval_deadline TIMESTAMPTZ;
+
+UPDATE bookings b
+SET approval_deadline = LEAST(b.requested_at + INTERVAL '60 minutes', r.departure_time)
+FROM rides r
+WHERE b.ride_id = r.id AND b.status = 'pending' AND b.approval_deadline IS NULL;
+
+DROP INDEX IF EXISTS idx_bookings_pending;
+CREATE INDEX IF NOT EXISTS idx_bookings_approval_deadline ON bookings(approval_deadline) WHERE status = 'pending';
@@ -0,0 +1,25 @@
+-- Migration: Add phone number OTP verification
+-- Date: 2026-10-18
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS phone_verified BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS phone_verified_at TIMESTAMP;
+
+-- OTP challenges for verifying the registration phone or a new phone number.
+-- Only the hash of the code is stored. A phone change is applied only after
+-- the matching challenge is confirmed.
+CREATE TABLE IF NOT EXISTS phone_verifications (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    phone VARCHAR(20) NOT NULL,
+    purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('registration', 'phone_change')),
+    code_hash VARCHAR(64) NOT NULL,
+    attempts INTEGER DEFAULT 0,
+    send_count INTEGER DEFAULT 1,
+    last_sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    consumed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_phone_verifications_user_id ON phone_verifications(user_id);
@@ -0,0 +1,68 @@
+-- Migration: Add database-stored pricing rules
+-- Date: 2026-10-18
+
+-- Numeric pricing settings (JOD)
+CREATE TABLE IF NOT EXISTS pricing_settings (
+    key VARCHAR(50) PRIMARY KEY,
+    value DECIMAL(10, 4) NOT NULL CHECK (value >= 0),
+    description TEXT,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TRIGGER IF EXISTS update_pricing_settings_updated_at ON pricing_settings;
+CREATE TRIGGER update_pricing_settings_updated_at BEFORE UPDATE ON pricing_settings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO pricing_settings (key, value, description) VALUES
+('base_fare', 0.25, 'Fixed part of the suggested price per seat'),
+('rate_per_km', 0.035, 'Suggested price per seat per km'),
+('ac_surcharge', 0.10, 'Added to the suggested price per seat when AC is on'),
+('max_price_per_km', 0.08, 'Regulatory cap on the price per seat per km')
+ON CONFLICT (key) DO NOTHING;
+
+-- Peak hours in local (Asia/Amman) time. A NULL day applies to every day.
+CREATE TABLE IF NOT EXISTS pricing_peak_windows (
+    id SERIAL PRIMARY KEY,
+    day_of_week INTEGER CHECK (day_of_week BETWEEN 0 AND 6),
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    fee_per_km DECIMAL(10, 4) NOT NULL CHECK (fee_per_km >= 0),
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_time > start_time)
+);
+
+-- The rules that used to be hardcoded: 7-9 AM and 4-6 PM, 0.05 JOD per km
+INSERT INTO pricing_peak_windows (day_of_week, start_time, end_time, fee_per_km)
+SELECT NULL, w.start_time, w.end_time, 0.05
+FROM (VALUES ('07:00'::TIME, '09:00'::TIME), ('16:00'::TIME, '18:00'::TIME)) AS w(start_time, end_time)
+WHERE NOT EXISTS (SELECT 1 FROM pricing_peak_windows);
+
+-- Multipliers on the distance part of the suggested price
+CREATE TABLE IF NOT EXISTS pricing_fuel_multipliers (
+    fuel_type VARCHAR(20) PRIMARY KEY,
+    multiplier DECIMAL(5, 3) NOT NULL CHECK (multiplier > 0)
+);
+
+INSERT INTO pricing_fuel_multipliers (fuel_type, multiplier) VALUES
+('petrol', 1.000),
+('diesel', 0.950),
+('hybrid', 0.850),
+('electric', 0.700)
+ON CONFLICT (fuel_type) DO NOTHING;
+
+-- Holidays can switch off the peak fee and scale the suggested price
+CREATE TABLE IF NOT EXISTS pricing_holidays (
+    holiday_date DATE PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    peak_fee_enabled BOOLEAN DEFAULT FALSE,
+    price_multiplier DECIMAL(5, 3) DEFAULT 1.000 CHECK (price_multiplier > 0)
+);
+
+INSERT INTO pricing_holidays (holiday_date, name) VALUES
+('2026-01-01', 'New Year''s Day'),
+('2026-05-01', 'Labour Day'),
+('2026-05-25', 'Independence Day'),
+('2026-12-25', 'Christmas Day'),
+('2027-01-01', 'New Year''s Day')
+ON CONFLICT (holiday_date) DO NOTHING;
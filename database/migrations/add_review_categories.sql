@@ -0,0 +1,28 @@
+-- Migration: Add per-category review ratings and review tags
+-- Date: 2026-10-18
+
+-- Optional 1-5 ratings of single aspects of a trip. Drivers are rated on
+-- punctuality, driving safety, cleanliness and communication; passengers on
+-- punctuality and respect. Keep in sync with utils/reviewCategories.js.
+CREATE TABLE IF NOT EXISTS review_category_ratings (
+    review_id INTEGER NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+    category VARCHAR(30) NOT NULL
+        CHECK (category IN ('punctuality', 'driving_safety', 'cleanliness', 'communication', 'respect')),
+    rating INTEGER NOT NULL CHECK (rating >= 1 AND rating <= 5),
+    PRIMARY KEY (review_id, category)
+);
+
+-- Positive and negative tags picked from a fixed set
+CREATE TABLE IF NOT EXISTS review_tags (
+    review_id INTEGER NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+    tag VARCHAR(30) NOT NULL
+        CHECK (tag IN (
+            'on_time', 'safe_driving', 'clean_car', 'friendly', 'good_conversation', 'helpful',
+            'respectful',
+            'late', 'unsafe_driving', 'dirty_car', 'rude', 'detour', 'phone_while_driving',
+            'kept_driver_waiting', 'noisy', 'messy'
+        )),
+    PRIMARY KEY (review_id, tag)
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_tags_tag ON review_tags(tag);
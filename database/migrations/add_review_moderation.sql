@@ -0,0 +1,35 @@
+-- Migration: Add review reports, moderation and reviewee replies
+-- Date: 2026-10-18
+
+-- Reviews hidden by a moderator are not shown and do not count towards ratings.
+-- The reviewee can post one public reply shown alongside the review.
+ALTER TABLE reviews
+ADD COLUMN IF NOT EXISTS is_hidden BOOLEAN NOT NULL DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS hidden_reason TEXT,
+ADD COLUMN IF NOT EXISTS hidden_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS reply TEXT,
+ADD COLUMN IF NOT EXISTS replied_at TIMESTAMPTZ;
+
+-- Reports of reviews waiting for a moderator. Keep the reasons in sync with
+-- utils/reviewModeration.js.
+CREATE TABLE IF NOT EXISTS review_reports (
+    id SERIAL PRIMARY KEY,
+    review_id INTEGER NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+    reporter_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    reason VARCHAR(30) NOT NULL
+        CHECK (reason IN ('abusive', 'harassment', 'discrimination', 'spam',
+                          'false_information', 'personal_information', 'other')),
+    details TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'open'
+        CHECK (status IN ('open', 'upheld', 'dismissed')),
+    resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- A user has at most one open report per review
+CREATE UNIQUE INDEX IF NOT EXISTS idx_review_reports_open
+ON review_reports(review_id, reporter_id) WHERE status = 'open';
+
+CREATE INDEX IF NOT EXISTS idx_review_reports_status ON review_reports(status);
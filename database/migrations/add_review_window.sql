@@ -0,0 +1,22 @@
+-- Migration: Add double-blind review window
+-- Date: 2026-10-18
+
+-- When a booking was completed; its review window starts then
+ALTER TABLE bookings
+ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
+
+UPDATE bookings b
+SET completed_at = COALESCE(r.completed_at, b.updated_at)
+FROM rides r
+WHERE b.ride_id = r.id AND b.status = 'completed' AND b.completed_at IS NULL;
+
+-- Reviews stay hidden, and out of ratings, until both sides of the booking
+-- have reviewed or the review window closes. Existing reviews were already
+-- public, so the default reveals them when the column is added.
+ALTER TABLE reviews
+ADD COLUMN IF NOT EXISTS revealed_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP;
+
+ALTER TABLE reviews ALTER COLUMN revealed_at DROP DEFAULT;
+
+CREATE INDEX IF NOT EXISTS idx_reviews_hidden ON reviews(booking_id) WHERE revealed_at IS NULL;
+
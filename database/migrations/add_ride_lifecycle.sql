@@ -0,0 +1,15 @@
+-- Migration: Add ride lifecycle timestamps, passenger boarding and no-shows
+-- Date: 2026-10-18
+
+-- Confirmed passengers who never boarded end up as no-shows when the ride completes
+ALTER TYPE booking_status ADD VALUE IF NOT EXISTS 'no_show';
+
+ALTER TABLE rides
+ADD COLUMN IF NOT EXISTS started_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ;
+
+-- Passengers check in at the pickup point; the driver confirms boarding
+ALTER TABLE bookings
+ADD COLUMN IF NOT EXISTS checked_in_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS boarded_at TIMESTAMPTZ;
@@ -0,0 +1,53 @@
+-- Migration: Add recurring ride series
+-- Date: 2026-10-18
+
+-- A series is a ride template plus a recurrence rule; individual rides are
+-- materialized from it a few days ahead
+CREATE TABLE IF NOT EXISTS ride_series (
+    id SERIAL PRIMARY KEY,
+    driver_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    vehicle_id INTEGER REFERENCES vehicles(id) ON DELETE SET NULL,
+    origin VARCHAR(255) NOT NULL,
+    destination VARCHAR(255) NOT NULL,
+    origin_lat DECIMAL(10, 8),
+    origin_lng DECIMAL(11, 8),
+    destination_lat DECIMAL(10, 8),
+    destination_lng DECIMAL(11, 8),
+    departure_time TIME NOT NULL,
+    total_seats INTEGER NOT NULL CHECK (total_seats >= 1),
+    price_per_seat DECIMAL(10, 2) NOT NULL CHECK (price_per_seat >= 0),
+    distance_km DECIMAL(10, 2),
+    fuel_type VARCHAR(20) DEFAULT 'petrol',
+    ac_enabled BOOLEAN DEFAULT FALSE,
+    gender_preference VARCHAR(20) DEFAULT 'male_only',
+    description TEXT,
+    amenities TEXT[],
+    direction ride_direction,
+    university_id INTEGER REFERENCES universities(id) ON DELETE SET NULL,
+    -- Recurrence rule: days of week (0 = Sunday ... 6 = Saturday) between two dates
+    days_of_week INTEGER[] NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    excluded_dates DATE[] DEFAULT '{}',
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'cancelled')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ride_series_driver_id ON ride_series(driver_id);
+CREATE INDEX IF NOT EXISTS idx_ride_series_status ON ride_series(status);
+
+DROP TRIGGER IF EXISTS update_ride_series_updated_at ON ride_series;
+CREATE TRIGGER update_ride_series_updated_at BEFORE UPDATE ON ride_series
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Rides created from a series. Occurrences edited individually are marked as
+-- exceptions so later edits of the series leave them alone.
+ALTER TABLE rides
+ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES ride_series(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS series_occurrence_date DATE,
+ADD COLUMN IF NOT EXISTS is_series_exception BOOLEAN DEFAULT FALSE;
+
+-- One ride per series and date, also once an occurrence has been cancelled
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rides_series_occurrence ON rides(series_id, series_occurrence_date);
@@ -0,0 +1,49 @@
+-- Migration: Add intermediate stops to rides and segment bookings
+-- Date: 2026-10-18
+
+-- Waypoints between origin and destination. The origin is stop 0 and the
+-- destination is the stop after the last waypoint.
+CREATE TABLE IF NOT EXISTS ride_stops (
+    id SERIAL PRIMARY KEY,
+    ride_id INTEGER NOT NULL REFERENCES rides(id) ON DELETE CASCADE,
+    stop_order INTEGER NOT NULL CHECK (stop_order >= 1),
+    name VARCHAR(255) NOT NULL,
+    lat DECIMAL(10, 8) NOT NULL,
+    lng DECIMAL(11, 8) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (ride_id, stop_order)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ride_stops_ride_id ON ride_stops(ride_id);
+
+-- The part of the route a booking covers
+ALTER TABLE bookings
+ADD COLUMN IF NOT EXISTS boarding_stop_order INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS alighting_stop_order INTEGER;
+
+-- Existing rides have no waypoints, so their bookings end at stop 1
+UPDATE bookings SET alighting_stop_order = 1 WHERE alighting_stop_order IS NULL;
+
+-- Bookings created without an alighting stop ride to the destination
+CREATE OR REPLACE FUNCTION set_booking_alighting_stop()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.alighting_stop_order IS NULL THEN
+        NEW.alighting_stop_order := (SELECT COUNT(*) + 1 FROM ride_stops WHERE ride_id = NEW.ride_id);
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS set_bookings_alighting_stop ON bookings;
+CREATE TRIGGER set_bookings_alighting_stop BEFORE INSERT ON bookings
+    FOR EACH ROW EXECUTE FUNCTION set_booking_alighting_stop();
+
+ALTER TABLE bookings ALTER COLUMN alighting_stop_order SET NOT NULL;
+
+DO $$ BEGIN
+    ALTER TABLE bookings ADD CONSTRAINT bookings_stop_order_check
+        CHECK (alighting_stop_order > boarding_stop_order);
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
@@ -0,0 +1,34 @@
+-- Migration: Add ride waitlists with time-limited seat offers
+-- Date: 2026-10-18
+
+-- Passengers waiting for seats on a full ride. When seats are freed the next
+-- entries that fit are offered them; an offer holds the seats until it expires.
+CREATE TABLE IF NOT EXISTS ride_waitlist (
+    id SERIAL PRIMARY KEY,
+    ride_id INTEGER NOT NULL REFERENCES rides(id) ON DELETE CASCADE,
+    passenger_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    seats_requested INTEGER NOT NULL CHECK (seats_requested BETWEEN 1 AND 8),
+    boarding_stop_order INTEGER NOT NULL DEFAULT 0,
+    alighting_stop_order INTEGER NOT NULL,
+    pickup_location VARCHAR(255),
+    dropoff_location VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'waiting'
+        CHECK (status IN ('waiting', 'offered', 'accepted', 'declined', 'expired', 'cancelled')),
+    offered_at TIMESTAMPTZ,
+    offer_expires_at TIMESTAMPTZ,
+    booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    CHECK (alighting_stop_order > boarding_stop_order)
+);
+
+-- A passenger waits at most once per ride
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ride_waitlist_active
+    ON ride_waitlist(ride_id, passenger_id) WHERE status IN ('waiting', 'offered');
+CREATE INDEX IF NOT EXISTS idx_ride_waitlist_queue
+    ON ride_waitlist(ride_id, created_at) WHERE status IN ('waiting', 'offered');
+CREATE INDEX IF NOT EXISTS idx_ride_waitlist_passenger ON ride_waitlist(passenger_id);
+
+DROP TRIGGER IF EXISTS update_ride_waitlist_updated_at ON ride_waitlist;
+CREATE TRIGGER update_ride_waitlist_updated_at BEFORE UPDATE ON ride_waitlist
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,18 @@
+-- Migration: Add server-side route distance and duration estimates
+-- Date: 2026-10-18
+
+-- distance_km now holds the distance computed by the server. The distance the
+-- client sent is kept for comparison, and rides whose client distance was far
+-- off (or could not be checked) are flagged for review.
+ALTER TABLE rides
+ADD COLUMN IF NOT EXISTS client_distance_km DECIMAL(10, 2),
+ADD COLUMN IF NOT EXISTS distance_flagged BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS estimated_duration_minutes INTEGER,
+ADD COLUMN IF NOT EXISTS estimated_arrival_time TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_rides_distance_flagged ON rides(distance_flagged) WHERE distance_flagged;
+
+ALTER TABLE ride_series
+ADD COLUMN IF NOT EXISTS client_distance_km DECIMAL(10, 2),
+ADD COLUMN IF NOT EXISTS distance_flagged BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS estimated_duration_minutes INTEGER;
@@ -0,0 +1,121 @@
+-- Migration: Add booking and ride status history
+-- Date: 2026-10-18
+
+-- Every status a booking or ride has been in, with who changed it and why.
+-- Rows are written by the triggers below; the application passes the acting
+-- user and reason through the transaction-local settings tareeqi.actor_id and
+-- tareeqi.status_reason. Without an actor, a new row is credited to its
+-- passenger or driver and a change to the system.
+CREATE TABLE IF NOT EXISTS booking_status_history (
+    id SERIAL PRIMARY KEY,
+    booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    old_status booking_status,
+    new_status booking_status NOT NULL,
+    changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS ride_status_history (
+    id SERIAL PRIMARY KEY,
+    ride_id INTEGER NOT NULL REFERENCES rides(id) ON DELETE CASCADE,
+    old_status ride_status,
+    new_status ride_status NOT NULL,
+    changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_status_history_booking ON booking_status_history(booking_id);
+CREATE INDEX IF NOT EXISTS idx_ride_status_history_ride ON ride_status_history(ride_id);
+
+-- Allowed booking transitions. Cancelled, rejected and expired bookings are
+-- reused when the passenger books the ride again, which takes their seats
+-- again; only transactions that set tareeqi.rebooking may do that. Completed
+-- bookings and no-shows are final. Keep in sync with BOOKING_TRANSITIONS in
+-- utils/bookings.js.
+CREATE OR REPLACE FUNCTION record_booking_status_change()
+RETURNS TRIGGER AS $$
+DECLARE
+    previous booking_status;
+    allowed booking_status[];
+    actor INTEGER := NULLIF(current_setting('tareeqi.actor_id', true), '')::INTEGER;
+    rebooking BOOLEAN := current_setting('tareeqi.rebooking', true) = 'on';
+BEGIN
+    IF TG_OP = 'UPDATE' THEN
+        previous := OLD.status;
+
+        IF NEW.status = previous THEN
+            RETURN NULL;
+        END IF;
+
+        allowed := CASE
+            WHEN previous = 'pending' THEN '{confirmed, rejected, cancelled, expired}'::booking_status[]
+            WHEN previous = 'confirmed' THEN '{pending, cancelled, completed, no_show}'::booking_status[]
+            WHEN previous IN ('rejected', 'cancelled', 'expired') AND rebooking
+                THEN '{pending, confirmed}'::booking_status[]
+            ELSE '{}'::booking_status[]
+        END;
+
+        IF NOT NEW.status = ANY(allowed) THEN
+            RAISE EXCEPTION 'Booking % cannot change from % to %', NEW.id, previous, NEW.status
+                USING ERRCODE = 'check_violation';
+        END IF;
+    ELSE
+        actor := COALESCE(actor, NEW.passenger_id);
+    END IF;
+
+    INSERT INTO booking_status_history (booking_id, old_status, new_status, changed_by, reason)
+    VALUES (NEW.id, previous, NEW.status, actor,
+            NULLIF(current_setting('tareeqi.status_reason', true), ''));
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Allowed ride transitions. Besides the driver's scheduled -> in_progress ->
+-- completed, stale scheduled rides with passengers are completed and admins
+-- can cancel rides that are under way.
+CREATE OR REPLACE FUNCTION record_ride_status_change()
+RETURNS TRIGGER AS $$
+DECLARE
+    previous ride_status;
+    allowed ride_status[];
+    actor INTEGER := NULLIF(current_setting('tareeqi.actor_id', true), '')::INTEGER;
+BEGIN
+    IF TG_OP = 'UPDATE' THEN
+        previous := OLD.status;
+
+        IF NEW.status = previous THEN
+            RETURN NULL;
+        END IF;
+
+        allowed := CASE previous
+            WHEN 'scheduled' THEN '{in_progress, completed, cancelled}'::ride_status[]
+            WHEN 'in_progress' THEN '{completed, cancelled}'::ride_status[]
+            ELSE '{}'::ride_status[]
+        END;
+
+        IF NOT NEW.status = ANY(allowed) THEN
+            RAISE EXCEPTION 'Ride % cannot change from % to %', NEW.id, previous, NEW.status
+                USING ERRCODE = 'check_violation';
+        END IF;
+    ELSE
+        actor := COALESCE(actor, NEW.driver_id);
+    END IF;
+
+    INSERT INTO ride_status_history (ride_id, old_status, new_status, changed_by, reason)
+    VALUES (NEW.id, previous, NEW.status, actor,
+            NULLIF(current_setting('tareeqi.status_reason', true), ''));
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS record_booking_status_change ON bookings;
+CREATE TRIGGER record_booking_status_change AFTER INSERT OR UPDATE OF status ON bookings
+    FOR EACH ROW EXECUTE FUNCTION record_booking_status_change();
+
+DROP TRIGGER IF EXISTS record_ride_status_change ON rides;
+CREATE TRIGGER record_ride_status_change AFTER INSERT OR UPDATE OF status ON rides
+    FOR EACH ROW EXECUTE FUNCTION record_ride_status_change();
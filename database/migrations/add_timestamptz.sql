@@ -0,0 +1,40 @@
+-- Migration: Store ride and booking times as TIMESTAMPTZ
+-- Date: 2026-10-18
+
+-- Departure and arrival times were written as Jordan local time, so they are
+-- read as Asia/Amman. Row timestamps came from CURRENT_TIMESTAMP and are read
+-- in the database's own time zone. Columns already converted are skipped.
+DO $$
+DECLARE
+    col RECORD;
+BEGIN
+    FOR col IN
+        SELECT c.table_name, c.column_name
+        FROM information_schema.columns c
+        WHERE c.table_schema = current_schema()
+          AND c.data_type = 'timestamp without time zone'
+          AND (c.table_name, c.column_name) IN (
+              ('rides', 'departure_time'),
+              ('rides', 'estimated_arrival_time'),
+              ('rides', 'created_at'),
+              ('rides', 'updated_at'),
+              ('bookings', 'created_at'),
+              ('bookings', 'updated_at'),
+              ('ride_series', 'created_at'),
+              ('ride_series', 'updated_at'),
+              ('ride_stops', 'created_at')
+          )
+    LOOP
+        IF col.column_name IN ('departure_time', 'estimated_arrival_time') THEN
+            EXECUTE format(
+                'ALTER TABLE %I ALTER COLUMN %I TYPE TIMESTAMPTZ USING %I AT TIME ZONE ''Asia/Amman''',
+                col.table_name, col.column_name, col.column_name
+            );
+        ELSE
+            EXECUTE format(
+                'ALTER TABLE %I ALTER COLUMN %I TYPE TIMESTAMPTZ USING %I AT TIME ZONE current_setting(''TimeZone'')',
+                col.table_name, col.column_name, col.column_name
+            );
+        END IF;
+    END LOOP;
+END $$;
@@ -0,0 +1,67 @@
+-- Migration: Add university email verification
+-- Date: 2026-10-18
+
+-- Email domains accepted as proof of membership for each university.
+-- A domain also matches its subdomains (e.g. ju.edu.jo matches std.ju.edu.jo).
+CREATE TABLE IF NOT EXISTS university_email_domains (
+    id SERIAL PRIMARY KEY,
+    university_id INTEGER NOT NULL REFERENCES universities(id) ON DELETE CASCADE,
+    domain VARCHAR(255) UNIQUE NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_university_email_domains_university_id ON university_email_domains(university_id);
+
+-- Link verified users to their university
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS university_id INTEGER REFERENCES universities(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS university_email VARCHAR(255) UNIQUE,
+ADD COLUMN IF NOT EXISTS verified_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_users_university_id ON users(university_id);
+
+-- Pending verification codes (only the hash of the code is stored)
+CREATE TABLE IF NOT EXISTS university_verifications (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    university_id INTEGER NOT NULL REFERENCES universities(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    code_hash VARCHAR(64) NOT NULL,
+    attempts INTEGER DEFAULT 0,
+    expires_at TIMESTAMP NOT NULL,
+    consumed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_university_verifications_user_id ON university_verifications(user_id);
+
+-- Known student/staff email domains
+INSERT INTO university_email_domains (university_id, domain)
+SELECT u.id, d.domain
+FROM (VALUES
+    ('Hussein Technical University (HTU)', 'htu.edu.jo'),
+    ('University of Jordan (UJ)', 'ju.edu.jo'),
+    ('German Jordanian University (GJU)', 'gju.edu.jo'),
+    ('Princess Sumaya University for Technology (PSUT)', 'psut.edu.jo'),
+    ('Jordan University of Science and Technology (JUST)', 'just.edu.jo'),
+    ('Hashemite University', 'hu.edu.jo'),
+    ('Yarmouk University', 'yu.edu.jo'),
+    ('Balqa Applied University', 'bau.edu.jo'),
+    ('Al-Zaytoonah University', 'zuj.edu.jo'),
+    ('Philadelphia University', 'philadelphia.edu.jo'),
+    ('Applied Science Private University', 'asu.edu.jo'),
+    ('Middle East University', 'meu.edu.jo'),
+    ('Mutah University', 'mutah.edu.jo'),
+    ('Irbid National University', 'inu.edu.jo'),
+    ('Tafila Technical University', 'ttu.edu.jo'),
+    ('Al al-Bayt University', 'aabu.edu.jo'),
+    ('Amman Arab University', 'aau.edu.jo'),
+    ('Jerash University', 'jpu.edu.jo'),
+    ('American University of Madaba (AUM)', 'aum.edu.jo'),
+    ('Petra University', 'uop.edu.jo'),
+    ('Zarqa University', 'zu.edu.jo'),
+    ('Ajloun National University', 'anu.edu.jo'),
+    ('Al-Hussein Bin Talal University', 'ahu.edu.jo')
+) AS d(name, domain)
+JOIN universities u ON u.name = d.name
+ON CONFLICT (domain) DO NOTHING;
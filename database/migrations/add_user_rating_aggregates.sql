@@ -0,0 +1,58 @@
+-- Migration: Add separate driver and passenger ratings
+-- Date: 2026-10-18
+
+-- Whether a review rates its reviewee as the ride's driver or as a passenger
+ALTER TABLE reviews
+ADD COLUMN IF NOT EXISTS reviewee_role VARCHAR(20)
+    CHECK (reviewee_role IN ('driver', 'passenger'));
+
+UPDATE reviews rv
+SET reviewee_role = CASE WHEN rv.reviewee_id = r.driver_id THEN 'driver' ELSE 'passenger' END
+FROM bookings b
+JOIN rides r ON b.ride_id = r.id
+WHERE rv.booking_id = b.id AND rv.reviewee_role IS NULL;
+
+ALTER TABLE reviews ALTER COLUMN reviewee_role SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_reviews_reviewee_role ON reviews(reviewee_id, reviewee_role);
+
+-- Rating of each user as a driver and as a passenger, kept up to date on
+-- every review change. driver_profiles.rating mirrors the driver row.
+CREATE TABLE IF NOT EXISTS user_rating_aggregates (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('driver', 'passenger')),
+    average_rating DECIMAL(3, 2),
+    total_reviews INTEGER NOT NULL DEFAULT 0,
+    one_star INTEGER NOT NULL DEFAULT 0,
+    two_star INTEGER NOT NULL DEFAULT 0,
+    three_star INTEGER NOT NULL DEFAULT 0,
+    four_star INTEGER NOT NULL DEFAULT 0,
+    five_star INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, role)
+);
+
+INSERT INTO user_rating_aggregates
+    (user_id, role, average_rating, total_reviews,
+     one_star, two_star, three_star, four_star, five_star)
+SELECT reviewee_id, reviewee_role, ROUND(AVG(rating)::numeric, 2), COUNT(*),
+       COUNT(*) FILTER (WHERE rating = 1), COUNT(*) FILTER (WHERE rating = 2),
+       COUNT(*) FILTER (WHERE rating = 3), COUNT(*) FILTER (WHERE rating = 4),
+       COUNT(*) FILTER (WHERE rating = 5)
+FROM reviews
+GROUP BY reviewee_id, reviewee_role
+ON CONFLICT (user_id, role) DO NOTHING;
+
+-- Driver ratings used to include reviews received as a passenger
+UPDATE driver_profiles dp
+SET rating = COALESCE(a.average_rating, 0),
+    total_reviews = COALESCE(a.total_reviews, 0)
+FROM users u
+LEFT JOIN user_rating_aggregates a ON a.user_id = u.id AND a.role = 'driver'
+WHERE dp.user_id = u.id;
+
+-- Passengers rated below the minimum cannot book the ride. NULL means any
+-- passenger; passengers without ratings can always book.
+ALTER TABLE rides
+ADD COLUMN IF NOT EXISTS min_passenger_rating DECIMAL(3, 2)
+    CHECK (min_passenger_rating >= 0 AND min_passenger_rating <= 5);
@@ -0,0 +1,46 @@
+-- Migration: Add multiple vehicles per driver and per-ride vehicle selection
+-- Date: 2026-10-18
+
+CREATE TABLE IF NOT EXISTS vehicles (
+    id SERIAL PRIMARY KEY,
+    driver_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    make VARCHAR(50) NOT NULL,
+    model VARCHAR(50) NOT NULL,
+    year INTEGER NOT NULL,
+    color VARCHAR(30) NOT NULL,
+    plate_number VARCHAR(20) NOT NULL,
+    seats INTEGER NOT NULL CHECK (seats >= 1 AND seats <= 8),
+    fuel_type VARCHAR(20) DEFAULT 'petrol'
+        CHECK (fuel_type IN ('petrol', 'diesel', 'electric', 'hybrid')),
+    is_default BOOLEAN DEFAULT FALSE,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_vehicles_driver_id ON vehicles(driver_id);
+-- Removed vehicles are kept (rides reference them) but free their plate number
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vehicles_plate_number_active ON vehicles(plate_number) WHERE is_active;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vehicles_one_default ON vehicles(driver_id) WHERE is_default AND is_active;
+
+DROP TRIGGER IF EXISTS update_vehicles_updated_at ON vehicles;
+CREATE TRIGGER update_vehicles_updated_at BEFORE UPDATE ON vehicles
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- The car stored on each driver profile becomes that driver's default vehicle
+INSERT INTO vehicles (driver_id, make, model, year, color, plate_number, seats, fuel_type, is_default)
+SELECT dp.user_id, dp.car_make, dp.car_model, dp.car_year, dp.car_color, dp.car_plate_number,
+       dp.car_seats, COALESCE(dp.fuel_type::text, 'petrol'), TRUE
+FROM driver_profiles dp
+WHERE NOT EXISTS (SELECT 1 FROM vehicles v WHERE v.driver_id = dp.user_id);
+
+-- Rides reference the vehicle used
+ALTER TABLE rides
+ADD COLUMN IF NOT EXISTS vehicle_id INTEGER REFERENCES vehicles(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_rides_vehicle_id ON rides(vehicle_id);
+
+UPDATE rides r
+SET vehicle_id = v.id
+FROM vehicles v
+WHERE r.vehicle_id IS NULL AND v.driver_id = r.driver_id AND v.is_default;
@@ -0,0 +1,27 @@
+-- Migration: Add confidence-weighted ratings
+-- Date: 2026-10-18
+
+-- Average of a user's reviews together with 10 imaginary 4-star reviews, so a
+-- few reviews cannot outrank many slightly lower ones. Users without reviews
+-- get the prior of 4. Keep in sync with RATING_PRIOR_MEAN and
+-- RATING_PRIOR_WEIGHT in utils/ratings.js.
+ALTER TABLE user_rating_aggregates
+ADD COLUMN IF NOT EXISTS weighted_rating DECIMAL(3, 2) NOT NULL DEFAULT 4.00;
+
+UPDATE user_rating_aggregates
+SET weighted_rating = ROUND(
+    (one_star + 2 * two_star + 3 * three_star + 4 * four_star + 5 * five_star + 10 * 4)::numeric
+    / (total_reviews + 10), 2);
+
+-- Mirrors the driver aggregate; GET /api/drivers is sorted by it
+ALTER TABLE driver_profiles
+ADD COLUMN IF NOT EXISTS weighted_rating DECIMAL(3, 2) NOT NULL DEFAULT 4.00;
+
+UPDATE driver_profiles dp
+SET weighted_rating = COALESCE(a.weighted_rating, 4.00)
+FROM users u
+LEFT JOIN user_rating_aggregates a ON a.user_id = u.id AND a.role = 'driver'
+WHERE dp.user_id = u.id;
+
+CREATE INDEX IF NOT EXISTS idx_driver_profiles_weighted_rating
+ON driver_profiles(weighted_rating DESC);
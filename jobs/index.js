@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Background jobs run by the scheduler
+ * @module jobs
+ */
+
+const { registerJob, startScheduler } = require("./scheduler");
+const { expireDriverDocuments } = require("../utils/driverDocuments");
+const { materializeAllSeries } = require("../utils/rideSeries");
+const { expirePendingBookings } = require("../utils/bookings");
+const { closeStaleRides } = require("../utils/rideLifecycle");
+const { reconcileAvailableSeats } = require("../utils/rideStops");
+const { expireWaitlistOffers } = require("../utils/waitlist");
+const { revealExpiredReviews } = require("../utils/reviews");
+
+const HOUR = 60 * 60;
+
+// Expire driver documents, which revokes license verification
+registerJob("expire-driver-documents", HOUR, expireDriverDocuments);
+
+// Keep rides of recurring series created a few days ahead
+registerJob("materialize-ride-series", HOUR, materializeAllSeries);
+
+// Give seats of unanswered booking requests back to their rides
+registerJob("expire-pending-bookings", 5 * 60, expirePendingBookings);
+
+// Pass seat offers nobody accepted in time on to the next passenger in line
+registerJob("expire-waitlist-offers", 60, expireWaitlistOffers);
+
+// Complete or cancel rides left open after departure
+registerJob("close-stale-rides", 15 * 60, closeStaleRides);
+
+// Reveal hidden reviews once their booking's review window has closed
+registerJob("reveal-reviews", 15 * 60, revealExpiredReviews);
+
+// Correct available_seats of scheduled rides that drifted from their bookings
+registerJob("reconcile-ride-seats", HOUR, reconcileAvailableSeats);
+
+module.exports = {
+  startJobs: startScheduler,
+};
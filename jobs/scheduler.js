@@ -0,0 +1,171 @@
+/**
+ * @fileoverview In-process job scheduler with database locking
+ * @module jobs/scheduler
+ *
+ * Every instance checks its jobs on a short tick. A job runs on the instance
+ * that claims its row in job_locks first, and only once it is due, so several
+ * instances never run the same job twice in one interval. Each run is logged
+ * to job_runs.
+ */
+
+const os = require("os");
+const db = require("../config/database");
+
+const TICK_SECONDS = parseInt(process.env.SCHEDULER_TICK_SECONDS) || 60;
+
+// A crashed instance releases its locks after this long
+const LOCK_TTL_SECONDS = 15 * 60;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const jobs = new Map();
+let timer = null;
+
+/**
+ * Register a job
+ * @param {string} name - Unique job name
+ * @param {number} intervalSeconds - Time between runs
+ * @param {Function} run - Async function resolving to a result object for the log
+ */
+function registerJob(name, intervalSeconds, run) {
+  if (jobs.has(name)) {
+    throw new Error(`Job "${name}" is already registered`);
+  }
+  jobs.set(name, { name, intervalSeconds, run });
+}
+
+/**
+ * Claim a job if it is due and not locked by another instance
+ * @param {Object} job - Registered job
+ * @returns {Promise<boolean>} Whether this instance may run the job
+ */
+async function acquireLock(job) {
+  const result = await db.query(
+    `INSERT INTO job_locks (name, locked_by, locked_until, next_run_at)
+     VALUES ($1, $2, NOW() + $3::int * INTERVAL '1 second', NOW() + $4::int * INTERVAL '1 second')
+     ON CONFLICT (name) DO UPDATE
+     SET locked_by = EXCLUDED.locked_by,
+         locked_until = EXCLUDED.locked_until,
+         next_run_at = EXCLUDED.next_run_at
+     WHERE job_locks.locked_until <= NOW() AND job_locks.next_run_at <= NOW()
+     RETURNING name`,
+    [job.name, INSTANCE_ID, LOCK_TTL_SECONDS, job.intervalSeconds]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Release a job lock held by this instance
+ * @param {Object} job - Registered job
+ * @returns {Promise<void>}
+ */
+async function releaseLock(job) {
+  await db.query(
+    "UPDATE job_locks SET locked_until = NOW() WHERE name = $1 AND locked_by = $2",
+    [job.name, INSTANCE_ID]
+  );
+}
+
+/**
+ * Run a job now if this instance can claim it, logging the outcome
+ * @param {string} name - Job name
+ * @returns {Promise<Object|null>} The job's result, or null if it did not run here
+ */
+async function runJob(name) {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job "${name}"`);
+  }
+
+  if (!(await acquireLock(job))) {
+    return null;
+  }
+
+  const run = await db.query(
+    "INSERT INTO job_runs (job_name, instance_id) VALUES ($1, $2) RETURNING id",
+    [job.name, INSTANCE_ID]
+  );
+  const runId = run.rows[0].id;
+
+  try {
+    const result = (await job.run()) || {};
+
+    await db.query(
+      `UPDATE job_runs SET status = 'succeeded', result = $1, finished_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [JSON.stringify(result), runId]
+    );
+
+    if (Object.values(result).some((value) => typeof value === "number" && value > 0)) {
+      console.log(`Job ${job.name}:`, JSON.stringify(result));
+    }
+
+    return result;
+  } catch (error) {
+    console.error(`Job ${job.name} failed:`, error);
+    await db.query(
+      `UPDATE job_runs SET status = 'failed', error = $1, finished_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [error.message, runId]
+    );
+    return null;
+  } finally {
+    await releaseLock(job);
+  }
+}
+
+/**
+ * Run every due job once, one after another
+ * @returns {Promise<void>}
+ */
+async function tick() {
+  for (const name of jobs.keys()) {
+    try {
+      await runJob(name);
+    } catch (error) {
+      console.error(`Scheduler error for job ${name}:`, error);
+    }
+  }
+}
+
+/**
+ * Start checking jobs on every tick, beginning immediately
+ */
+function startScheduler() {
+  if (timer) {
+    return;
+  }
+
+  let running = false;
+  const onTick = () => {
+    // A slow run must not overlap with the next tick
+    if (running) {
+      return;
+    }
+    running = true;
+    tick().finally(() => {
+      running = false;
+    });
+  };
+
+  timer = setInterval(onTick, TICK_SECONDS * 1000);
+  timer.unref();
+  onTick();
+}
+
+/**
+ * Stop the scheduler
+ */
+function stopScheduler() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  INSTANCE_ID,
+  registerJob,
+  runJob,
+  startScheduler,
+  stopScheduler,
+};
@@ -1,4 +1,5 @@
 const jwt = require('jsonwebtoken');
+const db = require('../config/database');
 
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -11,16 +12,53 @@ const authenticateToken = (req, res, next) => {
     });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, payload) => {
+    if (err || !payload.sid) {
       return res.status(403).json({
         success: false,
         message: 'Invalid or expired token'
       });
     }
 
-    req.user = user;
-    next();
+    try {
+      // Tokens are only honoured while their session is live and the account is active
+      const result = await db.query(
+        `SELECT u.id, u.email, u.role, u.is_active,
+                EXISTS (
+                  SELECT 1 FROM refresh_tokens
+                  WHERE session_id = $2 AND user_id = u.id
+                    AND revoked_at IS NULL AND expires_at > NOW()
+                ) as session_active
+         FROM users u
+         WHERE u.id = $1`,
+        [payload.id, payload.sid]
+      );
+
+      const user = result.rows[0];
+
+      if (!user || !user.session_active) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked. Please log in again.'
+        });
+      }
+
+      if (!user.is_active) {
+        return res.status(403).json({
+          success: false,
+          message: 'Account is deactivated'
+        });
+      }
+
+      req.user = { id: user.id, email: user.email, role: user.role, sid: payload.sid };
+      next();
+    } catch (error) {
+      console.error('Authenticate token error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
   });
 };
 
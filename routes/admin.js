@@ -0,0 +1,878 @@
+/**
+ * @fileoverview Admin routes for moderation and driver license verification
+ * @module routes/admin
+ */
+
+const express = require("express");
+const router = express.Router();
+const db = require("../config/database");
+const { authenticateToken } = require("../middleware/auth");
+const { authorizeRole } = require("../middleware/authorize");
+const { recordAdminAction } = require("../utils/adminActions");
+const { revokeAllSessions } = require("../utils/tokens");
+const { cancelRides } = require("../utils/rides");
+const { setStatusContext } = require("../utils/statusHistory");
+const { withLocalTimes } = require("../utils/time");
+const { moderateReview } = require("../utils/reviewModeration");
+const {
+  hasApprovedDocuments,
+  revokeLicenseIfDocumentsInvalid,
+} = require("../utils/driverDocuments");
+
+router.use(authenticateToken, authorizeRole("admin"));
+
+/**
+ * List driver profiles waiting for license review
+ * @route GET /api/admin/drivers/pending
+ * @security JWT (admin)
+ * @returns {Object} 200 - Pending driver profiles, oldest first
+ */
+router.get("/drivers/pending", async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT dp.*, u.full_name, u.email, u.phone, u.is_active
+       FROM driver_profiles dp
+       JOIN users u ON dp.user_id = u.id
+       WHERE dp.license_status = 'pending'
+       ORDER BY dp.created_at ASC`
+    );
+
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length,
+    });
+  } catch (error) {
+    console.error("Get pending drivers error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+/**
+ * Approve or reject a driver's license. Approval requires an approved,
+ * unexpired document of every required type.
+ * @route PUT /api/admin/drivers/:userId/license
+ * @security JWT (admin)
+ * @param {string} req.body.status - "approved" or "rejected"
+ * @param {string} [req.body.reason] - Reason (required when rejecting)
+ * @returns {Object} 200 - Updated driver profile
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 404 - Driver profile not found
+ * @returns {Object} 409 - Required documents missing or not approved
+ */
+router.put("/drivers/:userId/license", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { status, reason } = req.body;
+
+    if (!status || !["approved", "rejected"].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Status must be approved or rejected",
+      });
+    }
+
+    if (status === "rejected" && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required when rejecting a license",
+      });
+    }
+
+    if (status === "approved" && !(await hasApprovedDocuments(userId))) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "License, vehicle registration and insurance documents must be approved and unexpired first",
+      });
+    }
+
+    const client = await db.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const result = await client.query(
+        `UPDATE driver_profiles
+         SET license_status = $1,
+             license_verified = $2,
+             license_rejection_reason = $3,
+             license_reviewed_by = $4,
+             license_reviewed_at = NOW()
+         WHERE user_id = $5
+         RETURNING *`,
+        [
+          status,
+          status === "approved",
+          status === "rejected" ? reason : null,
+          req.user.id,
+          userId,
+        ]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({
+          success: false,
+          message: "Driver profile not found",
+        });
+      }
+
+      await recordAdminAction(client, {
+        adminId: req.user.id,
+        action: status === "approved" ? "license_approved" : "license_rejected",
+        targetType: "driver_profile",
+        targetId: result.rows[0].id,
+        reason,
+        details: { user_id: parseInt(userId) },
+      });
+
+      await client.query("COMMIT");
+
+      res.json({
+        success: true,
+        message: `Driver license ${status}`,
+        data: result.rows[0],
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error("Review driver license error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+/**
+ * List uploaded driver documents waiting for review
+ * @route GET /api/admin/documents/pending
+ * @security JWT (admin)
+ * @returns {Object} 200 - Pending documents, oldest first
+ */
+router.get("/documents/pending", async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT dd.id, dd.user_id, dd.document_type, dd.original_name, dd.mime_type,
+              dd.size_bytes, dd.expires_on, dd.status, dd.created_at,
+              u.full_name, u.email, dp.license_number, dp.license_status
+       FROM driver_documents dd
+       JOIN users u ON dd.user_id = u.id
+       LEFT JOIN driver_profiles dp ON dd.user_id = dp.user_id
+       WHERE dd.status = 'pending'
+       ORDER BY dd.created_at ASC`
+    );
+
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length,
+    });
+  } catch (error) {
+    console.error("Get pending documents error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+/**
+ * Approve or reject an uploaded driver document
+ * @route PUT /api/admin/documents/:id
+ * @security JWT (admin)
+ * @param {string} req.body.status - "approved" or "rejected"
+ * @param {string} [req.body.reason] - Reason (required when rejecting)
+ * @returns {Object} 200 - Updated document
+ * @returns {Object} 400 - Validation error or document not pending
+ * @returns {Object} 404 - Document not found
+ */
+router.put("/documents/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, reason } = req.body;
+
+    if (!status || !["approved", "rejected"].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Status must be approved or rejected",
+      });
+    }
+
+    if (status === "rejected" && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required when rejecting a document",
+      });
+    }
+
+    const client = await db.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const documentResult = await client.query(
+        "SELECT * FROM driver_documents WHERE id = $1 FOR UPDATE",
+        [id]
+      );
+
+      if (documentResult.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({
+          success: false,
+          message: "Document not found",
+        });
+      }
+
+      const document = documentResult.rows[0];
+
+      if (document.status !== "pending") {
+        await client.query("ROLLBACK");
+        return res.status(400).json({
+          success: false,
+          message: `Document is already ${document.status}`,
+        });
+      }
+
+      if (status === "approved") {
+        // The newly approved document replaces the previously approved one
+        await client.query(
+          `UPDATE driver_documents SET status = 'superseded'
+           WHERE user_id = $1 AND document_type = $2 AND status = 'approved'`,
+          [document.user_id, document.document_type]
+        );
+      }
+
+      const result = await client.query(
+        `UPDATE driver_documents
+         SET status = $1, rejection_reason = $2, reviewed_by = $3, reviewed_at = NOW()
+         WHERE id = $4
+         RETURNING id, user_id, document_type, expires_on, status, rejection_reason, reviewed_at`,
+        [status, status === "rejected" ? reason : null, req.user.id, id]
+      );
+
+      await revokeLicenseIfDocumentsInvalid(document.user_id, client);
+
+      await recordAdminAction(client, {
+        adminId: req.user.id,
+        action: status === "approved" ? "document_approved" : "document_rejected",
+        targetType: "driver_document",
+        targetId: document.id,
+        reason,
+        details: { user_id: document.user_id, document_type: document.document_type },
+      });
+
+      await client.query("COMMIT");
+
+      res.json({
+        success: true,
+        message: `Document ${status}`,
+        data: result.rows[0],
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error("Review driver document error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+/**
+ * Deactivate a user account and revoke all of its sessions
+ * @route PUT /api/admin/users/:id/deactivate
+ * @security JWT (admin)
+ * @param {string} req.body.reason - Reason for deactivation
+ * @returns {Object} 200 - Updated user
+ * @returns {Object} 400 - Missing reason or self-deactivation
+ * @returns {Object} 404 - User not found
+ */
+router.put("/users/:id/deactivate", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required",
+      });
+    }
+
+    if (parseInt(id) === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot deactivate your own account",
+      });
+    }
+
+    const client = await db.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const result = await client.query(
+        `UPDATE users SET is_active = FALSE
+         WHERE id = $1
+         RETURNING id, full_name, email, role, is_active`,
+        [id]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      await revokeAllSessions(id, client);
+
+      await recordAdminAction(client, {
+        adminId: req.user.id,
+        action: "user_deactivated",
+        targetType: "user",
+        targetId: parseInt(id),
+        reason,
+      });
+
+      await client.query("COMMIT");
+
+      res.json({
+        success: true,
+        message: "User deactivated successfully",
+        data: result.rows[0],
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error("Deactivate user error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+/**
+ * Reactivate a deactivated user account
+ * @route PUT /api/admin/users/:id/reactivate
+ * @security JWT (admin)
+ * @param {string} [req.body.reason] - Reason for reactivation
+ * @returns {Object} 200 - Updated user
+ * @returns {Object} 404 - User not found
+ */
+router.put("/users/:id/reactivate", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const client = await db.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const result = await client.query(
+        `UPDATE users SET is_active = TRUE
+         WHERE id = $1
+         RETURNING id, full_name, email, role, is_active`,
+        [id]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      await recordAdminAction(client, {
+        adminId: req.user.id,
+        action: "user_reactivated",
+        targetType: "user",
+        targetId: parseInt(id),
+        reason,
+      });
+
+      await client.query("COMMIT");
+
+      res.json({
+        success: true,
+        message: "User reactivated successfully",
+        data: result.rows[0],
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error("Reactivate user error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+/**
+ * List upcoming rides whose client-supplied distance was far off the computed
+ * route or could not be checked
+ * @route GET /api/admin/rides/flagged
+ * @security JWT (admin)
+ * @returns {Object} 200 - Flagged rides, soonest first
+ */
+router.get("/rides/flagged", async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT r.id, r.driver_id, u.full_name as driver_name, r.origin, r.destination,
+              r.departure_time, r.status, r.distance_km, r.client_distance_km, r.traffic_fee
+       FROM rides r
+       JOIN users u ON r.driver_id = u.id
+       WHERE r.distance_flagged = TRUE AND r.status = 'scheduled'
+       ORDER BY r.departure_time ASC`
+    );
+
+    res.json({
+      success: true,
+      data: result.rows.map(withLocalTimes),
+      count: result.rows.length,
+    });
+  } catch (error) {
+    console.error("Get flagged rides error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+/**
+ * Force-cancel a ride and all of its bookings
+ * @route PUT /api/admin/rides/:id/cancel
+ * @security JWT (admin)
+ * @param {string} req.body.reason - Reason for cancellation
+ * @returns {Object} 200 - Ride cancelled
+ * @returns {Object} 400 - Missing reason or ride already finished
+ * @returns {Object} 404 - Ride not found
+ */
+router.put("/rides/:id/cancel", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required",
+      });
+    }
+
+    const client = await db.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+      await setStatusContext(client, req.user.id, reason);
+
+      const rideResult = await client.query(
+        "SELECT * FROM rides WHERE id = $1 FOR UPDATE",
+        [id]
+      );
+
+      if (rideResult.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({
+          success: false,
+          message: "Ride not found",
+        });
+      }
+
+      const ride = rideResult.rows[0];
+
+      if (ride.status === "completed" || ride.status === "cancelled") {
+        await client.query("ROLLBACK");
+        return res.status(400).json({
+          success: false,
+          message: `Ride is already ${ride.status}`,
+        });
+      }
+
+      // Cancel the ride and all of its bookings
+      await cancelRides(client, [ride.id]);
+
+      await recordAdminAction(client, {
+        adminId: req.user.id,
+        action: "ride_cancelled",
+        targetType: "ride",
+        targetId: ride.id,
+        reason,
+        details: { driver_id: ride.driver_id, previous_status: ride.status },
+      });
+
+      await client.query("COMMIT");
+
+      res.json({
+        success: true,
+        message: "Ride cancelled successfully",
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error("Admin cancel ride error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+/**
+ * List reviews with open reports, most reported first
+ * @route GET /api/admin/reviews/reported
+ * @security JWT (admin)
+ * @returns {Object} 200 - Reported reviews with their open reports
+ */
+router.get("/reviews/reported", async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT r.id, r.booking_id, r.reviewer_id, u1.full_name as reviewer_name,
+              r.reviewee_id, u2.full_name as reviewee_name, r.reviewee_role,
+              r.rating, r.comment, r.reply, r.is_hidden, r.created_at,
+              COUNT(rr.id) as report_count,
+              MIN(rr.created_at) as first_reported_at,
+              json_agg(json_build_object(
+                'id', rr.id, 'reporter_id', rr.reporter_id, 'reason', rr.reason,
+                'details', rr.details, 'created_at', rr.created_at
+              ) ORDER BY rr.created_at) as reports
+       FROM review_reports rr
+       JOIN reviews r ON rr.review_id = r.id
+       JOIN users u1 ON r.reviewer_id = u1.id
+       JOIN users u2 ON r.reviewee_id = u2.id
+       WHERE rr.status = 'open'
+       GROUP BY r.id, u1.full_name, u2.full_name
+       ORDER BY COUNT(rr.id) DESC, MIN(rr.created_at) ASC`
+    );
+
+    res.json({
+      success: true,
+      data: result.rows.map((row) => ({ ...row, report_count: parseInt(row.report_count) })),
+      count: result.rows.length,
+    });
+  } catch (error) {
+    console.error("Get reported reviews error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+/**
+ * Hide a review from everyone but its reviewer and take it out of ratings.
+ * Its open reports are upheld.
+ * @route PUT /api/admin/reviews/:id/hide
+ * @security JWT (admin)
+ * @param {string} req.body.reason - Reason for hiding the review
+ * @returns {Object} 200 - Hidden review
+ * @returns {Object} 400 - Missing reason or review already hidden
+ * @returns {Object} 404 - Review not found
+ */
+router.put("/reviews/:id/hide", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required",
+      });
+    }
+
+    const client = await db.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const reviewResult = await client.query(
+        "SELECT * FROM reviews WHERE id = $1 FOR UPDATE",
+        [id]
+      );
+
+      if (reviewResult.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({
+          success: false,
+          message: "Review not found",
+        });
+      }
+
+      const review = reviewResult.rows[0];
+
+      if (review.is_hidden) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({
+          success: false,
+          message: "Review is already hidden",
+        });
+      }
+
+      const result = await moderateReview(client, review, true, req.user.id, reason);
+
+      await recordAdminAction(client, {
+        adminId: req.user.id,
+        action: "review_hidden",
+        targetType: "review",
+        targetId: review.id,
+        reason,
+        details: { reviewer_id: review.reviewer_id, reports_upheld: result.reports_resolved },
+      });
+
+      await client.query("COMMIT");
+
+      res.json({
+        success: true,
+        message: "Review hidden successfully",
+        data: result.review,
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error("Hide review error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+/**
+ * Restore a hidden review, or keep a reported review visible. Its open
+ * reports are dismissed.
+ * @route PUT /api/admin/reviews/:id/restore
+ * @security JWT (admin)
+ * @param {string} [req.body.reason] - Reason for the decision
+ * @returns {Object} 200 - Restored review
+ * @returns {Object} 400 - Review neither hidden nor reported
+ * @returns {Object} 404 - Review not found
+ */
+router.put("/reviews/:id/restore", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const client = await db.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const reviewResult = await client.query(
+        `SELECT rv.*,
+                EXISTS (
+                  SELECT 1 FROM review_reports
+                  WHERE review_id = rv.id AND status = 'open'
+                ) as reported
+         FROM reviews rv
+         WHERE rv.id = $1
+         FOR UPDATE`,
+        [id]
+      );
+
+      if (reviewResult.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({
+          success: false,
+          message: "Review not found",
+        });
+      }
+
+      const review = reviewResult.rows[0];
+
+      if (!review.is_hidden && !review.reported) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({
+          success: false,
+          message: "Review is neither hidden nor reported",
+        });
+      }
+
+      const result = await moderateReview(client, review, false, req.user.id);
+
+      await recordAdminAction(client, {
+        adminId: req.user.id,
+        action: "review_restored",
+        targetType: "review",
+        targetId: review.id,
+        reason,
+        details: {
+          reviewer_id: review.reviewer_id,
+          was_hidden: review.is_hidden,
+          reports_dismissed: result.reports_resolved,
+        },
+      });
+
+      await client.query("COMMIT");
+
+      res.json({
+        success: true,
+        message: "Review restored successfully",
+        data: result.review,
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error("Restore review error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+/**
+ * List recorded admin actions, newest first
+ * @route GET /api/admin/actions
+ * @security JWT (admin)
+ * @param {string} [req.query.target_type] - Filter by target type
+ * @param {number} [req.query.target_id] - Filter by target ID
+ * @param {number} [req.query.admin_id] - Filter by acting admin
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=50] - Results per page (max 100)
+ * @returns {Object} 200 - Admin actions
+ */
+router.get("/actions", async (req, res) => {
+  try {
+    const { target_type, target_id, admin_id, page = 1, limit = 50 } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 50));
+
+    let query = `
+      SELECT aa.*, u.full_name as admin_name
+      FROM admin_actions aa
+      LEFT JOIN users u ON aa.admin_id = u.id
+      WHERE 1 = 1
+    `;
+
+    const params = [];
+    let paramCount = 1;
+
+    if (target_type) {
+      query += ` AND aa.target_type = $${paramCount}`;
+      params.push(target_type);
+      paramCount++;
+    }
+
+    if (target_id) {
+      query += ` AND aa.target_id = $${paramCount}`;
+      params.push(parseInt(target_id));
+      paramCount++;
+    }
+
+    if (admin_id) {
+      query += ` AND aa.admin_id = $${paramCount}`;
+      params.push(parseInt(admin_id));
+      paramCount++;
+    }
+
+    query += ` ORDER BY aa.created_at DESC LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
+    params.push(limitNum, (pageNum - 1) * limitNum);
+
+    const result = await db.query(query, params);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length,
+    });
+  } catch (error) {
+    console.error("Get admin actions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+/**
+ * List background job runs, newest first
+ * @route GET /api/admin/jobs/runs
+ * @security JWT (admin)
+ * @param {string} [req.query.job] - Filter by job name
+ * @param {string} [req.query.status] - running | succeeded | failed
+ * @param {number} [req.query.limit=50] - Number of runs (max 100)
+ * @returns {Object} 200 - Job runs with their results
+ */
+router.get("/jobs/runs", async (req, res) => {
+  try {
+    const { job, status, limit = 50 } = req.query;
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 50));
+
+    let query = "SELECT * FROM job_runs WHERE 1 = 1";
+    const params = [];
+    let paramCount = 1;
+
+    if (job) {
+      query += ` AND job_name = $${paramCount}`;
+      params.push(job);
+      paramCount++;
+    }
+
+    if (status) {
+      query += ` AND status = $${paramCount}`;
+      params.push(status);
+      paramCount++;
+    }
+
+    query += ` ORDER BY started_at DESC LIMIT $${paramCount}`;
+    params.push(limitNum);
+
+    const result = await db.query(query, params);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length,
+    });
+  } catch (error) {
+    console.error("Get job runs error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+module.exports = router;
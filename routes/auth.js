@@ -6,10 +6,24 @@
 const express = require("express");
 const router = express.Router();
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const rateLimit = require("express-rate-limit");
 const db = require("../config/database");
-const { validateRegistration, validateLogin } = require("../utils/validators");
+const { authenticateToken } = require("../middleware/auth");
+const {
+  validateEmail,
+  validateRegistration,
+  validateLogin,
+} = require("../utils/validators");
+const { sendMail } = require("../utils/mailer");
+const { startPhoneVerification } = require("../utils/phoneVerification");
+const {
+  hashToken,
+  generateToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+} = require("../utils/tokens");
 
 // Rate limiting for authentication routes to prevent brute force attacks
 const authLimiter = rateLimit({
@@ -24,6 +38,22 @@ const authLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Stricter limiter for password reset requests to prevent email flooding and token guessing
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: process.env.NODE_ENV === 'development' ? 100 : 10,
+  message: {
+    success: false,
+    message:
+      "Too many password reset attempts. Please try again after 15 minutes.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const PASSWORD_RESET_TTL_MINUTES =
+  parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
 /**
  * Register a new user
  * @route POST /api/auth/register
@@ -33,7 +63,7 @@ const authLimiter = rateLimit({
  * @param {string} req.body.password - User's password (min 6 characters)
  * @param {string} req.body.role - User role (passenger, driver, or both)
  * @param {string} req.body.gender - User gender (male or female)
- * @returns {Object} 201 - User object and JWT token
+ * @returns {Object} 201 - User object, access token and refresh token (an OTP is sent to the phone)
  * @returns {Object} 400 - Validation error
  * @returns {Object} 409 - User already exists
  */
@@ -75,24 +105,27 @@ router.post("/register", authLimiter, async (req, res) => {
     const result = await db.query(
       `INSERT INTO users (full_name, email, phone, password_hash, role, gender)
        VALUES ($1, $2, $3, $4, $5, $6)
-       RETURNING id, full_name, email, phone, role, gender, is_verified, created_at`,
+       RETURNING id, full_name, email, phone, phone_verified, role, gender, is_verified, created_at`,
       [full_name, email, phone, password_hash, role || "passenger", gender]
     );
 
     const user = result.rows[0];
 
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+    // The phone number stays unverified until the OTP is confirmed
+    try {
+      await startPhoneVerification(user.id, user.phone, "registration");
+    } catch (smsError) {
+      console.error("Registration OTP error:", smsError);
+    }
+
+    const tokens = await createSession(user, req);
 
     res.status(201).json({
       success: true,
       message: "User registered successfully",
       data: {
         user,
-        token,
+        ...tokens,
       },
     });
   } catch (error) {
@@ -105,11 +138,11 @@ router.post("/register", authLimiter, async (req, res) => {
 });
 
 /**
- * Authenticate user and return JWT token
+ * Authenticate user and start a new session
  * @route POST /api/auth/login
  * @param {string} req.body.email - User's email address
  * @param {string} req.body.password - User's password
- * @returns {Object} 200 - User object and JWT token
+ * @returns {Object} 200 - User object, access token and refresh token
  * @returns {Object} 400 - Validation error
  * @returns {Object} 401 - Invalid credentials
  * @returns {Object} 403 - Account deactivated
@@ -156,11 +189,7 @@ router.post("/login", authLimiter, async (req, res) => {
       });
     }
 
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+    const tokens = await createSession(user, req);
 
     delete user.password_hash;
 
@@ -169,7 +198,7 @@ router.post("/login", authLimiter, async (req, res) => {
       message: "Login successful",
       data: {
         user,
-        token,
+        ...tokens,
       },
     });
   } catch (error) {
@@ -191,11 +220,16 @@ router.post("/login", authLimiter, async (req, res) => {
  */
 router.get(
   "/me",
-  require("../middleware/auth").authenticateToken,
+  authenticateToken,
   async (req, res) => {
     try {
       const result = await db.query(
-        "SELECT id, full_name, email, phone, role, gender, profile_picture, is_verified, is_active, created_at FROM users WHERE id = $1",
+        `SELECT u.id, u.full_name, u.email, u.phone, u.phone_verified, u.role, u.gender, u.profile_picture,
+                u.is_verified, u.university_id, u.university_email, uni.name as university_name,
+                u.is_active, u.created_at
+         FROM users u
+         LEFT JOIN universities uni ON u.university_id = uni.id
+         WHERE u.id = $1`,
         [req.user.id]
       );
 
@@ -220,4 +254,249 @@ router.get(
   }
 );
 
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * @route POST /api/auth/refresh
+ * @param {string} req.body.refresh_token - Current refresh token
+ * @returns {Object} 200 - New access token and rotated refresh token
+ * @returns {Object} 400 - Missing refresh token
+ * @returns {Object} 401 - Refresh token invalid, expired or revoked
+ */
+router.post("/refresh", authLimiter, async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({
+        success: false,
+        message: "Refresh token is required",
+      });
+    }
+
+    const result = await rotateRefreshToken(refresh_token, req);
+
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired refresh token",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Token refreshed successfully",
+      data: result.tokens,
+    });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+/**
+ * Log out of the current session
+ * @route POST /api/auth/logout
+ * @security JWT
+ * @returns {Object} 200 - Session revoked
+ */
+router.post("/logout", authenticateToken, async (req, res) => {
+  try {
+    await revokeSession(req.user.sid);
+
+    res.json({
+      success: true,
+      message: "Logged out successfully",
+    });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+/**
+ * Log out of every session of the current user (all devices)
+ * @route POST /api/auth/logout-all
+ * @security JWT
+ * @returns {Object} 200 - All sessions revoked
+ */
+router.post("/logout-all", authenticateToken, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.id);
+
+    res.json({
+      success: true,
+      message: "Logged out from all devices successfully",
+    });
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+/**
+ * Request a password reset email
+ * Always answers with the same message so it cannot be used to discover accounts.
+ * @route POST /api/auth/forgot-password
+ * @param {string} req.body.email - Account email address
+ * @returns {Object} 200 - Reset instructions sent (if the account exists)
+ * @returns {Object} 400 - Validation error
+ */
+router.post("/forgot-password", passwordResetLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || !validateEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: "Valid email is required",
+      });
+    }
+
+    const userResult = await db.query(
+      "SELECT id, full_name, email FROM users WHERE email = $1 AND is_active = TRUE",
+      [email]
+    );
+
+    if (userResult.rows.length > 0) {
+      const user = userResult.rows[0];
+      const resetToken = generateToken();
+
+      // Only the most recent reset link stays valid
+      await db.query(
+        "UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL",
+        [user.id]
+      );
+
+      await db.query(
+        `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+         VALUES ($1, $2, NOW() + ($3 || ' minutes')::INTERVAL, $4)`,
+        [user.id, hashToken(resetToken), String(PASSWORD_RESET_TTL_MINUTES), req.ip]
+      );
+
+      const resetUrl = `${process.env.FRONTEND_URL || "http://localhost:5173"}/reset-password?token=${resetToken}`;
+
+      try {
+        await sendMail({
+          to: user.email,
+          subject: "Reset your Tareeqi password",
+          text:
+            `Hi ${user.full_name},\n\n` +
+            `We received a request to reset your password. Use the link below within ` +
+            `${PASSWORD_RESET_TTL_MINUTES} minutes:\n\n${resetUrl}\n\n` +
+            `If you did not request this, you can ignore this email.`,
+        });
+      } catch (mailError) {
+        console.error("Password reset email error:", mailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message:
+        "If an account exists for this email, password reset instructions have been sent.",
+    });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+/**
+ * Set a new password using a reset token. The token is consumed and all
+ * existing sessions of the user are revoked.
+ * @route POST /api/auth/reset-password
+ * @param {string} req.body.token - Reset token from the email
+ * @param {string} req.body.new_password - New password (min 6 characters)
+ * @returns {Object} 200 - Password reset
+ * @returns {Object} 400 - Validation error or invalid/expired token
+ */
+router.post("/reset-password", passwordResetLimiter, async (req, res) => {
+  try {
+    const { token, new_password } = req.body;
+
+    if (!token || !new_password) {
+      return res.status(400).json({
+        success: false,
+        message: "Token and new password are required",
+      });
+    }
+
+    if (new_password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: "New password must be at least 6 characters long",
+      });
+    }
+
+    const client = await db.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const tokenResult = await client.query(
+        `SELECT prt.id, prt.user_id
+         FROM password_reset_tokens prt
+         JOIN users u ON prt.user_id = u.id
+         WHERE prt.token_hash = $1 AND prt.used_at IS NULL
+           AND prt.expires_at > NOW() AND u.is_active = TRUE
+         FOR UPDATE OF prt`,
+        [hashToken(token)]
+      );
+
+      if (tokenResult.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({
+          success: false,
+          message: "Invalid or expired reset token",
+        });
+      }
+
+      const { id: tokenId, user_id } = tokenResult.rows[0];
+      const password_hash = await bcrypt.hash(new_password, 10);
+
+      await client.query("UPDATE users SET password_hash = $1 WHERE id = $2", [
+        password_hash,
+        user_id,
+      ]);
+
+      await client.query(
+        "UPDATE password_reset_tokens SET used_at = NOW() WHERE id = $1",
+        [tokenId]
+      );
+
+      await revokeAllSessions(user_id, client);
+
+      await client.query("COMMIT");
+
+      res.json({
+        success: true,
+        message: "Password has been reset. Please log in with your new password.",
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
 module.exports = router;
@@ -7,6 +7,32 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const {
+  getRideStops,
+  segmentAvailableSeats,
+  refreshAvailableSeats
+} = require('../utils/rideStops');
+const { withLocalTimes } = require('../utils/time');
+const { startWindowOpensAt, RIDE_START_WINDOW_MINUTES } = require('../utils/rideLifecycle');
+const {
+  canChangeBookingStatus,
+  placeBooking,
+  modifyBooking,
+  resolveModification,
+  revertModifications
+} = require('../utils/bookings');
+const { offerFreedSeats } = require('../utils/waitlist');
+const {
+  CANCELLATION_REASON_MAX_LENGTH,
+  loadCancellationPolicy,
+  classifyCancellation,
+  recordCancellation
+} = require('../utils/reliability');
+const { setStatusContext, getStatusHistory } = require('../utils/statusHistory');
+const { passengerRatingError } = require('../utils/ratings');
+
+// Bookings of one ride wait for each other on the ride row, but not for long
+const BOOKING_LOCK_TIMEOUT = '5s';
 
 /**
  * Create a new booking for a ride
@@ -16,10 +42,14 @@ const { authenticateToken } = require('../middleware/auth');
  * @param {number} req.body.seats_booked - Number of seats to book (1-8)
  * @param {string} [req.body.pickup_location] - Custom pickup location
  * @param {string} [req.body.dropoff_location] - Custom dropoff location
+ * @param {number} [req.body.boarding_stop_order] - Stop to board at (default: origin)
+ * @param {number} [req.body.alighting_stop_order] - Stop to get off at (default: destination)
  * @returns {Object} 201 - Created booking object
- * @returns {Object} 400 - Validation error or insufficient seats
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 403 - Passenger rating below the ride's minimum
  * @returns {Object} 404 - Ride not found
- * @returns {Object} 409 - Already booked this ride
+ * @returns {Object} 409 - Already booked this ride, not enough seats left on the
+ *   segment, or the ride is too busy to book right now
  */
 router.post('/', authenticateToken, async (req, res) => {
   try {
@@ -27,7 +57,9 @@ router.post('/', authenticateToken, async (req, res) => {
       ride_id,
       seats_booked,
       pickup_location,
-      dropoff_location
+      dropoff_location,
+      boarding_stop_order,
+      alighting_stop_order
     } = req.body;
 
     if (!ride_id || !seats_booked) {
@@ -75,72 +107,99 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
-    if (ride.available_seats < seats_booked) {
-      return res.status(400).json({
+    const ratingError = await passengerRatingError(db, ride, req.user.id);
+    if (ratingError) {
+      return res.status(403).json({
         success: false,
-        message: `Only ${ride.available_seats} seats available`
+        message: ratingError
       });
     }
 
-    // Check for any existing booking (including cancelled)
-    const existingBooking = await db.query(
-      "SELECT * FROM bookings WHERE ride_id = $1 AND passenger_id = $2",
-      [ride_id, req.user.id]
-    );
+    // Stops are numbered from the origin (0) to the destination
+    const stops = await getRideStops(ride);
+    const lastStop = stops.length - 1;
+    const boarding = boarding_stop_order === undefined ? 0 : parseInt(boarding_stop_order);
+    const alighting = alighting_stop_order === undefined ? lastStop : parseInt(alighting_stop_order);
+
+    if (isNaN(boarding) || isNaN(alighting) || boarding < 0 || alighting > lastStop || boarding >= alighting) {
+      return res.status(400).json({
+        success: false,
+        message: `Boarding and alighting stops must be between 0 and ${lastStop}, boarding before alighting`
+      });
+    }
 
-    // Total price = price per seat * seats booked
-    // Note: price_per_seat already includes peak hour fee (calculated when ride was created)
-    const total_price = parseFloat(ride.price_per_seat) * seats_booked;
     const client = await db.pool.connect();
 
     try {
       await client.query('BEGIN');
+      await setStatusContext(client, req.user.id);
+
+      // Seats are checked and taken while holding the ride row, so concurrent
+      // bookings of the same ride cannot both take the last seat
+      await client.query(`SET LOCAL lock_timeout = '${BOOKING_LOCK_TIMEOUT}'`);
+      const lockedRide = await client.query(
+        'SELECT * FROM rides WHERE id = $1 FOR UPDATE',
+        [ride_id]
+      );
 
-      let bookingResult;
+      if (lockedRide.rows[0].status !== 'scheduled') {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          message: 'This ride is no longer available for booking'
+        });
+      }
 
-      if (existingBooking.rows.length > 0) {
-        const booking = existingBooking.rows[0];
+      // Booking directly takes the passenger off the ride's waitlist, which
+      // also releases any seats offered to them
+      const waitlistEntry = await client.query(
+        `UPDATE ride_waitlist SET status = 'accepted'
+         WHERE ride_id = $1 AND passenger_id = $2 AND status IN ('waiting', 'offered')
+         RETURNING id`,
+        [ride_id, req.user.id]
+      );
 
-        // If booking is pending or confirmed, user already has an active booking
-        if (booking.status === 'pending' || booking.status === 'confirmed') {
-          await client.query('ROLLBACK');
-          return res.status(409).json({
-            success: false,
-            message: 'You have already booked this ride'
-          });
-        }
+      const segmentSeats = await segmentAvailableSeats(client, lockedRide.rows[0], boarding, alighting);
+      if (segmentSeats < seatsNum) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          message: `Only ${segmentSeats} seats available from ${stops[boarding].name} to ${stops[alighting].name}`,
+          can_join_waitlist: true
+        });
+      }
 
-        // If booking was cancelled, reactivate it by updating to pending
-        bookingResult = await client.query(
-          `UPDATE bookings
-           SET status = 'pending', seats_booked = $1, total_price = $2,
-               pickup_location = $3, dropoff_location = $4
-           WHERE id = $5
-           RETURNING *`,
-          [seats_booked, total_price, pickup_location, dropoff_location, booking.id]
-        );
-      } else {
-        // No existing booking, create new one
-        bookingResult = await client.query(
-          `INSERT INTO bookings
-           (ride_id, passenger_id, seats_booked, total_price, pickup_location, dropoff_location)
-           VALUES ($1, $2, $3, $4, $5, $6)
-           RETURNING *`,
-          [ride_id, req.user.id, seats_booked, total_price, pickup_location, dropoff_location]
-        );
+      const placed = await placeBooking(client, lockedRide.rows[0], stops, req.user.id, {
+        seats_booked: seatsNum,
+        boarding_stop_order: boarding,
+        alighting_stop_order: alighting,
+        pickup_location,
+        dropoff_location
+      });
+
+      if (!placed) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          message: 'You have already booked this ride. Change that booking instead of booking again.'
+        });
       }
 
-      await client.query(
-        'UPDATE rides SET available_seats = available_seats - $1 WHERE id = $2',
-        [seats_booked, ride_id]
-      );
+      if (waitlistEntry.rows.length > 0) {
+        await client.query(
+          'UPDATE ride_waitlist SET booking_id = $1 WHERE id = $2',
+          [placed.booking.id, waitlistEntry.rows[0].id]
+        );
+      }
 
       await client.query('COMMIT');
 
       res.status(201).json({
         success: true,
-        message: 'Booking created successfully',
-        data: bookingResult.rows[0]
+        message: placed.instant
+          ? 'Booking confirmed'
+          : 'Booking request sent. The driver has until the approval deadline to respond.',
+        data: placed.booking
       });
     } catch (error) {
       await client.query('ROLLBACK');
@@ -149,6 +208,14 @@ router.post('/', authenticateToken, async (req, res) => {
       client.release();
     }
   } catch (error) {
+    // lock_not_available: other bookings held the ride for longer than the timeout
+    if (error.code === '55P03') {
+      return res.status(409).json({
+        success: false,
+        message: 'This ride is busy right now. Please try again.'
+      });
+    }
+
     console.error('Create booking error:', error);
     res.status(500).json({
       success: false,
@@ -179,19 +246,20 @@ router.get('/passenger/:passengerId', authenticateToken, async (req, res) => {
              r.status as ride_status,
              r.driver_id,
              u.full_name as driver_name,
-             u.phone as driver_phone,
+             CASE WHEN u.phone_verified THEN u.phone END as driver_phone,
              u.profile_picture as driver_picture,
-             dp.car_make,
-             dp.car_model,
-             dp.car_color,
-             dp.car_plate_number,
+             COALESCE(v.make, dp.car_make) as car_make,
+             COALESCE(v.model, dp.car_model) as car_model,
+             COALESCE(v.color, dp.car_color) as car_color,
+             COALESCE(v.plate_number, dp.car_plate_number) as car_plate_number,
              dp.rating as driver_rating,
-             (SELECT COUNT(*) FROM reviews WHERE reviewee_id = r.driver_id) as driver_total_reviews,
+             dp.total_reviews as driver_total_reviews,
              CASE WHEN rev.id IS NOT NULL THEN true ELSE false END as has_review
       FROM bookings b
       JOIN rides r ON b.ride_id = r.id
       JOIN users u ON r.driver_id = u.id
       JOIN driver_profiles dp ON r.driver_id = dp.user_id
+      LEFT JOIN vehicles v ON r.vehicle_id = v.id
       LEFT JOIN reviews rev ON rev.booking_id = b.id AND rev.reviewer_id = b.passenger_id
       WHERE b.passenger_id = $1
     `;
@@ -209,7 +277,7 @@ router.get('/passenger/:passengerId', authenticateToken, async (req, res) => {
 
     res.json({
       success: true,
-      data: result.rows,
+      data: result.rows.map(withLocalTimes),
       count: result.rows.length
     });
   } catch (error) {
@@ -248,9 +316,12 @@ router.get('/ride/:rideId', authenticateToken, async (req, res) => {
       `SELECT b.*,
               u.full_name as passenger_name,
               u.phone as passenger_phone,
-              u.profile_picture as passenger_picture
+              u.profile_picture as passenger_picture,
+              pr.average_rating as passenger_rating,
+              COALESCE(pr.total_reviews, 0) as passenger_total_reviews
        FROM bookings b
        JOIN users u ON b.passenger_id = u.id
+       LEFT JOIN user_rating_aggregates pr ON pr.user_id = b.passenger_id AND pr.role = 'passenger'
        WHERE b.ride_id = $1
        ORDER BY b.created_at DESC`,
       [rideId]
@@ -307,7 +378,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 
     res.json({
       success: true,
-      data: booking
+      data: withLocalTimes(booking)
     });
   } catch (error) {
     console.error('Get booking error:', error);
@@ -321,17 +392,25 @@ router.get('/:id', authenticateToken, async (req, res) => {
 router.put('/:id/status', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
 
-    if (!status || !['confirmed', 'rejected', 'cancelled', 'completed'].includes(status)) {
+    // Bookings are completed or marked as no-shows when their ride completes
+    if (!status || !['confirmed', 'rejected', 'cancelled'].includes(status)) {
       return res.status(400).json({
         success: false,
-        message: 'Valid status is required (confirmed, rejected, cancelled, completed)'
+        message: 'Valid status is required (confirmed, rejected, cancelled)'
+      });
+    }
+
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > CANCELLATION_REASON_MAX_LENGTH)) {
+      return res.status(400).json({
+        success: false,
+        message: `Reason must be text of at most ${CANCELLATION_REASON_MAX_LENGTH} characters`
       });
     }
 
     const bookingCheck = await db.query(
-      `SELECT b.*, r.driver_id, r.available_seats
+      `SELECT b.ride_id, b.passenger_id, r.driver_id
        FROM bookings b
        JOIN rides r ON b.ride_id = r.id
        WHERE b.id = $1`,
@@ -345,10 +424,8 @@ router.put('/:id/status', authenticateToken, async (req, res) => {
       });
     }
 
-    const booking = bookingCheck.rows[0];
-
-    const isDriver = booking.driver_id === req.user.id;
-    const isPassenger = booking.passenger_id === req.user.id;
+    const isDriver = bookingCheck.rows[0].driver_id === req.user.id;
+    const isPassenger = bookingCheck.rows[0].passenger_id === req.user.id;
 
     if (!isDriver && !isPassenger) {
       return res.status(403).json({
@@ -375,27 +452,272 @@ router.put('/:id/status', authenticateToken, async (req, res) => {
 
     try {
       await client.query('BEGIN');
+      await setStatusContext(client, req.user.id, reason);
+
+      // Lock the ride before the booking, like new bookings and the expiry
+      // job, and check the booking as it is now rather than as first read
+      await client.query(`SET LOCAL lock_timeout = '${BOOKING_LOCK_TIMEOUT}'`);
+      const rideResult = await client.query(
+        'SELECT * FROM rides WHERE id = $1 FOR UPDATE',
+        [bookingCheck.rows[0].ride_id]
+      );
+      const ride = rideResult.rows[0];
+
+      const bookingResult = await client.query('SELECT * FROM bookings WHERE id = $1 FOR UPDATE', [id]);
+      const booking = bookingResult.rows[0];
+
+      if (
+        status === 'confirmed' &&
+        booking.status === 'pending' &&
+        booking.approval_deadline &&
+        new Date(booking.approval_deadline) <= new Date()
+      ) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          success: false,
+          message: 'The approval deadline for this booking has passed'
+        });
+      }
 
-      // Restore seats when booking is cancelled or rejected (if not already in that state)
-      if ((status === 'cancelled' || status === 'rejected') &&
-          booking.status !== 'cancelled' && booking.status !== 'rejected') {
-        await client.query(
-          'UPDATE rides SET available_seats = available_seats + $1 WHERE id = $2',
-          [booking.seats_booked, booking.ride_id]
+      if (ride.status !== 'scheduled') {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          success: false,
+          message: `Bookings cannot be changed once the ride is ${ride.status}`
+        });
+      }
+
+      // Only requests are answered here; a cancelled, rejected or expired
+      // booking becomes active again by booking the ride again
+      if (
+        !canChangeBookingStatus(booking.status, status) ||
+        (status !== 'cancelled' && booking.status !== 'pending')
+      ) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          success: false,
+          message: `A ${booking.status} booking cannot be ${status}`
+        });
+      }
+
+      const freesSeats = status === 'cancelled' || status === 'rejected';
+
+      // Rejecting a seat increase only drops the increase; the booking goes
+      // back to its previous seats
+      const restored = status === 'rejected'
+        ? await revertModifications(client, [booking.id], 'rejected')
+        : [];
+
+      let result;
+
+      if (restored.length > 0) {
+        result = await client.query('SELECT * FROM bookings WHERE id = $1', [id]);
+      } else {
+        result = await client.query(
+          'UPDATE bookings SET status = $1 WHERE id = $2 RETURNING *',
+          [status, id]
+        );
+
+        // Free the booked segment and offer it to the ride's waitlist
+        if (freesSeats) {
+          await refreshAvailableSeats(client, booking.ride_id);
+          await offerFreedSeats(client, booking.ride_id);
+        }
+      }
+
+      if (status === 'confirmed') {
+        await resolveModification(client, booking.id, 'approved');
+      }
+
+      // Cancelling a confirmed booking close to departure counts against
+      // whoever cancelled it
+      let cancellation = null;
+      if (status === 'cancelled') {
+        const awaitedIncrease = await resolveModification(client, booking.id, 'cancelled');
+        const policy = await loadCancellationPolicy(client);
+        cancellation = await recordCancellation(client, {
+          user_id: req.user.id,
+          role: isDriver ? 'driver' : 'passenger',
+          ride_id: booking.ride_id,
+          booking_id: booking.id,
+          reason,
+          ...classifyCancellation(ride.departure_time, policy, {
+            committed: booking.status === 'confirmed' || awaitedIncrease
+          })
+        });
+      }
+
+      await client.query('COMMIT');
+
+      const response = {
+        success: true,
+        message: restored.length > 0
+          ? 'Seat change rejected. The booking keeps its previous seats.'
+          : 'Booking status updated successfully',
+        data: result.rows[0]
+      };
+
+      if (cancellation) {
+        response.cancellation = {
+          category: cancellation.category,
+          penalty_points: parseFloat(cancellation.penalty_points),
+          reason: cancellation.reason
+        };
+      }
+
+      res.json(response);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    // lock_not_available: other bookings held the ride for longer than the timeout
+    if (error.code === '55P03') {
+      return res.status(409).json({
+        success: false,
+        message: 'This ride is busy right now. Please try again.'
+      });
+    }
+
+    console.error('Update booking status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Change the seats or pickup/dropoff locations of a booking
+ * @route PATCH /api/bookings/:id
+ * @security JWT
+ * @param {number} [req.body.seats_booked] - New number of seats (1-8)
+ * @param {string} [req.body.pickup_location] - New pickup location
+ * @param {string} [req.body.dropoff_location] - New dropoff location
+ * @returns {Object} 200 - Updated booking and the recorded modification
+ * @returns {Object} 400 - Validation error, or the booking or ride can no longer be changed
+ * @returns {Object} 403 - Not the passenger
+ * @returns {Object} 404 - Booking not found
+ * @returns {Object} 409 - Not enough seats left, a seat change is already waiting
+ *   for the driver, or the ride is too busy right now
+ */
+router.patch('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { seats_booked, pickup_location, dropoff_location } = req.body;
+
+    if (seats_booked === undefined && pickup_location === undefined && dropoff_location === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide seats_booked, pickup_location or dropoff_location to change'
+      });
+    }
+
+    const seatsNum = seats_booked === undefined ? undefined : parseInt(seats_booked);
+    if (seatsNum !== undefined && (isNaN(seatsNum) || seatsNum < 1 || seatsNum > 8)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Seats booked must be between 1 and 8'
+      });
+    }
+
+    const bookingCheck = await db.query('SELECT ride_id, passenger_id FROM bookings WHERE id = $1', [id]);
+
+    if (bookingCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (bookingCheck.rows[0].passenger_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the passenger can change this booking'
+      });
+    }
+
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await setStatusContext(client, req.user.id);
+
+      // Seats are checked and taken under the ride lock, like new bookings
+      await client.query(`SET LOCAL lock_timeout = '${BOOKING_LOCK_TIMEOUT}'`);
+      const rideResult = await client.query(
+        'SELECT * FROM rides WHERE id = $1 FOR UPDATE',
+        [bookingCheck.rows[0].ride_id]
+      );
+      const ride = rideResult.rows[0];
+
+      const bookingResult = await client.query('SELECT * FROM bookings WHERE id = $1 FOR UPDATE', [id]);
+      const booking = bookingResult.rows[0];
+
+      if (!['pending', 'confirmed'].includes(booking.status)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          success: false,
+          message: `A ${booking.status} booking cannot be changed`
+        });
+      }
+
+      if (ride.status !== 'scheduled' || new Date(ride.departure_time) <= new Date()) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          success: false,
+          message: 'Bookings cannot be changed once the ride has departed'
+        });
+      }
+
+      const awaiting = await client.query(
+        `SELECT id FROM booking_modifications WHERE booking_id = $1 AND approval_status = 'pending'`,
+        [id]
+      );
+      if (awaiting.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          message: 'A seat change for this booking is still waiting for the driver'
+        });
+      }
+
+      if (seatsNum > booking.seats_booked) {
+        const segmentSeats = await segmentAvailableSeats(
+          client,
+          ride,
+          booking.boarding_stop_order,
+          booking.alighting_stop_order,
+          booking.id
         );
+        if (segmentSeats < seatsNum) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({
+            success: false,
+            message: `Only ${segmentSeats} seats available for this booking`
+          });
+        }
       }
 
-      const result = await client.query(
-        'UPDATE bookings SET status = $1 WHERE id = $2 RETURNING *',
-        [status, id]
+      const { booking: updated, modification } = await modifyBooking(
+        client,
+        ride,
+        booking,
+        { seats_booked: seatsNum, pickup_location, dropoff_location },
+        req.user.id
       );
 
       await client.query('COMMIT');
 
       res.json({
         success: true,
-        message: 'Booking status updated successfully',
-        data: result.rows[0]
+        message: modification.approval_status === 'pending'
+          ? 'Seat change sent to the driver for approval. Your current seats stay booked until then.'
+          : 'Booking updated successfully',
+        data: updated,
+        modification
       });
     } catch (error) {
       await client.query('ROLLBACK');
@@ -404,7 +726,283 @@ router.put('/:id/status', authenticateToken, async (req, res) => {
       client.release();
     }
   } catch (error) {
-    console.error('Update booking status error:', error);
+    // lock_not_available: other bookings held the ride for longer than the timeout
+    if (error.code === '55P03') {
+      return res.status(409).json({
+        success: false,
+        message: 'This ride is busy right now. Please try again.'
+      });
+    }
+
+    console.error('Modify booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * List the modifications of a booking, newest first
+ * @route GET /api/bookings/:id/modifications
+ * @security JWT
+ * @returns {Object} 200 - Modifications
+ * @returns {Object} 403 - Not the passenger or the driver
+ * @returns {Object} 404 - Booking not found
+ */
+router.get('/:id/modifications', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const bookingCheck = await db.query(
+      `SELECT b.passenger_id, r.driver_id
+       FROM bookings b
+       JOIN rides r ON b.ride_id = r.id
+       WHERE b.id = $1`,
+      [id]
+    );
+
+    if (bookingCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const { passenger_id, driver_id } = bookingCheck.rows[0];
+    if (req.user.id !== passenger_id && req.user.id !== driver_id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view this booking'
+      });
+    }
+
+    const result = await db.query(
+      `SELECT m.*, u.full_name as modified_by_name
+       FROM booking_modifications m
+       LEFT JOIN users u ON m.modified_by = u.id
+       WHERE m.booking_id = $1
+       ORDER BY m.created_at DESC, m.id DESC`,
+      [id]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length
+    });
+  } catch (error) {
+    console.error('Get booking modifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * List the status changes of a booking, oldest first
+ * @route GET /api/bookings/:id/history
+ * @security JWT
+ * @returns {Object} 200 - Status changes with who made them and why
+ * @returns {Object} 403 - Not the passenger or the driver
+ * @returns {Object} 404 - Booking not found
+ */
+router.get('/:id/history', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const bookingCheck = await db.query(
+      `SELECT b.passenger_id, r.driver_id
+       FROM bookings b
+       JOIN rides r ON b.ride_id = r.id
+       WHERE b.id = $1`,
+      [id]
+    );
+
+    if (bookingCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const { passenger_id, driver_id } = bookingCheck.rows[0];
+    if (req.user.id !== passenger_id && req.user.id !== driver_id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view this booking'
+      });
+    }
+
+    const history = await getStatusHistory('booking', id);
+
+    res.json({
+      success: true,
+      data: history,
+      count: history.length
+    });
+  } catch (error) {
+    console.error('Get booking history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Check in at the pickup point of a confirmed booking
+ * @route PUT /api/bookings/:id/check-in
+ * @security JWT
+ * @returns {Object} 200 - Updated booking
+ * @returns {Object} 400 - Booking not confirmed, already checked in, or too early
+ * @returns {Object} 403 - Not the passenger
+ * @returns {Object} 404 - Booking not found
+ */
+router.put('/:id/check-in', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const bookingCheck = await db.query(
+      `SELECT b.*, r.departure_time, r.status as ride_status
+       FROM bookings b
+       JOIN rides r ON b.ride_id = r.id
+       WHERE b.id = $1`,
+      [id]
+    );
+
+    if (bookingCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const booking = bookingCheck.rows[0];
+
+    if (booking.passenger_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the passenger can check in'
+      });
+    }
+
+    if (booking.status !== 'confirmed' || !['scheduled', 'in_progress'].includes(booking.ride_status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only confirmed bookings of upcoming rides can be checked in'
+      });
+    }
+
+    if (booking.checked_in_at) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already checked in'
+      });
+    }
+
+    if (new Date() < startWindowOpensAt(booking)) {
+      return res.status(400).json({
+        success: false,
+        message: `Check-in opens ${RIDE_START_WINDOW_MINUTES} minutes before departure`
+      });
+    }
+
+    const result = await db.query(
+      'UPDATE bookings SET checked_in_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+      [id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Checked in successfully',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Check in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Confirm that the passenger of a booking has boarded. Confirmed passengers
+ * who have not boarded when the ride completes are marked as no-shows.
+ * @route PUT /api/bookings/:id/board
+ * @security JWT
+ * @returns {Object} 200 - Updated booking
+ * @returns {Object} 400 - Ride not in progress, booking not confirmed or already boarded
+ * @returns {Object} 403 - Not the driver
+ * @returns {Object} 404 - Booking not found
+ */
+router.put('/:id/board', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const bookingCheck = await db.query(
+      `SELECT b.*, r.driver_id, r.status as ride_status
+       FROM bookings b
+       JOIN rides r ON b.ride_id = r.id
+       WHERE b.id = $1`,
+      [id]
+    );
+
+    if (bookingCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const booking = bookingCheck.rows[0];
+
+    if (booking.driver_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the driver can confirm boarding'
+      });
+    }
+
+    if (booking.ride_status !== 'in_progress') {
+      return res.status(400).json({
+        success: false,
+        message: 'Passengers can only board once the ride has started'
+      });
+    }
+
+    if (booking.status !== 'confirmed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only confirmed bookings can board'
+      });
+    }
+
+    if (booking.boarded_at) {
+      return res.status(400).json({
+        success: false,
+        message: 'Passenger has already boarded'
+      });
+    }
+
+    const result = await db.query(
+      `UPDATE bookings
+       SET boarded_at = CURRENT_TIMESTAMP,
+           checked_in_at = COALESCE(checked_in_at, CURRENT_TIMESTAMP)
+       WHERE id = $1
+       RETURNING *`,
+      [id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Boarding confirmed',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Board booking error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
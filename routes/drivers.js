@@ -7,7 +7,37 @@ const express = require("express");
 const router = express.Router();
 const db = require("../config/database");
 const { authenticateToken } = require("../middleware/auth");
+const multer = require("multer");
 const { authorizeDriver } = require("../middleware/authorize");
+const { saveFile, readFile, deleteFile } = require("../utils/storage");
+const {
+  DOCUMENT_TYPES,
+  MAX_DOCUMENT_SIZE_BYTES,
+  ALLOWED_FILE_TYPES,
+  validateDocumentFile,
+} = require("../utils/driverDocuments");
+const { getReliability } = require("../utils/reliability");
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_DOCUMENT_SIZE_BYTES, files: 1 },
+});
+
+// Turn multer errors (e.g. file too large) into 400 responses
+const uploadDocument = (req, res, next) => {
+  upload.single("file")(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message:
+          err.code === "LIMIT_FILE_SIZE"
+            ? `File must be smaller than ${MAX_DOCUMENT_SIZE_BYTES / (1024 * 1024)} MB`
+            : err.message,
+      });
+    }
+    next();
+  });
+};
 
 /**
  * Create a new driver profile
@@ -20,7 +50,8 @@ const { authorizeDriver } = require("../middleware/authorize");
  * @param {string} req.body.car_color - Vehicle color
  * @param {string} req.body.car_plate_number - Vehicle plate number
  * @param {number} req.body.car_seats - Number of passenger seats (1-8)
- * @returns {Object} 201 - Created driver profile
+ * @param {string} [req.body.fuel_type] - Fuel type of the car (default petrol)
+ * @returns {Object} 201 - Created driver profile (the car is added as default vehicle)
  * @returns {Object} 409 - Profile already exists
  */
 router.post("/", authenticateToken, authorizeDriver, async (req, res) => {
@@ -33,6 +64,7 @@ router.post("/", authenticateToken, authorizeDriver, async (req, res) => {
       car_color,
       car_plate_number,
       car_seats,
+      fuel_type,
     } = req.body;
 
     if (
@@ -62,28 +94,58 @@ router.post("/", authenticateToken, authorizeDriver, async (req, res) => {
       });
     }
 
-    const result = await db.query(
-      `INSERT INTO driver_profiles
-       (user_id, license_number, car_make, car_model, car_year, car_color, car_plate_number, car_seats)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-       RETURNING *`,
-      [
-        req.user.id,
-        license_number,
-        car_make,
-        car_model,
-        car_year,
-        car_color,
-        car_plate_number,
-        car_seats,
-      ]
-    );
-
-    res.status(201).json({
-      success: true,
-      message: "Driver profile created successfully",
-      data: result.rows[0],
-    });
+    const client = await db.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const result = await client.query(
+        `INSERT INTO driver_profiles
+         (user_id, license_number, car_make, car_model, car_year, car_color, car_plate_number, car_seats)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [
+          req.user.id,
+          license_number,
+          car_make,
+          car_model,
+          car_year,
+          car_color,
+          car_plate_number,
+          car_seats,
+        ]
+      );
+
+      // The car given at onboarding becomes the driver's default vehicle
+      await client.query(
+        `INSERT INTO vehicles
+         (driver_id, make, model, year, color, plate_number, seats, fuel_type, is_default)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, TRUE)`,
+        [
+          req.user.id,
+          car_make,
+          car_model,
+          car_year,
+          car_color,
+          car_plate_number,
+          car_seats,
+          fuel_type || "petrol",
+        ]
+      );
+
+      await client.query("COMMIT");
+
+      res.status(201).json({
+        success: true,
+        message: "Driver profile created successfully",
+        data: result.rows[0],
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
   } catch (error) {
     console.error("Create driver profile error:", error);
 
@@ -101,6 +163,241 @@ router.post("/", authenticateToken, authorizeDriver, async (req, res) => {
   }
 });
 
+/**
+ * Upload a driver document (multipart/form-data)
+ * @route POST /api/drivers/:userId/documents/:type
+ * @security JWT
+ * @param {string} req.params.type - license, vehicle_registration or insurance
+ * @param {File} req.file - The document (field "file"; JPEG, PNG or PDF)
+ * @param {string} req.body.expires_on - Expiry date (YYYY-MM-DD, in the future)
+ * @returns {Object} 201 - Created document pending review
+ * @returns {Object} 400 - Invalid type, file or expiry date
+ * @returns {Object} 403 - Not your driver profile
+ * @returns {Object} 404 - Driver profile not found
+ */
+router.post(
+  "/:userId/documents/:type",
+  authenticateToken,
+  authorizeDriver,
+  uploadDocument,
+  async (req, res) => {
+    try {
+      const { userId, type } = req.params;
+      const { expires_on } = req.body;
+
+      if (req.user.id !== parseInt(userId)) {
+        return res.status(403).json({
+          success: false,
+          message: "You can only upload documents for your own driver profile",
+        });
+      }
+
+      if (!DOCUMENT_TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          message: `Document type must be one of: ${DOCUMENT_TYPES.join(", ")}`,
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: "A file is required",
+        });
+      }
+
+      const fileError = validateDocumentFile(req.file);
+      if (fileError) {
+        return res.status(400).json({
+          success: false,
+          message: fileError,
+        });
+      }
+
+      if (
+        !expires_on ||
+        !/^\d{4}-\d{2}-\d{2}$/.test(expires_on) ||
+        isNaN(new Date(expires_on)) ||
+        new Date(expires_on) <= new Date()
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "A future expiry date (YYYY-MM-DD) is required",
+        });
+      }
+
+      const profile = await db.query(
+        "SELECT id FROM driver_profiles WHERE user_id = $1",
+        [userId]
+      );
+
+      if (profile.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Driver profile not found",
+        });
+      }
+
+      const storageKey = await saveFile(
+        `driver-documents/${userId}`,
+        req.file.buffer,
+        ALLOWED_FILE_TYPES[req.file.mimetype].extension
+      );
+
+      const client = await db.pool.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        // Older uploads still waiting for review are replaced by this one
+        await client.query(
+          `UPDATE driver_documents SET status = 'superseded'
+           WHERE user_id = $1 AND document_type = $2 AND status = 'pending'`,
+          [userId, type]
+        );
+
+        const result = await client.query(
+          `INSERT INTO driver_documents
+           (user_id, document_type, storage_key, original_name, mime_type, size_bytes, expires_on)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING id, user_id, document_type, original_name, mime_type, size_bytes,
+                     expires_on, status, created_at`,
+          [
+            userId,
+            type,
+            storageKey,
+            req.file.originalname,
+            req.file.mimetype,
+            req.file.size,
+            expires_on,
+          ]
+        );
+
+        await client.query("COMMIT");
+
+        res.status(201).json({
+          success: true,
+          message: "Document uploaded and pending review",
+          data: result.rows[0],
+        });
+      } catch (error) {
+        await client.query("ROLLBACK");
+
+        // The file was saved first; without its row nothing would refer to it
+        try {
+          await deleteFile(storageKey);
+        } catch (deleteError) {
+          console.error(`Failed to delete uploaded document ${storageKey}:`, deleteError);
+        }
+
+        throw error;
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      console.error("Upload driver document error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * List a driver's current documents (self or admin)
+ * @route GET /api/drivers/:userId/documents
+ * @security JWT
+ * @returns {Object} 200 - Documents, excluding superseded uploads
+ * @returns {Object} 403 - Not your driver profile
+ */
+router.get("/:userId/documents", authenticateToken, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (req.user.id !== parseInt(userId) && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        message: "You can only view your own documents",
+      });
+    }
+
+    const result = await db.query(
+      `SELECT id, user_id, document_type, original_name, mime_type, size_bytes,
+              expires_on, status, rejection_reason, reviewed_at, created_at
+       FROM driver_documents
+       WHERE user_id = $1 AND status != 'superseded'
+       ORDER BY document_type, created_at DESC`,
+      [userId]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length,
+    });
+  } catch (error) {
+    console.error("Get driver documents error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+/**
+ * Download a driver document file (self or admin)
+ * @route GET /api/drivers/:userId/documents/:documentId/file
+ * @security JWT
+ * @returns {File} 200 - Document contents
+ * @returns {Object} 403 - Not your driver profile
+ * @returns {Object} 404 - Document not found
+ */
+router.get(
+  "/:userId/documents/:documentId/file",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { userId, documentId } = req.params;
+
+      if (req.user.id !== parseInt(userId) && req.user.role !== "admin") {
+        return res.status(403).json({
+          success: false,
+          message: "You can only view your own documents",
+        });
+      }
+
+      const result = await db.query(
+        "SELECT * FROM driver_documents WHERE id = $1 AND user_id = $2",
+        [documentId, userId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Document not found",
+        });
+      }
+
+      const document = result.rows[0];
+      const contents = await readFile(document.storage_key);
+
+      res.set("Content-Type", document.mime_type);
+      res.set(
+        "Content-Disposition",
+        `inline; filename="${document.document_type}${ALLOWED_FILE_TYPES[document.mime_type].extension}"`
+      );
+      res.send(contents);
+    } catch (error) {
+      console.error("Get driver document file error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
 router.get("/:userId", authenticateToken, async (req, res) => {
   try {
     const { userId } = req.params;
@@ -120,9 +417,20 @@ router.get("/:userId", authenticateToken, async (req, res) => {
       });
     }
 
+    const vehicles = await db.query(
+      `SELECT * FROM vehicles
+       WHERE driver_id = $1 AND is_active = TRUE
+       ORDER BY is_default DESC, created_at ASC`,
+      [userId]
+    );
+
     res.json({
       success: true,
-      data: result.rows[0],
+      data: {
+        ...result.rows[0],
+        vehicles: vehicles.rows,
+        reliability: await getReliability(userId, "driver"),
+      },
     });
   } catch (error) {
     console.error("Get driver profile error:", error);
@@ -152,8 +460,53 @@ router.put("/:userId", authenticateToken, authorizeDriver, async (req, res) => {
       car_color,
       car_plate_number,
       car_seats,
+      instant_booking,
+      instant_booking_verified_only,
+      instant_booking_min_rating,
     } = req.body;
 
+    if (
+      (instant_booking !== undefined && typeof instant_booking !== "boolean") ||
+      (instant_booking_verified_only !== undefined &&
+        typeof instant_booking_verified_only !== "boolean")
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "instant_booking and instant_booking_verified_only must be true or false",
+      });
+    }
+
+    if (
+      instant_booking_min_rating !== undefined &&
+      instant_booking_min_rating !== null &&
+      !(Number(instant_booking_min_rating) >= 0 && Number(instant_booking_min_rating) <= 5)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Minimum passenger rating must be between 0 and 5",
+      });
+    }
+
+    // The default vehicle takes these seats, so they cannot drop below an
+    // upcoming ride using it, as when editing the vehicle itself
+    if (car_seats) {
+      const ridesCheck = await db.query(
+        `SELECT MAX(r.total_seats) as max_seats FROM rides r
+         JOIN vehicles v ON v.id = r.vehicle_id
+         WHERE v.driver_id = $1 AND v.is_default = TRUE AND v.is_active = TRUE
+           AND r.status = 'scheduled'`,
+        [userId]
+      );
+      const maxSeats = ridesCheck.rows[0].max_seats;
+
+      if (maxSeats && parseInt(car_seats) < maxSeats) {
+        return res.status(400).json({
+          success: false,
+          message: `Seats cannot be lower than an upcoming ride using this vehicle (${maxSeats} seats)`,
+        });
+      }
+    }
+
     const updates = [];
     const values = [];
     let paramCount = 1;
@@ -162,6 +515,9 @@ router.put("/:userId", authenticateToken, authorizeDriver, async (req, res) => {
       updates.push(`license_number = $${paramCount}`);
       values.push(license_number);
       paramCount++;
+
+      // A new license number has to be reviewed again by an admin
+      updates.push("license_verified = FALSE", "license_status = 'pending'");
     }
 
     if (car_make) {
@@ -200,6 +556,25 @@ router.put("/:userId", authenticateToken, authorizeDriver, async (req, res) => {
       paramCount++;
     }
 
+    // Rides without their own setting follow these
+    if (instant_booking !== undefined) {
+      updates.push(`instant_booking = $${paramCount}`);
+      values.push(instant_booking);
+      paramCount++;
+    }
+
+    if (instant_booking_verified_only !== undefined) {
+      updates.push(`instant_booking_verified_only = $${paramCount}`);
+      values.push(instant_booking_verified_only);
+      paramCount++;
+    }
+
+    if (instant_booking_min_rating !== undefined) {
+      updates.push(`instant_booking_min_rating = $${paramCount}`);
+      values.push(instant_booking_min_rating);
+      paramCount++;
+    }
+
     if (updates.length === 0) {
       return res.status(400).json({
         success: false,
@@ -209,28 +584,67 @@ router.put("/:userId", authenticateToken, authorizeDriver, async (req, res) => {
 
     values.push(userId);
 
-    const result = await db.query(
-      `UPDATE driver_profiles
-       SET ${updates.join(", ")}
-       WHERE user_id = $${paramCount}
-       RETURNING *`,
-      values
-    );
+    const client = await db.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const result = await client.query(
+        `UPDATE driver_profiles
+         SET ${updates.join(", ")}
+         WHERE user_id = $${paramCount}
+         RETURNING *`,
+        values
+      );
+
+      if (result.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({
+          success: false,
+          message: "Driver profile not found",
+        });
+      }
+
+      // Keep the default vehicle in line with the profile's car fields
+      const profile = result.rows[0];
+      await client.query(
+        `UPDATE vehicles
+         SET make = $1, model = $2, year = $3, color = $4, plate_number = $5, seats = $6
+         WHERE driver_id = $7 AND is_default = TRUE AND is_active = TRUE`,
+        [
+          profile.car_make,
+          profile.car_model,
+          profile.car_year,
+          profile.car_color,
+          profile.car_plate_number,
+          profile.car_seats,
+          userId,
+        ]
+      );
+
+      await client.query("COMMIT");
+
+      res.json({
+        success: true,
+        message: "Driver profile updated successfully",
+        data: profile,
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error("Update driver profile error:", error);
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({
+    if (error.code === "23505") {
+      return res.status(409).json({
         success: false,
-        message: "Driver profile not found",
+        message: "License number or car plate number already exists",
       });
     }
 
-    res.json({
-      success: true,
-      message: "Driver profile updated successfully",
-      data: result.rows[0],
-    });
-  } catch (error) {
-    console.error("Update driver profile error:", error);
     res.status(500).json({
       success: false,
       message: "Internal server error",
@@ -243,7 +657,8 @@ router.get("/", authenticateToken, async (req, res) => {
     const { min_rating, car_make } = req.query;
 
     let query = `
-      SELECT dp.*, u.full_name, u.profile_picture, u.phone
+      SELECT dp.*, u.full_name, u.profile_picture,
+             CASE WHEN u.phone_verified THEN u.phone END as phone
       FROM driver_profiles dp
       JOIN users u ON dp.user_id = u.id
       WHERE u.is_active = TRUE AND dp.license_verified = TRUE
@@ -264,7 +679,8 @@ router.get("/", authenticateToken, async (req, res) => {
       paramCount++;
     }
 
-    query += " ORDER BY dp.rating DESC, dp.total_rides DESC";
+    // Weighted ratings keep drivers with a few reviews from outranking well-reviewed ones
+    query += " ORDER BY dp.weighted_rating DESC, dp.total_reviews DESC, dp.total_rides DESC";
 
     const result = await db.query(query, params);
 
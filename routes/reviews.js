@@ -7,6 +7,24 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { RATING_ROLES, getRatings } = require('../utils/ratings');
+const {
+  REVIEW_WINDOW_DAYS,
+  reviewWindowClosesAt,
+  reviewLocked,
+  revealBookingReviews
+} = require('../utils/reviews');
+
+const {
+  REVIEW_DETAILS,
+  reviewDetailsError,
+  saveReviewDetails,
+  getReviewDetailStats
+} = require('../utils/reviewCategories');
+const { REPORT_REASONS, MAX_REPLY_LENGTH } = require('../utils/reviewModeration');
+
+const REVIEW_LOCKED_MESSAGE =
+  'Reviews cannot be changed once they are revealed or the review window has closed';
 
 /**
  * Create a new review for a completed booking
@@ -16,14 +34,17 @@ const { authenticateToken } = require('../middleware/auth');
  * @param {number} req.body.reviewee_id - ID of the user being reviewed
  * @param {number} req.body.rating - Rating from 1 to 5
  * @param {string} [req.body.comment] - Optional review comment
- * @returns {Object} 201 - Created review object
- * @returns {Object} 400 - Validation error
+ * @param {Object} [req.body.category_ratings] - Ratings (1-5) by category
+ * @param {string[]} [req.body.tags] - Tags from the fixed set for the reviewee's role
+ * @returns {Object} 201 - Created review, hidden until the other side reviews
+ *   or the review window closes
+ * @returns {Object} 400 - Validation error or review window closed
  * @returns {Object} 403 - Not authorized to review
  * @returns {Object} 409 - Already reviewed
  */
 router.post('/', authenticateToken, async (req, res) => {
   try {
-    const { booking_id, reviewee_id, rating, comment } = req.body;
+    const { booking_id, reviewee_id, rating, comment, category_ratings, tags } = req.body;
 
     if (!booking_id || !reviewee_id || !rating) {
       return res.status(400).json({
@@ -80,46 +101,78 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
-    const existingReview = await db.query(
-      'SELECT * FROM reviews WHERE booking_id = $1 AND reviewer_id = $2',
-      [booking_id, req.user.id]
-    );
+    // Drivers rate passengers and passengers rate drivers
+    const revieweeRole = isDriver ? 'passenger' : 'driver';
 
-    if (existingReview.rows.length > 0) {
-      return res.status(409).json({
+    const detailsError = reviewDetailsError(revieweeRole, category_ratings, tags);
+    if (detailsError) {
+      return res.status(400).json({
         success: false,
-        message: 'You have already reviewed this booking'
+        message: detailsError
       });
     }
 
-    const result = await db.query(
-      `INSERT INTO reviews (booking_id, reviewer_id, reviewee_id, rating, comment)
-       VALUES ($1, $2, $3, $4, $5)
-       RETURNING *`,
-      [booking_id, req.user.id, reviewee_id, rating, comment]
-    );
+    const windowClosesAt = reviewWindowClosesAt(booking);
+    if (windowClosesAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: `The review window for this booking closed ${REVIEW_WINDOW_DAYS} days after the ride`
+      });
+    }
 
-    // Calculate average rating
-    const statsResult = await db.query(
-      `SELECT ROUND(AVG(rating)::numeric, 2) as avg_rating
-       FROM reviews
-       WHERE reviewee_id = $1`,
-      [reviewee_id]
-    );
+    const client = await db.pool.connect();
 
-    // Update driver profile with new rating
-    await db.query(
-      `UPDATE driver_profiles
-       SET rating = $1
-       WHERE user_id = $2`,
-      [statsResult.rows[0].avg_rating, reviewee_id]
-    );
+    try {
+      await client.query('BEGIN');
 
-    res.status(201).json({
-      success: true,
-      message: 'Review submitted successfully',
-      data: result.rows[0]
-    });
+      // Both sides of a booking review one at a time, so the second review
+      // always sees the first and reveals both
+      await client.query('SELECT id FROM bookings WHERE id = $1 FOR UPDATE', [booking_id]);
+
+      const existingReview = await client.query(
+        'SELECT * FROM reviews WHERE booking_id = $1 AND reviewer_id = $2',
+        [booking_id, req.user.id]
+      );
+
+      if (existingReview.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          message: 'You have already reviewed this booking'
+        });
+      }
+
+      const inserted = await client.query(
+        `INSERT INTO reviews (booking_id, reviewer_id, reviewee_id, reviewee_role, rating, comment)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id`,
+        [booking_id, req.user.id, reviewee_id, revieweeRole, rating, comment]
+      );
+
+      await saveReviewDetails(client, inserted.rows[0].id, category_ratings, tags);
+
+      const revealed = await revealBookingReviews(client, booking_id);
+
+      const result = await client.query(
+        `SELECT r.*, ${REVIEW_DETAILS} FROM reviews r WHERE r.id = $1`,
+        [inserted.rows[0].id]
+      );
+
+      await client.query('COMMIT');
+
+      res.status(201).json({
+        success: true,
+        message: revealed
+          ? 'Review submitted successfully'
+          : 'Review submitted. It stays hidden until the other side reviews or the review window closes.',
+        data: { ...result.rows[0], review_window_closes_at: windowClosesAt }
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
   } catch (error) {
     console.error('Create review error:', error);
     res.status(500).json({
@@ -129,21 +182,43 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * List the reviews a user received, newest first. Reviews hidden by a
+ * moderator are left out.
+ * @route GET /api/reviews/user/:userId
+ * @security JWT
+ * @param {string} [req.query.role] - Only reviews as a driver or as a passenger
+ * @returns {Object} 200 - Reviews, their stats with category averages and top
+ *   tags, and the user's driver and passenger ratings
+ * @returns {Object} 400 - Invalid role
+ */
 router.get('/user/:userId', authenticateToken, async (req, res) => {
   try {
     const { userId } = req.params;
+    const { role } = req.query;
+
+    if (role !== undefined && !RATING_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${RATING_ROLES.join(', ')}`
+      });
+    }
+
+    const roleFilter = role ? 'AND r.reviewee_role = $2' : '';
+    const params = role ? [userId, role] : [userId];
 
     const result = await db.query(
       `SELECT r.*,
               u1.full_name as reviewer_name,
               u1.profile_picture as reviewer_picture,
-              u2.full_name as reviewee_name
+              u2.full_name as reviewee_name,
+              ${REVIEW_DETAILS}
        FROM reviews r
        JOIN users u1 ON r.reviewer_id = u1.id
        JOIN users u2 ON r.reviewee_id = u2.id
-       WHERE r.reviewee_id = $1
+       WHERE r.reviewee_id = $1 AND r.revealed_at IS NOT NULL AND NOT r.is_hidden ${roleFilter}
        ORDER BY r.created_at DESC`,
-      [userId]
+      params
     );
 
     const stats = await db.query(
@@ -155,16 +230,17 @@ router.get('/user/:userId', authenticateToken, async (req, res) => {
          COUNT(CASE WHEN rating = 3 THEN 1 END) as three_star,
          COUNT(CASE WHEN rating = 2 THEN 1 END) as two_star,
          COUNT(CASE WHEN rating = 1 THEN 1 END) as one_star
-       FROM reviews
-       WHERE reviewee_id = $1`,
-      [userId]
+       FROM reviews r
+       WHERE r.reviewee_id = $1 AND r.revealed_at IS NOT NULL AND NOT r.is_hidden ${roleFilter}`,
+      params
     );
 
     res.json({
       success: true,
       data: {
         reviews: result.rows,
-        stats: stats.rows[0]
+        stats: { ...stats.rows[0], ...(await getReviewDetailStats(userId, role)) },
+        ratings: await getRatings(userId)
       }
     });
   } catch (error) {
@@ -184,12 +260,13 @@ router.get('/booking/:bookingId', authenticateToken, async (req, res) => {
       `SELECT r.*,
               u1.full_name as reviewer_name,
               u1.profile_picture as reviewer_picture,
-              u2.full_name as reviewee_name
+              u2.full_name as reviewee_name,
+              ${REVIEW_DETAILS}
        FROM reviews r
        JOIN users u1 ON r.reviewer_id = u1.id
        JOIN users u2 ON r.reviewee_id = u2.id
-       WHERE r.booking_id = $1`,
-      [bookingId]
+       WHERE r.booking_id = $1 AND ((r.revealed_at IS NOT NULL AND NOT r.is_hidden) OR r.reviewer_id = $2)`,
+      [bookingId, req.user.id]
     );
 
     res.json({
@@ -213,12 +290,13 @@ router.get('/:id', authenticateToken, async (req, res) => {
       `SELECT r.*,
               u1.full_name as reviewer_name,
               u1.profile_picture as reviewer_picture,
-              u2.full_name as reviewee_name
+              u2.full_name as reviewee_name,
+              ${REVIEW_DETAILS}
        FROM reviews r
        JOIN users u1 ON r.reviewer_id = u1.id
        JOIN users u2 ON r.reviewee_id = u2.id
-       WHERE r.id = $1`,
-      [id]
+       WHERE r.id = $1 AND ((r.revealed_at IS NOT NULL AND NOT r.is_hidden) OR r.reviewer_id = $2)`,
+      [id, req.user.id]
     );
 
     if (result.rows.length === 0) {
@@ -241,13 +319,28 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * Edit a review while it is hidden and its review window is open
+ * @route PUT /api/reviews/:id
+ * @security JWT
+ * @param {number} [req.body.rating] - Rating from 1 to 5
+ * @param {string} [req.body.comment] - Review comment
+ * @param {Object} [req.body.category_ratings] - Replaces the category ratings
+ * @param {string[]} [req.body.tags] - Replaces the tags
+ * @returns {Object} 200 - Updated review
+ * @returns {Object} 400 - Validation error, or the review is revealed or its window closed
+ * @returns {Object} 404 - Review not found or not the reviewer
+ */
 router.put('/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { rating, comment } = req.body;
+    const { rating, comment, category_ratings, tags } = req.body;
 
     const reviewCheck = await db.query(
-      'SELECT * FROM reviews WHERE id = $1 AND reviewer_id = $2',
+      `SELECT rv.*, b.completed_at
+       FROM reviews rv
+       JOIN bookings b ON rv.booking_id = b.id
+       WHERE rv.id = $1 AND rv.reviewer_id = $2`,
       [id, req.user.id]
     );
 
@@ -258,6 +351,13 @@ router.put('/:id', authenticateToken, async (req, res) => {
       });
     }
 
+    if (reviewLocked(reviewCheck.rows[0])) {
+      return res.status(400).json({
+        success: false,
+        message: REVIEW_LOCKED_MESSAGE
+      });
+    }
+
     const updates = [];
     const values = [];
     let paramCount = 1;
@@ -280,47 +380,70 @@ router.put('/:id', authenticateToken, async (req, res) => {
       paramCount++;
     }
 
-    if (updates.length === 0) {
+    if (updates.length === 0 && category_ratings === undefined && tags === undefined) {
       return res.status(400).json({
         success: false,
         message: 'No valid fields to update'
       });
     }
 
-    values.push(id);
+    const detailsError = reviewDetailsError(reviewCheck.rows[0].reviewee_role, category_ratings, tags);
+    if (detailsError) {
+      return res.status(400).json({
+        success: false,
+        message: detailsError
+      });
+    }
 
-    const result = await db.query(
-      `UPDATE reviews
-       SET ${updates.join(', ')}
-       WHERE id = $${paramCount}
-       RETURNING *`,
-      values
-    );
+    const client = await db.pool.connect();
 
-    if (rating) {
-      const reviewee_id = reviewCheck.rows[0].reviewee_id;
-
-      // Recalculate average rating
-      const statsResult = await db.query(
-        `SELECT ROUND(AVG(rating)::numeric, 2) as avg_rating
-         FROM reviews
-         WHERE reviewee_id = $1`,
-        [reviewee_id]
+    try {
+      await client.query('BEGIN');
+
+      // Hidden reviews do not count towards ratings yet, so ratings stay as they are
+      const hidden = await client.query(
+        'SELECT id FROM reviews WHERE id = $1 AND revealed_at IS NULL FOR UPDATE',
+        [id]
       );
 
-      await db.query(
-        `UPDATE driver_profiles
-         SET rating = $1
-         WHERE user_id = $2`,
-        [statsResult.rows[0].avg_rating, reviewee_id]
+      if (hidden.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          success: false,
+          message: REVIEW_LOCKED_MESSAGE
+        });
+      }
+
+      if (updates.length > 0) {
+        values.push(id);
+        await client.query(
+          `UPDATE reviews
+           SET ${updates.join(', ')}
+           WHERE id = $${paramCount}`,
+          values
+        );
+      }
+
+      await saveReviewDetails(client, id, category_ratings, tags);
+
+      const result = await client.query(
+        `SELECT r.*, ${REVIEW_DETAILS} FROM reviews r WHERE r.id = $1`,
+        [id]
       );
-    }
 
-    res.json({
-      success: true,
-      message: 'Review updated successfully',
-      data: result.rows[0]
-    });
+      await client.query('COMMIT');
+
+      res.json({
+        success: true,
+        message: 'Review updated successfully',
+        data: result.rows[0]
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
   } catch (error) {
     console.error('Update review error:', error);
     res.status(500).json({
@@ -330,12 +453,23 @@ router.put('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * Delete a review while it is hidden and its review window is open
+ * @route DELETE /api/reviews/:id
+ * @security JWT
+ * @returns {Object} 200 - Review deleted
+ * @returns {Object} 400 - The review is revealed or its window closed
+ * @returns {Object} 404 - Review not found or not the reviewer
+ */
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
 
     const reviewCheck = await db.query(
-      'SELECT * FROM reviews WHERE id = $1 AND reviewer_id = $2',
+      `SELECT rv.*, b.completed_at
+       FROM reviews rv
+       JOIN bookings b ON rv.booking_id = b.id
+       WHERE rv.id = $1 AND rv.reviewer_id = $2`,
       [id, req.user.id]
     );
 
@@ -346,33 +480,205 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    const reviewee_id = reviewCheck.rows[0].reviewee_id;
+    if (reviewLocked(reviewCheck.rows[0])) {
+      return res.status(400).json({
+        success: false,
+        message: REVIEW_LOCKED_MESSAGE
+      });
+    }
+
+    const result = await db.query('DELETE FROM reviews WHERE id = $1 AND revealed_at IS NULL', [id]);
+
+    if (result.rowCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: REVIEW_LOCKED_MESSAGE
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Report a review to the moderators
+ * @route POST /api/reviews/:id/report
+ * @security JWT
+ * @param {string} req.body.reason - One of REPORT_REASONS
+ * @param {string} [req.body.details] - Details (required for "other")
+ * @returns {Object} 201 - Created report
+ * @returns {Object} 400 - Validation error or own review
+ * @returns {Object} 404 - Review not found
+ * @returns {Object} 409 - Already reported and not yet moderated
+ */
+router.post('/:id/report', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason, details } = req.body;
+
+    if (!REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `Reason must be one of: ${REPORT_REASONS.join(', ')}`
+      });
+    }
+
+    if (reason === 'other' && !details) {
+      return res.status(400).json({
+        success: false,
+        message: 'Details are required when the reason is other'
+      });
+    }
+
+    // Only reviews others can see can be reported
+    const reviewResult = await db.query(
+      'SELECT * FROM reviews WHERE id = $1 AND revealed_at IS NOT NULL AND NOT is_hidden',
+      [id]
+    );
+
+    if (reviewResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (reviewResult.rows[0].reviewer_id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report your own review'
+      });
+    }
+
+    const existing = await db.query(
+      `SELECT id FROM review_reports
+       WHERE review_id = $1 AND reporter_id = $2 AND status = 'open'`,
+      [id, req.user.id]
+    );
+
+    if (existing.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reported this review'
+      });
+    }
+
+    const result = await db.query(
+      `INSERT INTO review_reports (review_id, reporter_id, reason, details)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [id, req.user.id, reason, details || null]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Review reported. A moderator will look at it.',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Report review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Post or replace the reviewee's public reply to a review
+ * @route PUT /api/reviews/:id/reply
+ * @security JWT
+ * @param {string} req.body.reply - Reply text
+ * @returns {Object} 200 - Review with its reply
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 404 - Review not found or not the reviewee
+ */
+router.put('/:id/reply', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reply } = req.body;
+
+    if (typeof reply !== 'string' || !reply.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reply is required'
+      });
+    }
 
-    await db.query('DELETE FROM reviews WHERE id = $1', [id]);
+    if (reply.trim().length > MAX_REPLY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Reply must be at most ${MAX_REPLY_LENGTH} characters`
+      });
+    }
 
-    // Recalculate average rating
-    const statsResult = await db.query(
-      `SELECT ROUND(AVG(rating)::numeric, 2) as avg_rating
-       FROM reviews
-       WHERE reviewee_id = $1`,
-      [reviewee_id]
+    const result = await db.query(
+      `UPDATE reviews SET reply = $1, replied_at = NOW()
+       WHERE id = $2 AND reviewee_id = $3 AND revealed_at IS NOT NULL AND NOT is_hidden
+       RETURNING *`,
+      [reply.trim(), id, req.user.id]
     );
 
-    const newRating = statsResult.rows[0].avg_rating || 0;
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found or you are not the reviewee'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Reply saved successfully',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Reply to review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Remove the reviewee's reply to a review
+ * @route DELETE /api/reviews/:id/reply
+ * @security JWT
+ * @returns {Object} 200 - Reply removed
+ * @returns {Object} 404 - No reply, or not the reviewee
+ */
+router.delete('/:id/reply', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
 
-    await db.query(
-      `UPDATE driver_profiles
-       SET rating = $1
-       WHERE user_id = $2`,
-      [newRating, reviewee_id]
+    const result = await db.query(
+      `UPDATE reviews SET reply = NULL, replied_at = NULL
+       WHERE id = $1 AND reviewee_id = $2 AND reply IS NOT NULL`,
+      [id, req.user.id]
     );
 
+    if (result.rowCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reply not found or you are not the reviewee'
+      });
+    }
+
     res.json({
       success: true,
-      message: 'Review deleted successfully'
+      message: 'Reply removed successfully'
     });
   } catch (error) {
-    console.error('Delete review error:', error);
+    console.error('Delete review reply error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
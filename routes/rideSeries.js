@@ -0,0 +1,599 @@
+/**
+ * @fileoverview Recurring ride series routes
+ * @module routes/rideSeries
+ */
+
+const express = require("express");
+const router = express.Router();
+const db = require("../config/database");
+const { authenticateToken } = require("../middleware/auth");
+const { authorizeDriver } = require("../middleware/authorize");
+const { cancelRides } = require("../utils/rides");
+const { recordRideCancellations } = require("../utils/reliability");
+const { setStatusContext } = require("../utils/statusHistory");
+const { findRideVehicle, fuelTypeError } = require("../utils/vehicles");
+const { resolveRideDistance, verifiedDistance } = require("../utils/routing");
+const {
+  loadPricingRules,
+  calculateTrafficFee,
+  validatePricePerSeat,
+} = require("../utils/pricing");
+const {
+  toDateString,
+  parseRecurrence,
+  matchesRecurrence,
+  occurrenceDepartureTime,
+  materializeSeries,
+} = require("../utils/rideSeries");
+const { TIME_ZONE, localDateString, withLocalTimes } = require("../utils/time");
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Fetch a series owned by the driver
+ * @param {number} id - Series ID
+ * @param {number} driverId - Driver user ID
+ * @param {Object} [client=db] - Database client
+ * @returns {Promise<Object|null>}
+ */
+async function findOwnSeries(id, driverId, client = db) {
+  const result = await client.query(
+    "SELECT * FROM ride_series WHERE id = $1 AND driver_id = $2",
+    [id, driverId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Create a ride series and materialize its upcoming rides
+ * @route POST /api/ride-series
+ * @security JWT
+ * @param {string} req.body.origin - Starting location
+ * @param {string} req.body.destination - End location
+ * @param {string} req.body.departure_time - Local time of day (HH:MM)
+ * @param {number} req.body.available_seats - Seats offered on each ride
+ * @param {number} req.body.price_per_seat - Price per seat
+ * @param {Object} req.body.recurrence - `{ days, start_date, end_date, excluded_dates }`
+ * @param {number} [req.body.vehicle_id] - Vehicle (defaults to the default vehicle)
+ * @returns {Object} 201 - Created series and number of rides created
+ * @returns {Object} 400 - Validation error
+ */
+router.post("/", authenticateToken, authorizeDriver, async (req, res) => {
+  try {
+    const {
+      origin,
+      destination,
+      origin_lat,
+      origin_lng,
+      destination_lat,
+      destination_lng,
+      departure_time,
+      available_seats,
+      price_per_seat,
+      description,
+      amenities,
+      gender_preference,
+      distance_km,
+      fuel_type,
+      ac_enabled,
+      direction,
+      university_id,
+      vehicle_id,
+      recurrence,
+    } = req.body;
+
+    if (
+      !origin ||
+      !destination ||
+      !departure_time ||
+      !available_seats ||
+      !price_per_seat
+    ) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Origin, destination, departure time, available seats, and price are required",
+      });
+    }
+
+    if (!TIME_PATTERN.test(departure_time)) {
+      return res.status(400).json({
+        success: false,
+        message: "Departure time must be a time of day (HH:MM)",
+      });
+    }
+
+    const { errors, rule } = parseRecurrence(recurrence);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid recurrence",
+        errors,
+      });
+    }
+
+    if (rule.end_date < localDateString()) {
+      return res.status(400).json({
+        success: false,
+        message: "End date cannot be in the past",
+      });
+    }
+
+    const vehicle = await findRideVehicle(req.user.id, vehicle_id);
+
+    if (!vehicle) {
+      return res.status(400).json({
+        success: false,
+        message: vehicle_id
+          ? "Invalid vehicle selected"
+          : "Please add a vehicle before offering rides",
+      });
+    }
+
+    const seatsNum = parseInt(available_seats);
+    if (isNaN(seatsNum) || seatsNum < 1 || seatsNum > 8) {
+      return res.status(400).json({
+        success: false,
+        message: "Available seats must be between 1 and 8",
+      });
+    }
+
+    if (seatsNum > vehicle.seats) {
+      return res.status(400).json({
+        success: false,
+        message: `Available seats cannot exceed your vehicle capacity (${vehicle.seats} seats)`,
+      });
+    }
+
+    const fuelError = fuelTypeError(fuel_type, vehicle);
+    if (fuelError) {
+      return res.status(400).json({
+        success: false,
+        message: fuelError,
+      });
+    }
+
+    if (university_id) {
+      const uniCheck = await db.query(
+        "SELECT id FROM universities WHERE id = $1",
+        [university_id]
+      );
+      if (uniCheck.rows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid university selected",
+        });
+      }
+    }
+
+    const route = await resolveRideDistance(req.body);
+    if (route.missing_coordinates) {
+      return res.status(400).json({
+        success: false,
+        message: "Origin and destination coordinates are required",
+      });
+    }
+
+    if (route.rejected) {
+      return res.status(400).json({
+        success: false,
+        message: `Distance of ${distance_km} km does not match the route (about ${route.distance_km} km)`,
+      });
+    }
+
+    const priceError = await validatePricePerSeat(price_per_seat, route.distance_km);
+    if (priceError) {
+      return res.status(400).json({
+        success: false,
+        message: priceError,
+      });
+    }
+
+    const client = await db.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const result = await client.query(
+        `INSERT INTO ride_series
+         (driver_id, vehicle_id, origin, destination, origin_lat, origin_lng, destination_lat,
+          destination_lng, departure_time, total_seats, price_per_seat, description, amenities,
+          gender_preference, distance_km, fuel_type, ac_enabled, direction, university_id,
+          days_of_week, start_date, end_date, excluded_dates, client_distance_km,
+          distance_flagged, estimated_duration_minutes)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17,
+                 $18, $19, $20, $21, $22, $23, $24, $25, $26)
+         RETURNING *`,
+        [
+          req.user.id,
+          vehicle.id,
+          origin,
+          destination,
+          origin_lat,
+          origin_lng,
+          destination_lat,
+          destination_lng,
+          departure_time,
+          seatsNum,
+          price_per_seat,
+          description,
+          amenities || [],
+          gender_preference || "male_only",
+          route.distance_km,
+          vehicle.fuel_type || fuel_type,
+          ac_enabled || false,
+          direction || null,
+          university_id || null,
+          rule.days_of_week,
+          rule.start_date,
+          rule.end_date,
+          rule.excluded_dates,
+          route.client_distance_km,
+          route.distance_flagged,
+          route.estimated_duration_minutes,
+        ]
+      );
+
+      const ridesCreated = await materializeSeries(result.rows[0], client);
+
+      await client.query("COMMIT");
+
+      res.status(201).json({
+        success: true,
+        message: `Ride series created successfully. ${ridesCreated} upcoming rides were scheduled.`,
+        data: result.rows[0],
+        rides_created: ridesCreated,
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error("Create ride series error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+/**
+ * List the driver's ride series
+ * @route GET /api/ride-series
+ * @security JWT
+ * @returns {Object} 200 - Series with their number of upcoming rides
+ */
+router.get("/", authenticateToken, authorizeDriver, async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT s.*,
+              COUNT(r.id) FILTER (WHERE r.status = 'scheduled') as upcoming_rides
+       FROM ride_series s
+       LEFT JOIN rides r ON r.series_id = s.id
+       WHERE s.driver_id = $1
+       GROUP BY s.id
+       ORDER BY s.created_at DESC`,
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length,
+    });
+  } catch (error) {
+    console.error("Get ride series error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+/**
+ * Get a ride series with its rides
+ * @route GET /api/ride-series/:id
+ * @security JWT
+ * @returns {Object} 200 - Series and its rides, earliest first
+ * @returns {Object} 404 - Series not found
+ */
+router.get("/:id", authenticateToken, authorizeDriver, async (req, res) => {
+  try {
+    const series = await findOwnSeries(req.params.id, req.user.id);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: "Ride series not found",
+      });
+    }
+
+    const rides = await db.query(
+      `SELECT id, departure_time, series_occurrence_date, status, total_seats,
+              available_seats, price_per_seat, is_series_exception
+       FROM rides
+       WHERE series_id = $1
+       ORDER BY series_occurrence_date ASC`,
+      [series.id]
+    );
+
+    res.json({
+      success: true,
+      data: { ...series, rides: rides.rows.map(withLocalTimes) },
+    });
+  } catch (error) {
+    console.error("Get ride series error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+/**
+ * Update a whole series. Changes apply to upcoming rides that were not edited
+ * individually; rides on dates that no longer match the recurrence are
+ * cancelled along with their bookings. Single occurrences are edited and
+ * cancelled through the ride endpoints.
+ * @route PUT /api/ride-series/:id
+ * @security JWT
+ * @param {string} [req.body.departure_time] - Local time of day (HH:MM)
+ * @param {number} [req.body.price_per_seat] - Price per seat
+ * @param {string} [req.body.description] - Description
+ * @param {string[]} [req.body.amenities] - Amenities
+ * @param {Object} [req.body.recurrence] - Fields of the recurrence rule to change
+ * @returns {Object} 200 - Updated series with counts of updated, cancelled and created rides
+ * @returns {Object} 400 - Validation error or series cancelled
+ * @returns {Object} 404 - Series not found
+ */
+router.put("/:id", authenticateToken, authorizeDriver, async (req, res) => {
+  try {
+    const { departure_time, price_per_seat, description, amenities, recurrence } =
+      req.body;
+
+    const series = await findOwnSeries(req.params.id, req.user.id);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: "Ride series not found",
+      });
+    }
+
+    if (series.status !== "active") {
+      return res.status(400).json({
+        success: false,
+        message: "This ride series has been cancelled",
+      });
+    }
+
+    if (departure_time !== undefined && !TIME_PATTERN.test(departure_time)) {
+      return res.status(400).json({
+        success: false,
+        message: "Departure time must be a time of day (HH:MM)",
+      });
+    }
+
+    if (price_per_seat !== undefined) {
+      const priceError = await validatePricePerSeat(price_per_seat, verifiedDistance(series));
+      if (priceError) {
+        return res.status(400).json({
+          success: false,
+          message: priceError,
+        });
+      }
+    }
+
+    let rule = null;
+    if (recurrence !== undefined) {
+      const parsed = parseRecurrence({
+        days: series.days_of_week,
+        start_date: toDateString(series.start_date),
+        end_date: toDateString(series.end_date),
+        excluded_dates: (series.excluded_dates || []).map(toDateString),
+        ...recurrence,
+      });
+
+      if (parsed.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid recurrence",
+          errors: parsed.errors,
+        });
+      }
+      rule = parsed.rule;
+    }
+
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    const fields = { departure_time, price_per_seat, description, amenities };
+    if (rule) {
+      Object.assign(fields, rule);
+    }
+
+    for (const [field, value] of Object.entries(fields)) {
+      if (value !== undefined) {
+        updates.push(`${field} = $${paramCount}`);
+        values.push(value);
+        paramCount++;
+      }
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No valid fields to update",
+      });
+    }
+
+    values.push(series.id);
+
+    const client = await db.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const result = await client.query(
+        `UPDATE ride_series
+         SET ${updates.join(", ")}
+         WHERE id = $${paramCount}
+         RETURNING *`,
+        values
+      );
+      const updated = result.rows[0];
+
+      const upcoming = await client.query(
+        `SELECT id, series_occurrence_date, is_series_exception FROM rides
+         WHERE series_id = $1 AND status = 'scheduled'
+         FOR UPDATE`,
+        [series.id]
+      );
+
+      const noLongerMatching = upcoming.rows
+        .filter((ride) => !matchesRecurrence(updated, toDateString(ride.series_occurrence_date)))
+        .map((ride) => ride.id);
+
+      await setStatusContext(client, req.user.id, "No longer on the ride series schedule");
+      await recordRideCancellations(client, req.user.id, noLongerMatching);
+      const ridesCancelled = await cancelRides(client, noLongerMatching);
+      await setStatusContext(client, req.user.id);
+
+      // The occurrence date keeps the ride on its day when the time changes;
+      // the series time is Amman local time
+      const updatedRides = await client.query(
+        `UPDATE rides
+         SET departure_time = (series_occurrence_date + $1::time) AT TIME ZONE '${TIME_ZONE}',
+             estimated_arrival_time = (series_occurrence_date + $1::time) AT TIME ZONE '${TIME_ZONE}'
+               + estimated_duration_minutes * INTERVAL '1 minute',
+             price_per_seat = $2,
+             description = $3,
+             amenities = $4
+         WHERE series_id = $5 AND status = 'scheduled'
+           AND is_series_exception = FALSE
+           AND (series_occurrence_date + $1::time) AT TIME ZONE '${TIME_ZONE}' > NOW()
+         RETURNING id, series_occurrence_date`,
+        [
+          updated.departure_time,
+          updated.price_per_seat,
+          updated.description,
+          updated.amenities,
+          series.id,
+        ]
+      );
+
+      // Peak windows and holidays differ per day
+      const pricingRules = await loadPricingRules(client);
+      for (const ride of updatedRides.rows) {
+        const trafficFee = await calculateTrafficFee(
+          occurrenceDepartureTime(toDateString(ride.series_occurrence_date), updated.departure_time),
+          verifiedDistance(updated),
+          pricingRules
+        );
+        await client.query("UPDATE rides SET traffic_fee = $1 WHERE id = $2", [
+          trafficFee,
+          ride.id,
+        ]);
+      }
+
+      const ridesCreated = await materializeSeries(updated, client);
+
+      await client.query("COMMIT");
+
+      res.json({
+        success: true,
+        message: "Ride series updated successfully",
+        data: updated,
+        rides_updated: updatedRides.rowCount,
+        rides_cancelled: ridesCancelled,
+        rides_created: ridesCreated,
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error("Update ride series error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+/**
+ * Cancel a whole series: no further rides are created and all of its
+ * scheduled rides are cancelled along with their bookings
+ * @route DELETE /api/ride-series/:id
+ * @security JWT
+ * @returns {Object} 200 - Series cancelled, with the number of rides cancelled
+ * @returns {Object} 400 - Series already cancelled
+ * @returns {Object} 404 - Series not found
+ */
+router.delete("/:id", authenticateToken, authorizeDriver, async (req, res) => {
+  try {
+    const series = await findOwnSeries(req.params.id, req.user.id);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: "Ride series not found",
+      });
+    }
+
+    if (series.status !== "active") {
+      return res.status(400).json({
+        success: false,
+        message: "This ride series has already been cancelled",
+      });
+    }
+
+    const client = await db.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+      await setStatusContext(client, req.user.id, "Ride series cancelled");
+
+      await client.query(
+        "UPDATE ride_series SET status = 'cancelled' WHERE id = $1",
+        [series.id]
+      );
+
+      const upcoming = await client.query(
+        "SELECT id FROM rides WHERE series_id = $1 AND status = 'scheduled' FOR UPDATE",
+        [series.id]
+      );
+
+      const rideIds = upcoming.rows.map((ride) => ride.id);
+      await recordRideCancellations(client, req.user.id, rideIds);
+      const ridesCancelled = await cancelRides(client, rideIds);
+
+      await client.query("COMMIT");
+
+      res.json({
+        success: true,
+        message:
+          "Ride series cancelled successfully. All passengers have been notified.",
+        rides_cancelled: ridesCancelled,
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error("Cancel ride series error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+module.exports = router;
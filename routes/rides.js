@@ -8,73 +8,35 @@ const router = express.Router();
 const db = require("../config/database");
 const { authenticateToken } = require("../middleware/auth");
 const { authorizeDriver } = require("../middleware/authorize");
-
-/**
- * Calculate distance between two coordinates using Haversine formula
- * @param {number} lat1 - Latitude of first point
- * @param {number} lng1 - Longitude of first point
- * @param {number} lat2 - Latitude of second point
- * @param {number} lng2 - Longitude of second point
- * @returns {number} Distance in kilometers
- */
-function calculateDistance(lat1, lng1, lat2, lng2) {
-  const R = 6371; // Earth's radius in km
-  const dLat = ((lat2 - lat1) * Math.PI) / 180;
-  const dLng = ((lng2 - lng1) * Math.PI) / 180;
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos((lat1 * Math.PI) / 180) *
-      Math.cos((lat2 * Math.PI) / 180) *
-      Math.sin(dLng / 2) *
-      Math.sin(dLng / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c; // Distance in km
-}
-
-/**
- * Calculate traffic fee based on peak hours and distance
- * Peak hours in Jordan: 7-9 AM and 4-6 PM
- * Fee rate: 0.05 JOD per km during peak hours
- * @param {string} departureTime - Departure time in ISO format or datetime-local format
- * @param {number} distanceKm - Distance in kilometers
- * @returns {number} Traffic fee in JOD (0 if not peak hours)
- */
-function calculateTrafficFee(departureTime, distanceKm) {
-  if (!distanceKm || !departureTime) {
-    return 0;
-  }
-
-  // Parse the departure time
-  // The frontend sends datetime-local format: "2026-01-06T07:30" (no timezone)
-  // We need to extract the hour directly from the string if it's in local format
-  let hour;
-  const timeString = String(departureTime);
-
-  // Check if it's in ISO format with T separator (from datetime-local input)
-  if (timeString.includes("T") && !timeString.endsWith("Z")) {
-    // Format: "2026-01-06T07:30" - this is local time, extract hour directly
-    const timePart = timeString.split("T")[1];
-    hour = parseInt(timePart.split(":")[0], 10);
-  } else {
-    // It's a full ISO string with Z (UTC) or other format
-    // Convert to Jordan time (UTC+3)
-    const date = new Date(departureTime);
-    const utcHour = date.getUTCHours();
-    hour = (utcHour + 3) % 24;
-  }
-
-  // Peak hours: 7-9 AM (7, 8) and 4-6 PM (16, 17)
-  const isMorningPeak = hour >= 7 && hour < 9;
-  const isAfternoonPeak = hour >= 16 && hour < 18;
-
-  if (isMorningPeak || isAfternoonPeak) {
-    // Traffic fee: 0.05 JOD per km during peak hours
-    const fee = parseFloat(distanceKm) * 0.05;
-    return Math.round(fee * 100) / 100; // Round to 2 decimal places
-  }
-
-  return 0;
-}
+const { calculateDistance, cancelRides } = require("../utils/rides");
+const { findRideVehicle, fuelTypeError } = require("../utils/vehicles");
+const { estimateRideRoute, resolveRideDistance, verifiedDistance } = require("../utils/routing");
+const {
+  loadPricingRules,
+  calculateTrafficFee,
+  validatePricePerSeat,
+  quotePrice,
+} = require("../utils/pricing");
+const { TIME_ZONE, parseClientTime, withLocalTimes } = require("../utils/time");
+const {
+  IN_PROGRESS_EDITABLE_FIELDS,
+  canTransition,
+  startError,
+  startRide,
+  completeRide,
+} = require("../utils/rideLifecycle");
+const { bookingModeError } = require("../utils/bookings");
+const { offerFreedSeats } = require("../utils/waitlist");
+const { setStatusContext, getStatusHistory } = require("../utils/statusHistory");
+const {
+  CANCELLATION_REASON_MAX_LENGTH,
+  recordRideCancellations,
+} = require("../utils/reliability");
+const {
+  validateStops,
+  saveRideStops,
+  getRideStops,
+} = require("../utils/rideStops");
 
 router.post("/", authenticateToken, authorizeDriver, async (req, res) => {
   try {
@@ -96,6 +58,11 @@ router.post("/", authenticateToken, authorizeDriver, async (req, res) => {
       ac_enabled,
       direction,
       university_id,
+      vehicle_id,
+      instant_booking,
+      approval_window_minutes,
+      min_passenger_rating,
+      stops = [],
     } = req.body;
 
     if (
@@ -124,7 +91,19 @@ router.post("/", authenticateToken, authorizeDriver, async (req, res) => {
       });
     }
 
-    // Validate available_seats is within valid range and does not exceed car capacity
+    // Use the selected vehicle, or the driver's default one
+    const vehicle = await findRideVehicle(req.user.id, vehicle_id);
+
+    if (!vehicle) {
+      return res.status(400).json({
+        success: false,
+        message: vehicle_id
+          ? "Invalid vehicle selected"
+          : "Please add a vehicle before offering rides",
+      });
+    }
+
+    // Validate available_seats is within valid range and does not exceed vehicle capacity
     const seatsNum = parseInt(available_seats);
     if (isNaN(seatsNum) || seatsNum < 1 || seatsNum > 8) {
       return res.status(400).json({
@@ -133,10 +112,18 @@ router.post("/", authenticateToken, authorizeDriver, async (req, res) => {
       });
     }
 
-    if (seatsNum > driverProfile.rows[0].car_seats) {
+    if (seatsNum > vehicle.seats) {
       return res.status(400).json({
         success: false,
-        message: `Available seats cannot exceed your car capacity (${driverProfile.rows[0].car_seats} seats)`,
+        message: `Available seats cannot exceed your vehicle capacity (${vehicle.seats} seats)`,
+      });
+    }
+
+    const fuelError = fuelTypeError(fuel_type, vehicle);
+    if (fuelError) {
+      return res.status(400).json({
+        success: false,
+        message: fuelError,
       });
     }
 
@@ -154,8 +141,33 @@ router.post("/", authenticateToken, authorizeDriver, async (req, res) => {
       }
     }
 
+    const stopErrors = validateStops(stops, req.body);
+    if (stopErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid stops",
+        errors: stopErrors,
+      });
+    }
+
+    const modeError = bookingModeError(req.body);
+    if (modeError) {
+      return res.status(400).json({
+        success: false,
+        message: modeError,
+      });
+    }
+
+    // Times without a zone are Amman local time
+    const departureDate = parseClientTime(departure_time);
+    if (!departureDate) {
+      return res.status(400).json({
+        success: false,
+        message: "Departure time must be a valid date and time",
+      });
+    }
+
     // Validate departure time is not in the past
-    const departureDate = new Date(departure_time);
     const now = new Date();
     if (departureDate < now) {
       return res.status(400).json({
@@ -165,49 +177,106 @@ router.post("/", authenticateToken, authorizeDriver, async (req, res) => {
       });
     }
 
-    // Calculate traffic fee for peak hours
-    const traffic_fee = calculateTrafficFee(departure_time, distance_km);
+    // The fee is based on the distance computed from the coordinates, not the client's
+    const route = await resolveRideDistance(req.body, stops);
+    if (route.missing_coordinates) {
+      return res.status(400).json({
+        success: false,
+        message: "Origin and destination coordinates are required",
+      });
+    }
 
-    const result = await db.query(
-      `INSERT INTO rides
-       (driver_id, origin, destination, origin_lat, origin_lng, destination_lat, destination_lng,
-        departure_time, total_seats, available_seats, price_per_seat, description, amenities,
-        gender_preference, distance_km, fuel_type, ac_enabled, traffic_fee, direction, university_id)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
-       RETURNING *`,
-      [
-        req.user.id,
-        origin,
-        destination,
-        origin_lat,
-        origin_lng,
-        destination_lat,
-        destination_lng,
-        departure_time,
-        available_seats, // total_seats
-        available_seats, // available_seats (same initially)
-        price_per_seat,
-        description,
-        amenities || [],
-        gender_preference || "male_only",
-        distance_km,
-        fuel_type || "petrol",
-        ac_enabled || false,
-        traffic_fee,
-        direction || null,
-        university_id || null,
-      ]
+    if (route.rejected) {
+      return res.status(400).json({
+        success: false,
+        message: `Distance of ${distance_km} km does not match the route (about ${route.distance_km} km)`,
+      });
+    }
+
+    const pricingRules = await loadPricingRules();
+
+    const priceError = await validatePricePerSeat(price_per_seat, route.distance_km, pricingRules);
+    if (priceError) {
+      return res.status(400).json({
+        success: false,
+        message: priceError,
+      });
+    }
+
+    // Calculate traffic fee for peak hours
+    const traffic_fee = await calculateTrafficFee(
+      departureDate,
+      route.distance_km,
+      pricingRules
     );
 
-    res.status(201).json({
-      success: true,
-      message:
-        traffic_fee > 0
-          ? `Ride created successfully. Traffic fee of ${traffic_fee} JOD applied for peak hours.`
-          : "Ride created successfully",
-      data: result.rows[0],
-      traffic_fee_applied: traffic_fee,
-    });
+    const client = await db.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const result = await client.query(
+        `INSERT INTO rides
+         (driver_id, origin, destination, origin_lat, origin_lng, destination_lat, destination_lng,
+          departure_time, total_seats, available_seats, price_per_seat, description, amenities,
+          gender_preference, distance_km, fuel_type, ac_enabled, traffic_fee, direction, university_id,
+          vehicle_id, client_distance_km, distance_flagged, estimated_duration_minutes,
+          estimated_arrival_time, instant_booking, approval_window_minutes, min_passenger_rating)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21,
+                 $22, $23, $24, $8::timestamptz + $24::int * INTERVAL '1 minute', $25, $26, $27)
+         RETURNING *`,
+        [
+          req.user.id,
+          origin,
+          destination,
+          origin_lat,
+          origin_lng,
+          destination_lat,
+          destination_lng,
+          departureDate,
+          available_seats, // total_seats
+          available_seats, // available_seats (same initially)
+          price_per_seat,
+          description,
+          amenities || [],
+          gender_preference || "male_only",
+          route.distance_km,
+          vehicle.fuel_type || fuel_type,
+          ac_enabled || false,
+          traffic_fee,
+          direction || null,
+          university_id || null,
+          vehicle.id,
+          route.client_distance_km,
+          route.distance_flagged,
+          route.estimated_duration_minutes,
+          instant_booking === undefined ? null : instant_booking,
+          approval_window_minutes || null,
+          min_passenger_rating === undefined ? null : min_passenger_rating,
+        ]
+      );
+
+      const ride = result.rows[0];
+      await saveRideStops(client, ride.id, stops);
+      const rideStops = await getRideStops(ride, client);
+
+      await client.query("COMMIT");
+
+      res.status(201).json({
+        success: true,
+        message:
+          traffic_fee > 0
+            ? `Ride created successfully. Traffic fee of ${traffic_fee} JOD applied for peak hours.`
+            : "Ride created successfully",
+        data: { ...withLocalTimes(ride), stops: rideStops },
+        traffic_fee_applied: traffic_fee,
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
   } catch (error) {
     console.error("Create ride error:", error);
     res.status(500).json({
@@ -231,6 +300,8 @@ router.get("/", authenticateToken, async (req, res) => {
       user_lat,
       user_lng,
       max_distance_km,
+      verified_only,
+      booking_mode,
       page = 1,
       limit = 20,
     } = req.query;
@@ -250,20 +321,29 @@ router.get("/", authenticateToken, async (req, res) => {
     let query = `
       SELECT r.*,
              u.full_name as driver_name,
-             u.phone as driver_phone,
+             CASE WHEN u.phone_verified THEN u.phone END as driver_phone,
              u.profile_picture as driver_picture,
-             dp.car_make,
-             dp.car_model,
-             dp.car_year,
-             dp.car_color,
-             dp.car_plate_number,
+             u.is_verified as driver_is_verified,
+             COALESCE(v.make, dp.car_make) as car_make,
+             COALESCE(v.model, dp.car_model) as car_model,
+             COALESCE(v.year, dp.car_year) as car_year,
+             COALESCE(v.color, dp.car_color) as car_color,
+             COALESCE(v.plate_number, dp.car_plate_number) as car_plate_number,
+             v.fuel_type as vehicle_fuel_type,
              dp.rating as driver_rating,
-             (SELECT COUNT(*) FROM reviews WHERE reviewee_id = r.driver_id) as total_reviews,
+             CASE WHEN COALESCE(r.instant_booking, dp.instant_booking) THEN 'instant' ELSE 'request' END
+               as booking_mode,
+             dp.instant_booking_verified_only,
+             dp.instant_booking_min_rating,
+             dp.total_reviews,
+             (SELECT ARRAY_AGG(rs.name ORDER BY rs.stop_order) FROM ride_stops rs
+              WHERE rs.ride_id = r.id) as stop_names,
              uni.name as university_name,
              uni.city as university_city
       FROM rides r
       JOIN users u ON r.driver_id = u.id
       JOIN driver_profiles dp ON r.driver_id = dp.user_id
+      LEFT JOIN vehicles v ON r.vehicle_id = v.id
       LEFT JOIN universities uni ON r.university_id = uni.id
       WHERE r.status = $1
     `;
@@ -285,6 +365,18 @@ router.get("/", authenticateToken, async (req, res) => {
       paramCount++;
     }
 
+    // Only rides offered by drivers with a verified university email
+    if (verified_only === "true") {
+      query += ` AND u.is_verified = TRUE`;
+    }
+
+    // Rides that confirm bookings right away, or that wait for the driver
+    if (booking_mode === "instant" || booking_mode === "request") {
+      query += ` AND COALESCE(r.instant_booking, dp.instant_booking) = $${paramCount}`;
+      params.push(booking_mode === "instant");
+      paramCount++;
+    }
+
     // Filter by direction
     if (direction) {
       query += ` AND r.direction = $${paramCount}`;
@@ -292,20 +384,25 @@ router.get("/", authenticateToken, async (req, res) => {
       paramCount++;
     }
 
+    // Origin and destination also match intermediate stops
     if (origin) {
-      query += ` AND LOWER(r.origin) LIKE LOWER($${paramCount})`;
+      query += ` AND (LOWER(r.origin) LIKE LOWER($${paramCount})
+                  OR EXISTS (SELECT 1 FROM ride_stops rs
+                             WHERE rs.ride_id = r.id AND LOWER(rs.name) LIKE LOWER($${paramCount})))`;
       params.push(`%${origin}%`);
       paramCount++;
     }
 
     if (destination) {
-      query += ` AND LOWER(r.destination) LIKE LOWER($${paramCount})`;
+      query += ` AND (LOWER(r.destination) LIKE LOWER($${paramCount})
+                  OR EXISTS (SELECT 1 FROM ride_stops rs
+                             WHERE rs.ride_id = r.id AND LOWER(rs.name) LIKE LOWER($${paramCount})))`;
       params.push(`%${destination}%`);
       paramCount++;
     }
 
     if (departure_date) {
-      query += ` AND DATE(r.departure_time) = $${paramCount}`;
+      query += ` AND (r.departure_time AT TIME ZONE '${TIME_ZONE}')::date = $${paramCount}`;
       params.push(departure_date);
       paramCount++;
     }
@@ -385,7 +482,7 @@ router.get("/", authenticateToken, async (req, res) => {
 
     res.json({
       success: true,
-      data: result.rows,
+      data: result.rows.map(withLocalTimes),
       count: result.rows.length,
       pagination: {
         page: pageNum,
@@ -403,6 +500,65 @@ router.get("/", authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * Suggest a price per seat for a ride, with a line-item breakdown
+ * @route GET /api/rides/price-quote
+ * @security JWT
+ * @param {number} [req.query.origin_lat] - Origin latitude (with the other coordinates)
+ * @param {number} [req.query.origin_lng] - Origin longitude
+ * @param {number} [req.query.destination_lat] - Destination latitude
+ * @param {number} [req.query.destination_lng] - Destination longitude
+ * @param {number} [req.query.distance_km] - Distance, when coordinates are not given
+ * @param {string} [req.query.departure_time] - Departure time, for peak fees and holidays
+ * @param {string} [req.query.fuel_type] - Fuel type (defaults to the vehicle's or petrol)
+ * @param {number} [req.query.vehicle_id] - Driver vehicle to take the fuel type from
+ * @param {boolean} [req.query.ac_enabled] - Whether AC is on
+ * @returns {Object} 200 - Price quote
+ * @returns {Object} 400 - Neither coordinates nor distance given
+ */
+router.get("/price-quote", authenticateToken, async (req, res) => {
+  try {
+    const { distance_km, departure_time, fuel_type, vehicle_id, ac_enabled } = req.query;
+
+    const route = await estimateRideRoute(req.query);
+    const distance = route ? route.distance_km : parseFloat(distance_km);
+
+    if (!distance || distance <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Origin and destination coordinates or a distance are required",
+      });
+    }
+
+    let fuelType = fuel_type;
+    if (!fuelType && vehicle_id) {
+      const vehicle = await findRideVehicle(req.user.id, vehicle_id);
+      fuelType = vehicle ? vehicle.fuel_type : undefined;
+    }
+
+    const quote = await quotePrice({
+      distance_km: distance,
+      departure_time,
+      fuel_type: fuelType,
+      ac_enabled,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...quote,
+        estimated_duration_minutes: route ? route.duration_minutes : null,
+      },
+    });
+  } catch (error) {
+    console.error("Price quote error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
 router.get("/:id", authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
@@ -410,21 +566,28 @@ router.get("/:id", authenticateToken, async (req, res) => {
     const result = await db.query(
       `SELECT r.*,
               u.full_name as driver_name,
-              u.phone as driver_phone,
+              CASE WHEN u.phone_verified THEN u.phone END as driver_phone,
               u.email as driver_email,
               u.profile_picture as driver_picture,
-              dp.car_make,
-              dp.car_model,
-              dp.car_year,
-              dp.car_color,
-              dp.car_plate_number,
-              dp.car_seats,
+              u.is_verified as driver_is_verified,
+              COALESCE(v.make, dp.car_make) as car_make,
+              COALESCE(v.model, dp.car_model) as car_model,
+              COALESCE(v.year, dp.car_year) as car_year,
+              COALESCE(v.color, dp.car_color) as car_color,
+              COALESCE(v.plate_number, dp.car_plate_number) as car_plate_number,
+              COALESCE(v.seats, dp.car_seats) as car_seats,
+              v.fuel_type as vehicle_fuel_type,
               dp.rating as driver_rating,
               dp.total_rides as driver_total_rides,
-              (SELECT COUNT(*) FROM reviews WHERE reviewee_id = r.driver_id) as total_reviews
+              CASE WHEN COALESCE(r.instant_booking, dp.instant_booking) THEN 'instant' ELSE 'request' END
+                as booking_mode,
+              dp.instant_booking_verified_only,
+              dp.instant_booking_min_rating,
+              dp.total_reviews
        FROM rides r
        JOIN users u ON r.driver_id = u.id
        JOIN driver_profiles dp ON r.driver_id = dp.user_id
+       LEFT JOIN vehicles v ON r.vehicle_id = v.id
        WHERE r.id = $1`,
       [id]
     );
@@ -436,9 +599,11 @@ router.get("/:id", authenticateToken, async (req, res) => {
       });
     }
 
+    const ride = result.rows[0];
+
     res.json({
       success: true,
-      data: result.rows[0],
+      data: { ...withLocalTimes(ride), stops: await getRideStops(ride) },
     });
   } catch (error) {
     console.error("Get ride error:", error);
@@ -449,6 +614,58 @@ router.get("/:id", authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * List the status changes of a ride, oldest first
+ * @route GET /api/rides/:id/history
+ * @security JWT
+ * @returns {Object} 200 - Status changes with who made them and why
+ * @returns {Object} 403 - Not the driver or a passenger of the ride
+ * @returns {Object} 404 - Ride not found
+ */
+router.get("/:id/history", authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const rideCheck = await db.query(
+      `SELECT r.driver_id,
+              EXISTS (SELECT 1 FROM bookings b
+                      WHERE b.ride_id = r.id AND b.passenger_id = $2) as is_passenger
+       FROM rides r
+       WHERE r.id = $1`,
+      [id, req.user.id]
+    );
+
+    if (rideCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Ride not found",
+      });
+    }
+
+    const { driver_id, is_passenger } = rideCheck.rows[0];
+    if (driver_id !== req.user.id && !is_passenger) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the driver and passengers of this ride can view its history",
+      });
+    }
+
+    const history = await getStatusHistory("ride", id);
+
+    res.json({
+      success: true,
+      data: history,
+      count: history.length,
+    });
+  } catch (error) {
+    console.error("Get ride history error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
 router.get("/driver/:driverId", authenticateToken, async (req, res) => {
   try {
     const { driverId } = req.params;
@@ -473,7 +690,7 @@ router.get("/driver/:driverId", authenticateToken, async (req, res) => {
 
     res.json({
       success: true,
-      data: result.rows,
+      data: result.rows.map(withLocalTimes),
       count: result.rows.length,
     });
   } catch (error) {
@@ -501,13 +718,36 @@ router.put("/:id", authenticateToken, authorizeDriver, async (req, res) => {
       });
     }
 
+    if (req.body.status !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Use the start, complete and cancel endpoints to change a ride's status",
+      });
+    }
+
+    if (rideCheck.rows[0].status === "in_progress") {
+      const locked = Object.keys(req.body).filter(
+        (field) => !IN_PROGRESS_EDITABLE_FIELDS.includes(field)
+      );
+      if (locked.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Only ${IN_PROGRESS_EDITABLE_FIELDS.join(" and ")} can be changed once the ride is in progress`,
+        });
+      }
+    } else if (rideCheck.rows[0].status !== "scheduled") {
+      return res.status(400).json({
+        success: false,
+        message: `A ${rideCheck.rows[0].status} ride cannot be edited`,
+      });
+    }
+
     const {
       departure_time,
       available_seats,
       price_per_seat,
       description,
       amenities,
-      status,
       origin,
       destination,
       origin_lat,
@@ -519,21 +759,56 @@ router.put("/:id", authenticateToken, authorizeDriver, async (req, res) => {
       gender_preference,
       distance_km,
       fuel_type,
+      vehicle_id,
+      instant_booking,
+      approval_window_minutes,
+      min_passenger_rating,
+      stops,
     } = req.body;
 
+    const modeError = bookingModeError(req.body);
+    if (modeError) {
+      return res.status(400).json({
+        success: false,
+        message: modeError,
+      });
+    }
+
     const updates = [];
     const values = [];
     let paramCount = 1;
 
+    let departureDate = null;
     if (departure_time) {
+      departureDate = parseClientTime(departure_time);
+      if (!departureDate) {
+        return res.status(400).json({
+          success: false,
+          message: "Departure time must be a valid date and time",
+        });
+      }
+
       updates.push(`departure_time = $${paramCount}`);
-      values.push(departure_time);
+      values.push(departureDate);
       paramCount++;
     }
 
+    // Seats already booked stay booked, so the ride's capacity moves with them
+    let seatsNum = null;
     if (available_seats !== undefined) {
-      updates.push(`available_seats = $${paramCount}`);
-      values.push(available_seats);
+      seatsNum = Number(available_seats);
+      if (!Number.isInteger(seatsNum) || seatsNum < 1 || seatsNum > 8) {
+        return res.status(400).json({
+          success: false,
+          message: "Available seats must be between 1 and 8",
+        });
+      }
+
+      updates.push(
+        `total_seats = total_seats - available_seats + $${paramCount}`,
+        `available_seats = $${paramCount}`
+      );
+      values.push(seatsNum);
       paramCount++;
     }
 
@@ -555,12 +830,6 @@ router.put("/:id", authenticateToken, authorizeDriver, async (req, res) => {
       paramCount++;
     }
 
-    if (status) {
-      updates.push(`status = $${paramCount}`);
-      values.push(status);
-      paramCount++;
-    }
-
     if (origin) {
       updates.push(`origin = $${paramCount}`);
       values.push(origin);
@@ -615,40 +884,252 @@ router.put("/:id", authenticateToken, authorizeDriver, async (req, res) => {
       paramCount++;
     }
 
-    if (distance_km !== undefined) {
-      updates.push(`distance_km = $${paramCount}`);
-      values.push(distance_km);
+    // null goes back to the driver profile's setting
+    if (instant_booking !== undefined) {
+      updates.push(`instant_booking = $${paramCount}`);
+      values.push(instant_booking);
+      paramCount++;
+    }
+
+    if (approval_window_minutes !== undefined) {
+      updates.push(`approval_window_minutes = $${paramCount}`);
+      values.push(approval_window_minutes);
+      paramCount++;
+    }
+
+    // Only applies to new bookings; passengers already on the ride keep their seats
+    if (min_passenger_rating !== undefined) {
+      updates.push(`min_passenger_rating = $${paramCount}`);
+      values.push(min_passenger_rating);
+      paramCount++;
+    }
+
+    // The vehicle the ride will use; its seats cap the ride's total seats and
+    // the ride takes its fuel type
+    let vehicle = null;
+    if (vehicle_id !== undefined) {
+      const vehicleCheck = await db.query(
+        "SELECT seats, fuel_type FROM vehicles WHERE id = $1 AND driver_id = $2 AND is_active = TRUE",
+        [vehicle_id, req.user.id]
+      );
+
+      if (vehicleCheck.rows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid vehicle selected",
+        });
+      }
+
+      vehicle = vehicleCheck.rows[0];
+
+      updates.push(`vehicle_id = $${paramCount}`);
+      values.push(vehicle_id);
       paramCount++;
+    } else if ((seatsNum !== null || fuel_type) && rideCheck.rows[0].vehicle_id) {
+      const vehicleCheck = await db.query("SELECT seats, fuel_type FROM vehicles WHERE id = $1", [
+        rideCheck.rows[0].vehicle_id,
+      ]);
+      vehicle = vehicleCheck.rows[0] || null;
+    }
+
+    if (vehicle) {
+      const fuelError = fuelTypeError(fuel_type, vehicle);
+      if (fuelError) {
+        return res.status(400).json({
+          success: false,
+          message: fuelError,
+        });
+      }
     }
 
-    if (fuel_type) {
+    const fuelType = vehicle && vehicle.fuel_type ? vehicle.fuel_type : fuel_type;
+    if (fuelType) {
       updates.push(`fuel_type = $${paramCount}`);
-      values.push(fuel_type);
+      values.push(fuelType);
       paramCount++;
     }
 
-    if (updates.length === 0) {
+    if (stops !== undefined) {
+      const stopErrors = validateStops(stops, { ...rideCheck.rows[0], ...req.body });
+      if (stopErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid stops",
+          errors: stopErrors,
+        });
+      }
+
+      // Bookings refer to stops by their order
+      const bookingsCheck = await db.query(
+        "SELECT id FROM bookings WHERE ride_id = $1 AND status IN ('pending', 'confirmed') LIMIT 1",
+        [id]
+      );
+
+      if (bookingsCheck.rows.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Stops cannot be changed once the ride has bookings",
+        });
+      }
+    }
+
+    // Recompute the route and traffic fee when anything they depend on changes
+    const currentKm = verifiedDistance(rideCheck.rows[0]);
+    let distanceKm = currentKm;
+    const routeFields = [
+      "origin_lat",
+      "origin_lng",
+      "destination_lat",
+      "destination_lng",
+      "distance_km",
+      "departure_time",
+    ];
+
+    if (stops !== undefined || routeFields.some((field) => req.body[field] !== undefined)) {
+      const current = rideCheck.rows[0];
+      const waypoints =
+        stops !== undefined ? stops : (await getRideStops(current)).slice(1, -1);
+
+      const route = await resolveRideDistance(
+        {
+          ...current,
+          ...req.body,
+          distance_km: distance_km !== undefined ? distance_km : current.client_distance_km,
+        },
+        waypoints
+      );
+
+      if (route.missing_coordinates) {
+        return res.status(400).json({
+          success: false,
+          message: "Origin and destination coordinates are required",
+        });
+      }
+
+      if (route.rejected) {
+        return res.status(400).json({
+          success: false,
+          message: `Distance of ${distance_km} km does not match the route (about ${route.distance_km} km)`,
+        });
+      }
+
+      distanceKm = route.distance_km;
+
+      const fields = {
+        distance_km: route.distance_km,
+        client_distance_km: route.client_distance_km,
+        distance_flagged: route.distance_flagged,
+        estimated_duration_minutes: route.estimated_duration_minutes,
+        traffic_fee: await calculateTrafficFee(
+          departureDate || current.departure_time,
+          route.distance_km
+        ),
+      };
+
+      for (const [field, value] of Object.entries(fields)) {
+        updates.push(`${field} = $${paramCount}`);
+        values.push(value);
+        paramCount++;
+      }
+
+      updates.push(
+        `estimated_arrival_time = COALESCE($${paramCount}::timestamptz, departure_time) + $${paramCount + 1}::int * INTERVAL '1 minute'`
+      );
+      values.push(departureDate, route.estimated_duration_minutes);
+      paramCount += 2;
+    }
+
+    if (price_per_seat !== undefined || distanceKm !== currentKm) {
+      const priceError = await validatePricePerSeat(
+        price_per_seat !== undefined ? price_per_seat : rideCheck.rows[0].price_per_seat,
+        distanceKm
+      );
+      if (priceError) {
+        return res.status(400).json({
+          success: false,
+          message: priceError,
+        });
+      }
+    }
+
+    if (updates.length === 0 && stops === undefined) {
       return res.status(400).json({
         success: false,
         message: "No valid fields to update",
       });
     }
 
+    // An edited occurrence no longer follows later changes to its series
+    if (rideCheck.rows[0].series_id) {
+      updates.push("is_series_exception = TRUE");
+    }
+
+    if (updates.length === 0) {
+      updates.push("updated_at = CURRENT_TIMESTAMP");
+    }
+
     values.push(id);
 
-    const result = await db.query(
-      `UPDATE rides
-       SET ${updates.join(", ")}
-       WHERE id = $${paramCount}
-       RETURNING *`,
-      values
-    );
+    const client = await db.pool.connect();
 
-    res.json({
-      success: true,
-      message: "Ride updated successfully",
-      data: result.rows[0],
-    });
+    try {
+      await client.query("BEGIN");
+
+      // Bookings change available_seats, so the new total comes from the locked row
+      const locked = await client.query(
+        "SELECT total_seats, available_seats FROM rides WHERE id = $1 FOR UPDATE",
+        [id]
+      );
+      const current = locked.rows[0];
+      const totalSeats =
+        seatsNum === null ? current.total_seats : current.total_seats - current.available_seats + seatsNum;
+
+      const seatsChanged = seatsNum !== null || vehicle_id !== undefined;
+      if (vehicle && seatsChanged && totalSeats > vehicle.seats) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({
+          success: false,
+          message: `This vehicle only has ${vehicle.seats} seats but the ride would offer ${totalSeats}`,
+        });
+      }
+
+      const result = await client.query(
+        `UPDATE rides
+         SET ${updates.join(", ")}
+         WHERE id = $${paramCount}
+         RETURNING *`,
+        values
+      );
+
+      if (stops !== undefined) {
+        await saveRideStops(client, id, stops);
+      }
+
+      let ride = result.rows[0];
+
+      // Added seats go to the ride's waitlist before new bookings
+      if (seatsNum !== null && seatsNum > current.available_seats) {
+        const offers = await offerFreedSeats(client, id);
+        if (offers > 0) {
+          ride = (await client.query("SELECT * FROM rides WHERE id = $1", [id])).rows[0];
+        }
+      }
+
+      const rideStops = await getRideStops(ride, client);
+
+      await client.query("COMMIT");
+
+      res.json({
+        success: true,
+        message: "Ride updated successfully",
+        data: { ...withLocalTimes(ride), stops: rideStops },
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
   } catch (error) {
     console.error("Update ride error:", error);
     res.status(500).json({
@@ -658,70 +1139,126 @@ router.put("/:id", authenticateToken, authorizeDriver, async (req, res) => {
   }
 });
 
-// Complete a ride
-router.put(
-  "/:id/complete",
-  authenticateToken,
-  authorizeDriver,
-  async (req, res) => {
+/**
+ * Start a ride. Pending booking requests are cancelled.
+ * @route PUT /api/rides/:id/start
+ * @security JWT
+ * @returns {Object} 200 - Started ride
+ * @returns {Object} 400 - Ride is not scheduled or departs too far ahead
+ * @returns {Object} 404 - Ride not found
+ */
+router.put("/:id/start", authenticateToken, authorizeDriver, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const client = await db.pool.connect();
+
     try {
-      const { id } = req.params;
+      await client.query("BEGIN");
+      await setStatusContext(client, req.user.id);
 
-      const rideCheck = await db.query(
-        "SELECT * FROM rides WHERE id = $1 AND driver_id = $2",
+      const rideCheck = await client.query(
+        "SELECT * FROM rides WHERE id = $1 AND driver_id = $2 FOR UPDATE",
         [id, req.user.id]
       );
 
       if (rideCheck.rows.length === 0) {
+        await client.query("ROLLBACK");
         return res.status(404).json({
           success: false,
           message: "Ride not found or you are not the driver",
         });
       }
 
-      const ride = rideCheck.rows[0];
-
-      if (ride.status !== "scheduled") {
+      const error = startError(rideCheck.rows[0]);
+      if (error) {
+        await client.query("ROLLBACK");
         return res.status(400).json({
           success: false,
-          message: "Only scheduled rides can be marked as completed",
+          message: error,
         });
       }
 
+      const ride = await startRide(client, id);
+
+      await client.query("COMMIT");
+
+      res.json({
+        success: true,
+        message: "Ride started",
+        data: withLocalTimes(ride),
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error("Start ride error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+/**
+ * Complete a ride in progress. Boarded passengers complete their bookings and
+ * confirmed passengers who never boarded are marked as no-shows.
+ * @route PUT /api/rides/:id/complete
+ * @security JWT
+ * @returns {Object} 200 - Completed ride with booking outcome counts
+ * @returns {Object} 400 - Ride is not in progress
+ * @returns {Object} 404 - Ride not found
+ */
+router.put(
+  "/:id/complete",
+  authenticateToken,
+  authorizeDriver,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
       const client = await db.pool.connect();
 
       try {
         await client.query("BEGIN");
+        await setStatusContext(client, req.user.id);
 
-        // Mark all confirmed bookings as completed
-        await client.query(
-          "UPDATE bookings SET status = 'completed' WHERE ride_id = $1 AND status = 'confirmed'",
-          [id]
+        const rideCheck = await client.query(
+          "SELECT * FROM rides WHERE id = $1 AND driver_id = $2 FOR UPDATE",
+          [id, req.user.id]
         );
 
-        // Cancel any pending bookings (they were never confirmed before ride ended)
-        await client.query(
-          "UPDATE bookings SET status = 'cancelled' WHERE ride_id = $1 AND status = 'pending'",
-          [id]
-        );
+        if (rideCheck.rows.length === 0) {
+          await client.query("ROLLBACK");
+          return res.status(404).json({
+            success: false,
+            message: "Ride not found or you are not the driver",
+          });
+        }
 
-        // Mark the ride as completed
-        await client.query(
-          "UPDATE rides SET status = 'completed' WHERE id = $1",
-          [id]
-        );
+        const ride = rideCheck.rows[0];
 
-        // Increment driver's total_rides count
-        await client.query(
-          "UPDATE driver_profiles SET total_rides = total_rides + 1 WHERE user_id = $1",
-          [req.user.id]
-        );
+        if (!canTransition(ride.status, "completed")) {
+          await client.query("ROLLBACK");
+          return res.status(400).json({
+            success: false,
+            message: "Only rides in progress can be marked as completed",
+          });
+        }
+
+        const outcome = await completeRide(client, ride);
 
         await client.query("COMMIT");
 
         res.json({
           success: true,
           message: "Ride marked as completed successfully",
+          data: withLocalTimes(outcome.ride),
+          bookings_completed: outcome.completed,
+          no_shows: outcome.no_shows,
         });
       } catch (error) {
         await client.query("ROLLBACK");
@@ -739,19 +1276,25 @@ router.put(
   }
 );
 
-router.delete("/:id", authenticateToken, authorizeDriver, async (req, res) => {
+/**
+ * Cancel a scheduled ride and all of its bookings
+ * @route PUT /api/rides/:id/cancel
+ * @route DELETE /api/rides/:id
+ * @security JWT
+ * @param {string} [req.body.reason] - Why the ride is cancelled
+ * @returns {Object} 200 - Ride cancelled, with the cancellation's category and penalty
+ * @returns {Object} 400 - Invalid reason, or ride already started, completed or cancelled
+ * @returns {Object} 404 - Ride not found
+ */
+async function cancelRideHandler(req, res) {
   try {
     const { id } = req.params;
+    const { reason } = req.body || {};
 
-    const rideCheck = await db.query(
-      "SELECT * FROM rides WHERE id = $1 AND driver_id = $2",
-      [id, req.user.id]
-    );
-
-    if (rideCheck.rows.length === 0) {
-      return res.status(404).json({
+    if (reason !== undefined && (typeof reason !== "string" || reason.length > CANCELLATION_REASON_MAX_LENGTH)) {
+      return res.status(400).json({
         success: false,
-        message: "Ride not found or you are not the driver",
+        message: `Reason must be text of at most ${CANCELLATION_REASON_MAX_LENGTH} characters`,
       });
     }
 
@@ -759,18 +1302,35 @@ router.delete("/:id", authenticateToken, authorizeDriver, async (req, res) => {
 
     try {
       await client.query("BEGIN");
+      await setStatusContext(client, req.user.id, reason);
 
-      // Cancel all bookings for this ride
-      await client.query(
-        "UPDATE bookings SET status = 'cancelled' WHERE ride_id = $1 AND status != 'cancelled'",
-        [id]
+      const rideCheck = await client.query(
+        "SELECT * FROM rides WHERE id = $1 AND driver_id = $2 FOR UPDATE",
+        [id, req.user.id]
       );
 
-      // Cancel the ride
-      await client.query(
-        "UPDATE rides SET status = 'cancelled' WHERE id = $1",
-        [id]
-      );
+      if (rideCheck.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({
+          success: false,
+          message: "Ride not found or you are not the driver",
+        });
+      }
+
+      if (!canTransition(rideCheck.rows[0].status, "cancelled")) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({
+          success: false,
+          message: `A ${rideCheck.rows[0].status} ride cannot be cancelled`,
+        });
+      }
+
+      // Cancelling a ride with confirmed passengers close to departure
+      // counts against the driver
+      const [cancellation] = await recordRideCancellations(client, req.user.id, [id], reason);
+
+      // Cancel the ride and all of its bookings
+      await cancelRides(client, [id]);
 
       await client.query("COMMIT");
 
@@ -778,6 +1338,11 @@ router.delete("/:id", authenticateToken, authorizeDriver, async (req, res) => {
         success: true,
         message:
           "Ride cancelled successfully. All passengers have been notified.",
+        cancellation: {
+          category: cancellation.category,
+          penalty_points: parseFloat(cancellation.penalty_points),
+          reason: cancellation.reason,
+        },
       });
     } catch (error) {
       await client.query("ROLLBACK");
@@ -792,6 +1357,9 @@ router.delete("/:id", authenticateToken, authorizeDriver, async (req, res) => {
       message: "Internal server error",
     });
   }
-});
+}
+
+router.put("/:id/cancel", authenticateToken, authorizeDriver, cancelRideHandler);
+router.delete("/:id", authenticateToken, authorizeDriver, cancelRideHandler);
 
 module.exports = router;
@@ -8,15 +8,20 @@ router.get('/', authenticateToken, async (req, res) => {
   try {
     const { city } = req.query;
 
-    let query = 'SELECT * FROM universities';
+    let query = `
+      SELECT uni.*,
+             ARRAY(SELECT domain FROM university_email_domains
+                   WHERE university_id = uni.id ORDER BY domain) as email_domains
+      FROM universities uni
+    `;
     const params = [];
 
     if (city) {
-      query += ' WHERE LOWER(city) = LOWER($1)';
+      query += ' WHERE LOWER(uni.city) = LOWER($1)';
       params.push(city);
     }
 
-    query += ' ORDER BY name ASC';
+    query += ' ORDER BY uni.name ASC';
 
     const result = await db.query(query, params);
 
@@ -40,7 +45,11 @@ router.get('/:id', authenticateToken, async (req, res) => {
     const { id } = req.params;
 
     const result = await db.query(
-      'SELECT * FROM universities WHERE id = $1',
+      `SELECT uni.*,
+              ARRAY(SELECT domain FROM university_email_domains
+                    WHERE university_id = uni.id ORDER BY domain) as email_domains
+       FROM universities uni
+       WHERE uni.id = $1`,
       [id]
     );
 
@@ -9,13 +9,67 @@ const bcrypt = require("bcryptjs");
 const db = require("../config/database");
 const { authenticateToken } = require("../middleware/auth");
 const { authorizeSelf } = require("../middleware/authorize");
+const { validateEmail, validatePhone } = require("../utils/validators");
+const { sendMail } = require("../utils/mailer");
+const { hashToken, generateNumericCode } = require("../utils/tokens");
+const { getReliability } = require("../utils/reliability");
+const { getRatings, applyReviewRating } = require("../utils/ratings");
+const {
+  startPhoneVerification,
+  confirmPhoneVerification,
+} = require("../utils/phoneVerification");
+
+const VERIFICATION_CODE_TTL_MINUTES = 15;
+const VERIFICATION_MAX_ATTEMPTS = 5;
+const VERIFICATION_RESEND_COOLDOWN_SECONDS = 60;
+
+/**
+ * Start a phone change: the new number only replaces the current one after
+ * the OTP sent to it is confirmed.
+ * @param {number} userId - User ID
+ * @param {string} phone - Requested new phone number
+ * @returns {Promise<Object>} `{ status, message }` with an HTTP status to
+ *   return on failure, or `{ sent: true, expires_in_minutes }`
+ */
+async function requestPhoneChange(userId, phone) {
+  if (!validatePhone(phone)) {
+    return { status: 400, message: "Valid phone number is required" };
+  }
+
+  const phoneInUse = await db.query(
+    "SELECT id FROM users WHERE phone = $1 AND id != $2",
+    [phone, userId]
+  );
+
+  if (phoneInUse.rows.length > 0) {
+    return { status: 400, message: "Phone number already in use" };
+  }
+
+  const result = await startPhoneVerification(userId, phone, "phone_change");
+
+  if (result.status === "cooldown") {
+    return {
+      status: 429,
+      message: `Please wait ${result.retry_after} seconds before requesting a new code`,
+    };
+  }
+
+  if (result.status === "limit") {
+    return {
+      status: 429,
+      message: "Too many codes sent. Please try again later.",
+    };
+  }
+
+  return { sent: true, expires_in_minutes: result.expires_in_minutes };
+}
 
 /**
  * Update current user's profile
  * @route PUT /api/users/profile
  * @security JWT
  * @param {string} [req.body.full_name] - User's full name
- * @param {string} [req.body.phone] - User's phone number
+ * @param {string} [req.body.phone] - New phone number (applied after OTP confirmation)
  * @param {string} [req.body.profile_picture] - URL to profile picture
  * @param {string} [req.body.gender] - User's gender (male/female)
  * @returns {Object} 200 - Updated user object
@@ -34,10 +88,15 @@ router.put("/profile", authenticateToken, async (req, res) => {
       paramCount++;
     }
 
+    let phoneChange = null;
     if (phone) {
-      updates.push(`phone = $${paramCount}`);
-      values.push(phone);
-      paramCount++;
+      phoneChange = await requestPhoneChange(req.user.id, phone);
+      if (!phoneChange.sent) {
+        return res.status(phoneChange.status).json({
+          success: false,
+          message: phoneChange.message,
+        });
+      }
     }
 
     if (profile_picture !== undefined) {
@@ -52,27 +111,39 @@ router.put("/profile", authenticateToken, async (req, res) => {
       paramCount++;
     }
 
-    if (updates.length === 0) {
+    if (updates.length === 0 && !phoneChange) {
       return res.status(400).json({
         success: false,
         message: "No valid fields to update",
       });
     }
 
-    values.push(req.user.id);
+    let result;
+    if (updates.length > 0) {
+      values.push(req.user.id);
 
-    const result = await db.query(
-      `UPDATE users
-       SET ${updates.join(", ")}
-       WHERE id = $${paramCount}
-       RETURNING id, full_name, email, phone, role, gender, profile_picture, is_verified, updated_at`,
-      values
-    );
+      result = await db.query(
+        `UPDATE users
+         SET ${updates.join(", ")}
+         WHERE id = $${paramCount}
+         RETURNING id, full_name, email, phone, phone_verified, role, gender, profile_picture, is_verified, updated_at`,
+        values
+      );
+    } else {
+      result = await db.query(
+        `SELECT id, full_name, email, phone, phone_verified, role, gender, profile_picture, is_verified, updated_at
+         FROM users WHERE id = $1`,
+        [req.user.id]
+      );
+    }
 
     res.json({
       success: true,
-      message: "Profile updated successfully",
+      message: phoneChange
+        ? "Profile updated. Enter the code sent to your new phone number to complete the change."
+        : "Profile updated successfully",
       data: result.rows[0],
+      phone_verification_pending: !!phoneChange,
     });
   } catch (error) {
     console.error("Update profile error:", error);
@@ -89,6 +160,376 @@ router.put("/profile", authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * Send (or resend) an OTP to verify the current phone number, or to confirm
+ * a new phone number when `phone` differs from the current one
+ * @route POST /api/users/phone-verification
+ * @security JWT
+ * @param {string} [req.body.phone] - New phone number (omit to verify the current one)
+ * @returns {Object} 200 - Code sent
+ * @returns {Object} 400 - Invalid phone, phone in use or already verified
+ * @returns {Object} 429 - Resend cooldown or send limit reached
+ */
+router.post("/phone-verification", authenticateToken, async (req, res) => {
+  try {
+    const { phone } = req.body;
+
+    const userResult = await db.query(
+      "SELECT phone, phone_verified FROM users WHERE id = $1",
+      [req.user.id]
+    );
+    const user = userResult.rows[0];
+
+    if (phone && phone !== user.phone) {
+      const phoneChange = await requestPhoneChange(req.user.id, phone);
+      if (!phoneChange.sent) {
+        return res.status(phoneChange.status).json({
+          success: false,
+          message: phoneChange.message,
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: "Verification code sent to your new phone number",
+        data: { expires_in_minutes: phoneChange.expires_in_minutes },
+      });
+    }
+
+    if (user.phone_verified) {
+      return res.status(400).json({
+        success: false,
+        message: "Phone number is already verified",
+      });
+    }
+
+    const result = await startPhoneVerification(req.user.id, user.phone, "registration");
+
+    if (result.status === "cooldown") {
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${result.retry_after} seconds before requesting a new code`,
+      });
+    }
+
+    if (result.status === "limit") {
+      return res.status(429).json({
+        success: false,
+        message: "Too many codes sent. Please try again later.",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Verification code sent to your phone number",
+      data: { expires_in_minutes: result.expires_in_minutes },
+    });
+  } catch (error) {
+    console.error("Request phone verification error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+/**
+ * Confirm a phone OTP. Completes registration verification or applies a
+ * pending phone change.
+ * @route POST /api/users/phone-verification/confirm
+ * @security JWT
+ * @param {string} req.body.code - Code received by SMS
+ * @returns {Object} 200 - Phone verified
+ * @returns {Object} 400 - Wrong, expired or exhausted code
+ * @returns {Object} 409 - Phone taken by another account meanwhile
+ */
+router.post(
+  "/phone-verification/confirm",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { code } = req.body;
+
+      if (!code) {
+        return res.status(400).json({
+          success: false,
+          message: "Verification code is required",
+        });
+      }
+
+      const result = await confirmPhoneVerification(req.user.id, code);
+
+      if (result.status === "not_found") {
+        return res.status(400).json({
+          success: false,
+          message: "No active verification code. Please request a new one.",
+        });
+      }
+
+      if (result.status === "exhausted") {
+        return res.status(400).json({
+          success: false,
+          message: "Too many incorrect attempts. Please request a new code.",
+        });
+      }
+
+      if (result.status === "invalid") {
+        return res.status(400).json({
+          success: false,
+          message: "Incorrect verification code",
+        });
+      }
+
+      res.json({
+        success: true,
+        message:
+          result.purpose === "phone_change"
+            ? "Phone number changed and verified successfully"
+            : "Phone number verified successfully",
+        data: result.user,
+      });
+    } catch (error) {
+      console.error("Confirm phone verification error:", error);
+      if (error.code === "23505") {
+        return res.status(409).json({
+          success: false,
+          message: "Phone number already in use",
+        });
+      }
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * Send a university verification code to a university email address
+ * @route POST /api/users/university-verification
+ * @security JWT
+ * @param {string} req.body.email - University email address
+ * @returns {Object} 200 - Code sent, with the matched university
+ * @returns {Object} 400 - Invalid email or domain not on the allow-list
+ * @returns {Object} 409 - Email already used by another account
+ * @returns {Object} 429 - Code requested too recently
+ */
+router.post("/university-verification", authenticateToken, async (req, res) => {
+  try {
+    const email = (req.body.email || "").trim().toLowerCase();
+
+    if (!validateEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: "Valid email is required",
+      });
+    }
+
+    const domain = email.split("@")[1];
+
+    // Exact domain or any of its subdomains; the most specific match wins
+    const universityResult = await db.query(
+      `SELECT uni.id, uni.name
+       FROM university_email_domains ued
+       JOIN universities uni ON ued.university_id = uni.id
+       WHERE $1 = ued.domain OR $1 LIKE '%.' || ued.domain
+       ORDER BY LENGTH(ued.domain) DESC
+       LIMIT 1`,
+      [domain]
+    );
+
+    if (universityResult.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "This email domain does not belong to a supported university",
+      });
+    }
+
+    const university = universityResult.rows[0];
+
+    const emailInUse = await db.query(
+      "SELECT id FROM users WHERE university_email = $1 AND id != $2",
+      [email, req.user.id]
+    );
+
+    if (emailInUse.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: "This university email is already linked to another account",
+      });
+    }
+
+    const recent = await db.query(
+      `SELECT id FROM university_verifications
+       WHERE user_id = $1 AND created_at > NOW() - ($2 || ' seconds')::INTERVAL`,
+      [req.user.id, String(VERIFICATION_RESEND_COOLDOWN_SECONDS)]
+    );
+
+    if (recent.rows.length > 0) {
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${VERIFICATION_RESEND_COOLDOWN_SECONDS} seconds before requesting a new code`,
+      });
+    }
+
+    const code = generateNumericCode();
+
+    // Only the latest code can be used
+    await db.query(
+      "UPDATE university_verifications SET consumed_at = NOW() WHERE user_id = $1 AND consumed_at IS NULL",
+      [req.user.id]
+    );
+
+    await db.query(
+      `INSERT INTO university_verifications (user_id, university_id, email, code_hash, expires_at)
+       VALUES ($1, $2, $3, $4, NOW() + ($5 || ' minutes')::INTERVAL)`,
+      [
+        req.user.id,
+        university.id,
+        email,
+        hashToken(`${req.user.id}:${code}`),
+        String(VERIFICATION_CODE_TTL_MINUTES),
+      ]
+    );
+
+    await sendMail({
+      to: email,
+      subject: "Your Tareeqi university verification code",
+      text:
+        `Your verification code for ${university.name} is ${code}.\n\n` +
+        `It expires in ${VERIFICATION_CODE_TTL_MINUTES} minutes.`,
+    });
+
+    res.json({
+      success: true,
+      message: "Verification code sent to your university email",
+      data: {
+        university_id: university.id,
+        university_name: university.name,
+      },
+    });
+  } catch (error) {
+    console.error("Request university verification error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+/**
+ * Confirm a university verification code and mark the user as verified
+ * @route POST /api/users/university-verification/confirm
+ * @security JWT
+ * @param {string} req.body.code - Code received by email
+ * @returns {Object} 200 - Updated user with university link
+ * @returns {Object} 400 - Wrong, expired or exhausted code
+ */
+router.post(
+  "/university-verification/confirm",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { code } = req.body;
+
+      if (!code) {
+        return res.status(400).json({
+          success: false,
+          message: "Verification code is required",
+        });
+      }
+
+      const client = await db.pool.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        const verificationResult = await client.query(
+          `SELECT * FROM university_verifications
+           WHERE user_id = $1 AND consumed_at IS NULL AND expires_at > NOW()
+           ORDER BY created_at DESC
+           LIMIT 1
+           FOR UPDATE`,
+          [req.user.id]
+        );
+
+        if (verificationResult.rows.length === 0) {
+          await client.query("ROLLBACK");
+          return res.status(400).json({
+            success: false,
+            message: "No active verification code. Please request a new one.",
+          });
+        }
+
+        const verification = verificationResult.rows[0];
+
+        if (verification.attempts >= VERIFICATION_MAX_ATTEMPTS) {
+          await client.query(
+            "UPDATE university_verifications SET consumed_at = NOW() WHERE id = $1",
+            [verification.id]
+          );
+          await client.query("COMMIT");
+          return res.status(400).json({
+            success: false,
+            message: "Too many incorrect attempts. Please request a new code.",
+          });
+        }
+
+        if (hashToken(`${req.user.id}:${String(code).trim()}`) !== verification.code_hash) {
+          await client.query(
+            "UPDATE university_verifications SET attempts = attempts + 1 WHERE id = $1",
+            [verification.id]
+          );
+          await client.query("COMMIT");
+          return res.status(400).json({
+            success: false,
+            message: "Incorrect verification code",
+          });
+        }
+
+        await client.query(
+          "UPDATE university_verifications SET consumed_at = NOW() WHERE id = $1",
+          [verification.id]
+        );
+
+        const result = await client.query(
+          `UPDATE users
+           SET is_verified = TRUE, university_id = $1, university_email = $2, verified_at = NOW()
+           WHERE id = $3
+           RETURNING id, full_name, email, phone, role, gender, is_verified,
+                     university_id, university_email, verified_at`,
+          [verification.university_id, verification.email, req.user.id]
+        );
+
+        await client.query("COMMIT");
+
+        res.json({
+          success: true,
+          message: "University membership verified successfully",
+          data: result.rows[0],
+        });
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      console.error("Confirm university verification error:", error);
+      if (error.code === "23505") {
+        return res.status(409).json({
+          success: false,
+          message: "This university email is already linked to another account",
+        });
+      }
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
 // DELETE /api/users/profile - Delete (deactivate) current user's account
 router.delete("/profile", authenticateToken, async (req, res) => {
  try {
@@ -97,10 +538,18 @@ router.delete("/profile", authenticateToken, async (req, res) => {
     try {
       await client.query("BEGIN");
 
-      // 1. Delete reviews BY this user (as reviewer)
-      await client.query("DELETE FROM reviews WHERE reviewer_id = $1", [
-        req.user.id,
-      ]);
+      // 1. Delete reviews BY this user (as reviewer) and update the ratings
+      // of the users they reviewed
+      const written = await client.query(
+        `DELETE FROM reviews WHERE reviewer_id = $1
+         RETURNING reviewee_id, reviewee_role, rating, revealed_at, is_hidden`,
+        [req.user.id]
+      );
+      for (const review of written.rows) {
+        if (review.revealed_at !== null && !review.is_hidden) {
+          await applyReviewRating(client, review, -1);
+        }
+      }
 
       // 2. Delete reviews FOR this user (as reviewee/driver)
       await client.query("DELETE FROM reviews WHERE reviewee_id = $1", [
@@ -158,14 +607,17 @@ router.get("/:id", authenticateToken, async (req, res) => {
     const { id } = req.params;
 
     const result = await db.query(
-      `SELECT u.id, u.full_name, u.email, u.phone, u.role, u.profile_picture,
-              u.is_verified, u.created_at,
+      `SELECT u.id, u.full_name, u.email,
+              CASE WHEN u.phone_verified OR u.id = $2 THEN u.phone END as phone,
+              u.phone_verified, u.role, u.profile_picture,
+              u.is_verified, u.university_id, uni.name as university_name, u.created_at,
               dp.car_make, dp.car_model, dp.car_year, dp.car_color,
               dp.car_seats, dp.rating, dp.total_rides
        FROM users u
        LEFT JOIN driver_profiles dp ON u.id = dp.user_id
+       LEFT JOIN universities uni ON u.university_id = uni.id
        WHERE u.id = $1 AND u.is_active = TRUE`,
-      [id]
+      [id, req.user.id]
     );
 
     if (result.rows.length === 0) {
@@ -175,9 +627,15 @@ router.get("/:id", authenticateToken, async (req, res) => {
       });
     }
 
+    const user = result.rows[0];
+    const reliability = { passenger: await getReliability(user.id, "passenger") };
+    if (user.role === "driver") {
+      reliability.driver = await getReliability(user.id, "driver");
+    }
+
     res.json({
       success: true,
-      data: result.rows[0],
+      data: { ...user, reliability, ratings: await getRatings(user.id) },
     });
   } catch (error) {
     console.error("Get user error:", error);
@@ -203,10 +661,15 @@ router.put("/:id", authenticateToken, authorizeSelf, async (req, res) => {
       paramCount++;
     }
 
+    let phoneChange = null;
     if (phone) {
-      updates.push(`phone = $${paramCount}`);
-      values.push(phone);
-      paramCount++;
+      phoneChange = await requestPhoneChange(req.user.id, phone);
+      if (!phoneChange.sent) {
+        return res.status(phoneChange.status).json({
+          success: false,
+          message: phoneChange.message,
+        });
+      }
     }
 
     if (profile_picture !== undefined) {
@@ -215,27 +678,39 @@ router.put("/:id", authenticateToken, authorizeSelf, async (req, res) => {
       paramCount++;
     }
 
-    if (updates.length === 0) {
+    if (updates.length === 0 && !phoneChange) {
       return res.status(400).json({
         success: false,
         message: "No valid fields to update",
       });
     }
 
-    values.push(id);
+    let result;
+    if (updates.length > 0) {
+      values.push(id);
 
-    const result = await db.query(
-      `UPDATE users
-       SET ${updates.join(", ")}
-       WHERE id = $${paramCount}
-       RETURNING id, full_name, email, phone, role, profile_picture, is_verified, updated_at`,
-      values
-    );
+      result = await db.query(
+        `UPDATE users
+         SET ${updates.join(", ")}
+         WHERE id = $${paramCount}
+         RETURNING id, full_name, email, phone, phone_verified, role, profile_picture, is_verified, updated_at`,
+        values
+      );
+    } else {
+      result = await db.query(
+        `SELECT id, full_name, email, phone, phone_verified, role, profile_picture, is_verified, updated_at
+         FROM users WHERE id = $1`,
+        [id]
+      );
+    }
 
     res.json({
       success: true,
-      message: "User updated successfully",
+      message: phoneChange
+        ? "User updated. Enter the code sent to your new phone number to complete the change."
+        : "User updated successfully",
       data: result.rows[0],
+      phone_verification_pending: !!phoneChange,
     });
   } catch (error) {
     console.error("Update user error:", error);
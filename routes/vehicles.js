@@ -0,0 +1,472 @@
+/**
+ * @fileoverview Driver vehicle management routes
+ * @module routes/vehicles
+ */
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const db = require("../config/database");
+const { authenticateToken } = require("../middleware/auth");
+const { authorizeDriver } = require("../middleware/authorize");
+const {
+  validateVehicle,
+  syncProfileWithDefaultVehicle,
+} = require("../utils/vehicles");
+const { localDateString } = require("../utils/time");
+
+// Only the driver can manage their own vehicles
+const authorizeOwner = (req, res, next) => {
+  if (req.user.id !== parseInt(req.params.userId)) {
+    return res.status(403).json({
+      success: false,
+      message: "You can only manage your own vehicles",
+    });
+  }
+  next();
+};
+
+/**
+ * List a driver's vehicles
+ * @route GET /api/drivers/:userId/vehicles
+ * @security JWT
+ * @returns {Object} 200 - Active vehicles, default first
+ */
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const result = await db.query(
+      `SELECT * FROM vehicles
+       WHERE driver_id = $1 AND is_active = TRUE
+       ORDER BY is_default DESC, created_at ASC`,
+      [userId]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length,
+    });
+  } catch (error) {
+    console.error("Get vehicles error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+/**
+ * Add a vehicle
+ * @route POST /api/drivers/:userId/vehicles
+ * @security JWT
+ * @param {string} req.body.make - Vehicle manufacturer
+ * @param {string} req.body.model - Vehicle model
+ * @param {number} req.body.year - Vehicle year
+ * @param {string} req.body.color - Vehicle color
+ * @param {string} req.body.plate_number - Plate number
+ * @param {number} req.body.seats - Passenger seats (1-8)
+ * @param {string} [req.body.fuel_type] - petrol, diesel, electric or hybrid
+ * @param {boolean} [req.body.is_default] - Make this the default vehicle
+ * @returns {Object} 201 - Created vehicle
+ * @returns {Object} 400 - Validation error or missing driver profile
+ * @returns {Object} 409 - Plate number already registered
+ */
+router.post(
+  "/",
+  authenticateToken,
+  authorizeDriver,
+  authorizeOwner,
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { make, model, year, color, plate_number, seats, fuel_type, is_default } =
+        req.body;
+
+      const errors = validateVehicle(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors,
+        });
+      }
+
+      const profile = await db.query(
+        "SELECT id FROM driver_profiles WHERE user_id = $1",
+        [userId]
+      );
+
+      if (profile.rows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Please create a driver profile first",
+        });
+      }
+
+      const client = await db.pool.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        const existing = await client.query(
+          "SELECT COUNT(*) as count FROM vehicles WHERE driver_id = $1 AND is_active = TRUE",
+          [userId]
+        );
+        const makeDefault = is_default === true || parseInt(existing.rows[0].count) === 0;
+
+        if (makeDefault) {
+          await client.query(
+            "UPDATE vehicles SET is_default = FALSE WHERE driver_id = $1 AND is_default = TRUE",
+            [userId]
+          );
+        }
+
+        const result = await client.query(
+          `INSERT INTO vehicles
+           (driver_id, make, model, year, color, plate_number, seats, fuel_type, is_default)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+           RETURNING *`,
+          [
+            userId,
+            make,
+            model,
+            year,
+            color,
+            plate_number,
+            seats,
+            fuel_type || "petrol",
+            makeDefault,
+          ]
+        );
+
+        if (makeDefault) {
+          await syncProfileWithDefaultVehicle(client, userId);
+        }
+
+        await client.query("COMMIT");
+
+        res.status(201).json({
+          success: true,
+          message: "Vehicle added successfully",
+          data: result.rows[0],
+        });
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      console.error("Create vehicle error:", error);
+
+      if (error.code === "23505") {
+        return res.status(409).json({
+          success: false,
+          message: "This plate number is already registered",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * Update a vehicle
+ * @route PUT /api/drivers/:userId/vehicles/:vehicleId
+ * @security JWT
+ * @returns {Object} 200 - Updated vehicle
+ * @returns {Object} 400 - Validation error or seats below an upcoming ride's seats
+ * @returns {Object} 404 - Vehicle not found
+ */
+router.put(
+  "/:vehicleId",
+  authenticateToken,
+  authorizeDriver,
+  authorizeOwner,
+  async (req, res) => {
+    try {
+      const { userId, vehicleId } = req.params;
+
+      const errors = validateVehicle(req.body, true);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors,
+        });
+      }
+
+      const vehicleCheck = await db.query(
+        "SELECT * FROM vehicles WHERE id = $1 AND driver_id = $2 AND is_active = TRUE",
+        [vehicleId, userId]
+      );
+
+      if (vehicleCheck.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Vehicle not found",
+        });
+      }
+
+      if (req.body.seats !== undefined) {
+        const ridesCheck = await db.query(
+          `SELECT MAX(total_seats) as max_seats FROM rides
+           WHERE vehicle_id = $1 AND status = 'scheduled'`,
+          [vehicleId]
+        );
+        const maxSeats = ridesCheck.rows[0].max_seats;
+
+        if (maxSeats && parseInt(req.body.seats) < maxSeats) {
+          return res.status(400).json({
+            success: false,
+            message: `Seats cannot be lower than an upcoming ride using this vehicle (${maxSeats} seats)`,
+          });
+        }
+      }
+
+      const updates = [];
+      const values = [];
+      let paramCount = 1;
+
+      for (const field of ["make", "model", "year", "color", "plate_number", "seats", "fuel_type"]) {
+        if (req.body[field] !== undefined) {
+          updates.push(`${field} = $${paramCount}`);
+          values.push(req.body[field]);
+          paramCount++;
+        }
+      }
+
+      if (updates.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "No valid fields to update",
+        });
+      }
+
+      values.push(vehicleId);
+
+      const client = await db.pool.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        const result = await client.query(
+          `UPDATE vehicles
+           SET ${updates.join(", ")}
+           WHERE id = $${paramCount}
+           RETURNING *`,
+          values
+        );
+
+        if (result.rows[0].is_default) {
+          await syncProfileWithDefaultVehicle(client, userId);
+        }
+
+        await client.query("COMMIT");
+
+        res.json({
+          success: true,
+          message: "Vehicle updated successfully",
+          data: result.rows[0],
+        });
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      console.error("Update vehicle error:", error);
+
+      if (error.code === "23505") {
+        return res.status(409).json({
+          success: false,
+          message: "This plate number is already registered",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * Make a vehicle the driver's default
+ * @route PUT /api/drivers/:userId/vehicles/:vehicleId/default
+ * @security JWT
+ * @returns {Object} 200 - Updated vehicle
+ * @returns {Object} 404 - Vehicle not found
+ */
+router.put(
+  "/:vehicleId/default",
+  authenticateToken,
+  authorizeDriver,
+  authorizeOwner,
+  async (req, res) => {
+    try {
+      const { userId, vehicleId } = req.params;
+
+      const client = await db.pool.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        const vehicleCheck = await client.query(
+          "SELECT id FROM vehicles WHERE id = $1 AND driver_id = $2 AND is_active = TRUE",
+          [vehicleId, userId]
+        );
+
+        if (vehicleCheck.rows.length === 0) {
+          await client.query("ROLLBACK");
+          return res.status(404).json({
+            success: false,
+            message: "Vehicle not found",
+          });
+        }
+
+        await client.query(
+          "UPDATE vehicles SET is_default = FALSE WHERE driver_id = $1 AND is_default = TRUE",
+          [userId]
+        );
+
+        const result = await client.query(
+          "UPDATE vehicles SET is_default = TRUE WHERE id = $1 RETURNING *",
+          [vehicleId]
+        );
+
+        await syncProfileWithDefaultVehicle(client, userId);
+
+        await client.query("COMMIT");
+
+        res.json({
+          success: true,
+          message: "Default vehicle updated successfully",
+          data: result.rows[0],
+        });
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      console.error("Set default vehicle error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * Remove a vehicle. Vehicles used by upcoming rides or active ride series
+ * cannot be removed; when the default vehicle is removed the most recently
+ * added one takes its place.
+ * @route DELETE /api/drivers/:userId/vehicles/:vehicleId
+ * @security JWT
+ * @returns {Object} 200 - Vehicle removed
+ * @returns {Object} 400 - Vehicle used by upcoming rides or an active series
+ * @returns {Object} 404 - Vehicle not found
+ */
+router.delete(
+  "/:vehicleId",
+  authenticateToken,
+  authorizeDriver,
+  authorizeOwner,
+  async (req, res) => {
+    try {
+      const { userId, vehicleId } = req.params;
+
+      const vehicleCheck = await db.query(
+        "SELECT * FROM vehicles WHERE id = $1 AND driver_id = $2 AND is_active = TRUE",
+        [vehicleId, userId]
+      );
+
+      if (vehicleCheck.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Vehicle not found",
+        });
+      }
+
+      const ridesCheck = await db.query(
+        "SELECT id FROM rides WHERE vehicle_id = $1 AND status IN ('scheduled', 'in_progress') LIMIT 1",
+        [vehicleId]
+      );
+
+      if (ridesCheck.rows.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "This vehicle is used by upcoming rides",
+        });
+      }
+
+      // Active series keep creating rides with their vehicle
+      const seriesCheck = await db.query(
+        "SELECT id FROM ride_series WHERE vehicle_id = $1 AND status = 'active' AND end_date >= $2 LIMIT 1",
+        [vehicleId, localDateString()]
+      );
+
+      if (seriesCheck.rows.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "This vehicle is used by an active ride series",
+        });
+      }
+
+      const client = await db.pool.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        await client.query(
+          "UPDATE vehicles SET is_active = FALSE, is_default = FALSE WHERE id = $1",
+          [vehicleId]
+        );
+
+        if (vehicleCheck.rows[0].is_default) {
+          await client.query(
+            `UPDATE vehicles SET is_default = TRUE
+             WHERE id = (
+               SELECT id FROM vehicles
+               WHERE driver_id = $1 AND is_active = TRUE
+               ORDER BY created_at DESC
+               LIMIT 1
+             )`,
+            [userId]
+          );
+          await syncProfileWithDefaultVehicle(client, userId);
+        }
+
+        await client.query("COMMIT");
+
+        res.json({
+          success: true,
+          message: "Vehicle removed successfully",
+        });
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      console.error("Delete vehicle error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,483 @@
+/**
+ * @fileoverview Ride waitlist routes: joining full rides and answering seat offers
+ * @module routes/waitlist
+ */
+
+const express = require("express");
+const router = express.Router();
+const db = require("../config/database");
+const { authenticateToken } = require("../middleware/auth");
+const {
+  getRideStops,
+  segmentAvailableSeats,
+  refreshAvailableSeats,
+} = require("../utils/rideStops");
+const { placeBooking } = require("../utils/bookings");
+const { setStatusContext } = require("../utils/statusHistory");
+const { passengerRatingError } = require("../utils/ratings");
+const { WAITLIST_OFFER_MINUTES, offerFreedSeats } = require("../utils/waitlist");
+const { withLocalTimes } = require("../utils/time");
+
+// Place in line among the passengers still waiting
+const POSITION = `CASE WHEN w.status = 'waiting' THEN
+  (SELECT COUNT(*) + 1 FROM ride_waitlist w2
+   WHERE w2.ride_id = w.ride_id AND w2.status = 'waiting'
+     AND (w2.created_at, w2.id) < (w.created_at, w.id))
+END`;
+
+/**
+ * Load a waitlist entry of the current passenger together with its ride,
+ * locking both
+ * @param {Object} client - Database client inside a transaction
+ * @param {number} id - Waitlist entry ID
+ * @param {number} passengerId - Current user ID
+ * @returns {Promise<Object|null>} `{ entry, ride }`, or null if not found
+ */
+async function lockOwnEntry(client, id, passengerId) {
+  const found = await client.query(
+    "SELECT ride_id FROM ride_waitlist WHERE id = $1 AND passenger_id = $2",
+    [id, passengerId]
+  );
+  if (found.rows.length === 0) {
+    return null;
+  }
+
+  // Ride first, in the same order as the booking path
+  const ride = await client.query("SELECT * FROM rides WHERE id = $1 FOR UPDATE", [
+    found.rows[0].ride_id,
+  ]);
+  const entry = await client.query("SELECT * FROM ride_waitlist WHERE id = $1 FOR UPDATE", [id]);
+
+  return { entry: entry.rows[0], ride: ride.rows[0] };
+}
+
+/**
+ * Join the waitlist of a full ride
+ * @route POST /api/waitlist
+ * @security JWT
+ * @param {number} req.body.ride_id - Ride to wait for
+ * @param {number} req.body.seats_requested - Seats needed (1-8)
+ * @param {string} [req.body.pickup_location] - Custom pickup location
+ * @param {string} [req.body.dropoff_location] - Custom dropoff location
+ * @param {number} [req.body.boarding_stop_order] - Stop to board at (default: origin)
+ * @param {number} [req.body.alighting_stop_order] - Stop to get off at (default: destination)
+ * @returns {Object} 201 - Waitlist entry with its position
+ * @returns {Object} 400 - Validation error, or the seats are available to book
+ * @returns {Object} 403 - Passenger rating below the ride's minimum
+ * @returns {Object} 404 - Ride not found
+ * @returns {Object} 409 - Already booked or already on the waitlist
+ */
+router.post("/", authenticateToken, async (req, res) => {
+  try {
+    const {
+      ride_id,
+      seats_requested,
+      pickup_location,
+      dropoff_location,
+      boarding_stop_order,
+      alighting_stop_order,
+    } = req.body;
+
+    const seatsNum = parseInt(seats_requested);
+    if (!ride_id || isNaN(seatsNum) || seatsNum < 1 || seatsNum > 8) {
+      return res.status(400).json({
+        success: false,
+        message: "Ride ID and seats requested (1-8) are required",
+      });
+    }
+
+    const rideResult = await db.query(
+      "SELECT * FROM rides WHERE id = $1 AND status = 'scheduled' AND departure_time > NOW()",
+      [ride_id]
+    );
+
+    if (rideResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Ride not found or not available for booking",
+      });
+    }
+
+    const ride = rideResult.rows[0];
+
+    if (ride.driver_id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot join the waitlist of your own ride",
+      });
+    }
+
+    const ratingError = await passengerRatingError(db, ride, req.user.id);
+    if (ratingError) {
+      return res.status(403).json({
+        success: false,
+        message: ratingError,
+      });
+    }
+
+    const stops = await getRideStops(ride);
+    const lastStop = stops.length - 1;
+    const boarding = boarding_stop_order === undefined ? 0 : parseInt(boarding_stop_order);
+    const alighting = alighting_stop_order === undefined ? lastStop : parseInt(alighting_stop_order);
+
+    if (isNaN(boarding) || isNaN(alighting) || boarding < 0 || alighting > lastStop || boarding >= alighting) {
+      return res.status(400).json({
+        success: false,
+        message: `Boarding and alighting stops must be between 0 and ${lastStop}, boarding before alighting`,
+      });
+    }
+
+    const activeBooking = await db.query(
+      `SELECT id FROM bookings
+       WHERE ride_id = $1 AND passenger_id = $2 AND status IN ('pending', 'confirmed')`,
+      [ride_id, req.user.id]
+    );
+
+    if (activeBooking.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: "You have already booked this ride",
+      });
+    }
+
+    if ((await segmentAvailableSeats(db, ride, boarding, alighting)) >= seatsNum) {
+      return res.status(400).json({
+        success: false,
+        message: "Seats are available on this ride. Book it instead.",
+      });
+    }
+
+    let result;
+    try {
+      result = await db.query(
+        `INSERT INTO ride_waitlist
+         (ride_id, passenger_id, seats_requested, boarding_stop_order, alighting_stop_order,
+          pickup_location, dropoff_location)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING id`,
+        [ride_id, req.user.id, seatsNum, boarding, alighting, pickup_location, dropoff_location]
+      );
+    } catch (error) {
+      if (error.code === "23505") {
+        return res.status(409).json({
+          success: false,
+          message: "You are already on the waitlist for this ride",
+        });
+      }
+      throw error;
+    }
+
+    const entry = await db.query(
+      `SELECT w.*, ${POSITION} as position FROM ride_waitlist w WHERE w.id = $1`,
+      [result.rows[0].id]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `You are on the waitlist. If seats are freed you will have ${WAITLIST_OFFER_MINUTES} minutes to accept them.`,
+      data: entry.rows[0],
+    });
+  } catch (error) {
+    console.error("Join waitlist error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+/**
+ * List the current passenger's waitlist entries
+ * @route GET /api/waitlist
+ * @security JWT
+ * @param {string} [req.query.status] - Filter by status
+ * @returns {Object} 200 - Entries with their ride and position, newest first
+ */
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    let query = `
+      SELECT w.*, ${POSITION} as position,
+             r.origin, r.destination, r.departure_time, r.price_per_seat, r.status as ride_status,
+             u.full_name as driver_name
+      FROM ride_waitlist w
+      JOIN rides r ON w.ride_id = r.id
+      JOIN users u ON r.driver_id = u.id
+      WHERE w.passenger_id = $1
+    `;
+    const params = [req.user.id];
+
+    if (status) {
+      query += " AND w.status = $2";
+      params.push(status);
+    }
+
+    query += " ORDER BY w.created_at DESC";
+
+    const result = await db.query(query, params);
+
+    res.json({
+      success: true,
+      data: result.rows.map(withLocalTimes),
+      count: result.rows.length,
+    });
+  } catch (error) {
+    console.error("Get waitlist error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+/**
+ * List the open waitlist of a ride, in line order
+ * @route GET /api/waitlist/ride/:rideId
+ * @security JWT
+ * @returns {Object} 200 - Waiting and offered entries
+ * @returns {Object} 403 - Not the ride's driver
+ * @returns {Object} 404 - Ride not found
+ */
+router.get("/ride/:rideId", authenticateToken, async (req, res) => {
+  try {
+    const { rideId } = req.params;
+
+    const rideCheck = await db.query("SELECT driver_id FROM rides WHERE id = $1", [rideId]);
+
+    if (rideCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Ride not found",
+      });
+    }
+
+    if (rideCheck.rows[0].driver_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the driver can view the waitlist of this ride",
+      });
+    }
+
+    const result = await db.query(
+      `SELECT w.*, ${POSITION} as position,
+              u.full_name as passenger_name, u.profile_picture as passenger_picture
+       FROM ride_waitlist w
+       JOIN users u ON w.passenger_id = u.id
+       WHERE w.ride_id = $1 AND w.status IN ('waiting', 'offered')
+       ORDER BY w.created_at, w.id`,
+      [rideId]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length,
+    });
+  } catch (error) {
+    console.error("Get ride waitlist error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+/**
+ * Accept offered seats, which books them like POST /api/bookings
+ * @route POST /api/waitlist/:id/accept
+ * @security JWT
+ * @returns {Object} 201 - The booking, confirmed or pending per the ride's booking mode
+ * @returns {Object} 400 - No seats offered, or the offer expired
+ * @returns {Object} 404 - Entry not found
+ * @returns {Object} 409 - Already booked this ride
+ */
+router.post("/:id/accept", authenticateToken, async (req, res) => {
+  try {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+      await setStatusContext(client, req.user.id);
+
+      const own = await lockOwnEntry(client, req.params.id, req.user.id);
+
+      if (!own) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({
+          success: false,
+          message: "Waitlist entry not found",
+        });
+      }
+
+      const { entry, ride } = own;
+
+      if (entry.status !== "offered") {
+        await client.query("ROLLBACK");
+        return res.status(400).json({
+          success: false,
+          message: `No seats are offered on this ${entry.status} waitlist entry`,
+        });
+      }
+
+      if (new Date(entry.offer_expires_at) <= new Date()) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({
+          success: false,
+          message: "This offer has expired",
+        });
+      }
+
+      // Accepting releases the hold, which the booking then takes over
+      await client.query("UPDATE ride_waitlist SET status = 'accepted' WHERE id = $1", [entry.id]);
+
+      const seats = await segmentAvailableSeats(
+        client,
+        ride,
+        entry.boarding_stop_order,
+        entry.alighting_stop_order
+      );
+      if (seats < entry.seats_requested) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({
+          success: false,
+          message: `Only ${seats} seats are still available`,
+        });
+      }
+
+      const placed = await placeBooking(client, ride, await getRideStops(ride, client), req.user.id, {
+        seats_booked: entry.seats_requested,
+        boarding_stop_order: entry.boarding_stop_order,
+        alighting_stop_order: entry.alighting_stop_order,
+        pickup_location: entry.pickup_location,
+        dropoff_location: entry.dropoff_location,
+      });
+
+      if (!placed) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({
+          success: false,
+          message: "You have already booked this ride",
+        });
+      }
+
+      await client.query("UPDATE ride_waitlist SET booking_id = $1 WHERE id = $2", [
+        placed.booking.id,
+        entry.id,
+      ]);
+
+      await client.query("COMMIT");
+
+      res.status(201).json({
+        success: true,
+        message: placed.instant
+          ? "Booking confirmed"
+          : "Booking request sent. The driver has until the approval deadline to respond.",
+        data: placed.booking,
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error("Accept waitlist offer error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+/**
+ * Close a waitlist entry and pass any seats it held on to the next in line
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} status - declined | cancelled
+ * @param {string[]} fromStatuses - Statuses the entry may be closed from
+ */
+async function closeEntry(req, res, status, fromStatuses) {
+  try {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const own = await lockOwnEntry(client, req.params.id, req.user.id);
+
+      if (!own) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({
+          success: false,
+          message: "Waitlist entry not found",
+        });
+      }
+
+      const { entry } = own;
+
+      if (!fromStatuses.includes(entry.status)) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({
+          success: false,
+          message: `A ${entry.status} waitlist entry cannot be ${status}`,
+        });
+      }
+
+      const result = await client.query(
+        "UPDATE ride_waitlist SET status = $1 WHERE id = $2 RETURNING *",
+        [status, entry.id]
+      );
+
+      if (entry.status === "offered") {
+        await refreshAvailableSeats(client, entry.ride_id);
+        await offerFreedSeats(client, entry.ride_id);
+      }
+
+      await client.query("COMMIT");
+
+      res.json({
+        success: true,
+        message: status === "declined" ? "Offer declined" : "You have left the waitlist",
+        data: result.rows[0],
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error("Close waitlist entry error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+}
+
+/**
+ * Decline offered seats; they are offered to the next passenger in line
+ * @route POST /api/waitlist/:id/decline
+ * @security JWT
+ * @returns {Object} 200 - Declined entry
+ * @returns {Object} 400 - No seats offered
+ * @returns {Object} 404 - Entry not found
+ */
+router.post("/:id/decline", authenticateToken, (req, res) =>
+  closeEntry(req, res, "declined", ["offered"])
+);
+
+/**
+ * Leave a ride's waitlist
+ * @route DELETE /api/waitlist/:id
+ * @security JWT
+ * @returns {Object} 200 - Cancelled entry
+ * @returns {Object} 400 - Entry already closed
+ * @returns {Object} 404 - Entry not found
+ */
+router.delete("/:id", authenticateToken, (req, res) =>
+  closeEntry(req, res, "cancelled", ["waiting", "offered"])
+);
+
+module.exports = router;
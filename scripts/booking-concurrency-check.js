@@ -0,0 +1,129 @@
+/**
+ * Fires parallel booking requests at one ride and checks that seats are never
+ * oversold. Needs the API server running against the same database.
+ *
+ * Usage: npm run check-booking-concurrency -- [passengers] [seats]
+ */
+
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { createSession } = require('../utils/tokens');
+
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}/api`;
+
+async function createUser(client, tag, index) {
+  const result = await client.query(
+    `INSERT INTO users (full_name, email, phone, password_hash, role, gender)
+     VALUES ($1, $2, $3, $4, $5, 'male')
+     RETURNING id, email, role`,
+    [
+      `Concurrency ${index}`,
+      `concurrency-${tag}-${index}@example.test`,
+      `+9627${tag}${String(index).padStart(4, '0')}`,
+      crypto.randomBytes(16).toString('hex'),
+      index === 0 ? 'driver' : 'passenger'
+    ]
+  );
+  return result.rows[0];
+}
+
+async function checkBookingConcurrency(passengerCount, seats) {
+  const client = await pool.connect();
+  const tag = String(crypto.randomInt(1000, 10000));
+  const userIds = [];
+
+  try {
+    const driver = await createUser(client, tag, 0);
+    userIds.push(driver.id);
+
+    const ride = await client.query(
+      `INSERT INTO rides
+       (driver_id, origin, destination, departure_time, total_seats, available_seats,
+        price_per_seat, gender_preference)
+       VALUES ($1, 'Concurrency check', 'Concurrency check', NOW() + INTERVAL '1 day', $2, $2, 1, 'male_only')
+       RETURNING id`,
+      [driver.id, seats]
+    );
+    const rideId = ride.rows[0].id;
+
+    const tokens = [];
+    for (let i = 1; i <= passengerCount; i++) {
+      const passenger = await createUser(client, tag, i);
+      userIds.push(passenger.id);
+      tokens.push((await createSession(passenger, null, client)).token);
+    }
+
+    console.log(`Booking ${seats} seats with ${passengerCount} parallel requests...`);
+
+    const responses = await Promise.all(
+      tokens.map((token) =>
+        fetch(`${API_URL}/bookings`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+          body: JSON.stringify({ ride_id: rideId, seats_booked: 1 })
+        }).then((response) => response.status)
+      )
+    );
+
+    const counts = responses.reduce((acc, status) => {
+      acc[status] = (acc[status] || 0) + 1;
+      return acc;
+    }, {});
+    console.log('Responses by status:', counts);
+
+    const state = await client.query(
+      `SELECT r.available_seats,
+              (SELECT COALESCE(SUM(seats_booked), 0) FROM bookings
+               WHERE ride_id = r.id AND status IN ('pending', 'confirmed')) as booked
+       FROM rides r WHERE r.id = $1`,
+      [rideId]
+    );
+    const booked = parseInt(state.rows[0].booked);
+    const available = state.rows[0].available_seats;
+
+    const expectedBooked = Math.min(seats, passengerCount);
+    const failures = [];
+
+    if ((counts[201] || 0) !== expectedBooked) {
+      failures.push(`expected ${expectedBooked} successful bookings, got ${counts[201] || 0}`);
+    }
+    if ((counts[201] || 0) + (counts[409] || 0) !== passengerCount) {
+      failures.push('some requests failed with something other than 409');
+    }
+    if (booked !== expectedBooked) {
+      failures.push(`expected ${expectedBooked} booked seats, found ${booked}`);
+    }
+    if (available !== seats - booked) {
+      failures.push(`available_seats is ${available}, expected ${seats - booked}`);
+    }
+
+    return failures;
+  } finally {
+    if (userIds.length > 0) {
+      await client.query('DELETE FROM users WHERE id = ANY($1)', [userIds]);
+    }
+    client.release();
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  const passengerCount = parseInt(process.argv[2]) || 20;
+  const seats = parseInt(process.argv[3]) || 3;
+
+  checkBookingConcurrency(passengerCount, seats)
+    .then((failures) => {
+      if (failures.length > 0) {
+        failures.forEach((failure) => console.error(`FAIL: ${failure}`));
+        process.exit(1);
+      }
+      console.log('OK: no seats were oversold');
+      process.exit(0);
+    })
+    .catch((err) => {
+      console.error(err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { checkBookingConcurrency };
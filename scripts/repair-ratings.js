@@ -0,0 +1,41 @@
+/**
+ * Recalculates every rating aggregate and driver profile rating from the
+ * reviews, fixing any that drifted from the incremental updates. Safe to run
+ * at any time: rating updates made by the API meanwhile wait until it is done.
+ *
+ * Usage: npm run repair-ratings
+ */
+
+const { pool } = require('../config/database');
+const { rebuildRatingAggregates } = require('../utils/ratings');
+
+async function repairRatings() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await rebuildRatingAggregates(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  repairRatings()
+    .then(({ aggregates_fixed, driver_profiles_fixed }) => {
+      console.log(`Fixed ${aggregates_fixed} rating aggregates and ${driver_profiles_fixed} driver profiles`);
+      process.exit(0);
+    })
+    .catch((err) => {
+      console.error(err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { repairRatings };
@@ -17,7 +17,7 @@ for (const envVar of requiredEnvVars) {
 const corsOptions = {
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
 };
 
@@ -35,18 +35,26 @@ app.use((req, res, next) => {
 const authRoutes = require("./routes/auth");
 const userRoutes = require("./routes/users");
 const driverRoutes = require("./routes/drivers");
+const vehicleRoutes = require("./routes/vehicles");
 const rideRoutes = require("./routes/rides");
+const rideSeriesRoutes = require("./routes/rideSeries");
 const bookingRoutes = require("./routes/bookings");
+const waitlistRoutes = require("./routes/waitlist");
 const reviewRoutes = require("./routes/reviews");
 const universityRoutes = require("./routes/universities");
+const adminRoutes = require("./routes/admin");
 
 app.use("/api/auth", authRoutes);
 app.use("/api/users", userRoutes);
+app.use("/api/drivers/:userId/vehicles", vehicleRoutes);
 app.use("/api/drivers", driverRoutes);
 app.use("/api/rides", rideRoutes);
+app.use("/api/ride-series", rideSeriesRoutes);
 app.use("/api/bookings", bookingRoutes);
+app.use("/api/waitlist", waitlistRoutes);
 app.use("/api/reviews", reviewRoutes);
 app.use("/api/universities", universityRoutes);
+app.use("/api/admin", adminRoutes);
 
 app.get("/", (req, res) => {
   res.json({
@@ -58,9 +66,12 @@ app.get("/", (req, res) => {
       users: "/api/users",
       drivers: "/api/drivers",
       rides: "/api/rides",
+      rideSeries: "/api/ride-series",
       bookings: "/api/bookings",
+      waitlist: "/api/waitlist",
       reviews: "/api/reviews",
       universities: "/api/universities",
+      admin: "/api/admin",
     },
   });
 });
@@ -89,6 +100,21 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Password reset links and phone codes must be delivered, not logged. Register
+// production mail transports and SMS providers before this point.
+try {
+  require("./utils/mailer").configuredTransport();
+  require("./utils/sms").configuredProvider();
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+
+// Background jobs: document expiry, ride series, booking expiry and ride closing
+if (process.env.SCHEDULER_ENABLED !== "false") {
+  require("./jobs").startJobs();
+}
+
 const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Audit log of admin actions
+ * @module utils/adminActions
+ */
+
+/**
+ * Record an admin action
+ * @param {Object} client - Database client (use the transaction client when inside one)
+ * @param {Object} action - Action details
+ * @param {number} action.adminId - Acting admin user ID
+ * @param {string} action.action - Action name (e.g. "license_approved")
+ * @param {string} action.targetType - Target entity type (e.g. "user", "ride")
+ * @param {number} action.targetId - Target entity ID
+ * @param {string} [action.reason] - Reason given by the admin
+ * @param {Object} [action.details] - Extra data stored as JSON
+ * @returns {Promise<Object>} Inserted audit row
+ */
+async function recordAdminAction(client, { adminId, action, targetType, targetId, reason, details }) {
+  const result = await client.query(
+    `INSERT INTO admin_actions (admin_id, action, target_type, target_id, reason, details)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [adminId, action, targetType, targetId, reason || null, details ? JSON.stringify(details) : null]
+  );
+  return result.rows[0];
+}
+
+module.exports = { recordAdminAction };
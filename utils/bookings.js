@@ -0,0 +1,449 @@
+/**
+ * @fileoverview Booking placement, booking modes, approval deadlines and expiry
+ * @module utils/bookings
+ */
+
+const db = require("../config/database");
+const { segmentFraction, refreshAvailableSeats } = require("./rideStops");
+const { offerFreedSeats } = require("./waitlist");
+const { setStatusContext, setRebooking } = require("./statusHistory");
+
+// Default time a driver has to answer a booking request
+const PENDING_BOOKING_TIMEOUT_MINUTES =
+  parseInt(process.env.PENDING_BOOKING_TIMEOUT_MINUTES) || 60;
+
+// Range drivers can choose for a ride's approval window
+const MIN_APPROVAL_WINDOW_MINUTES = 5;
+const MAX_APPROVAL_WINDOW_MINUTES = 24 * 60;
+
+// Cancelled, rejected and expired bookings are reused when the passenger books
+// again; only placeBooking reactivates them. The status history triggers
+// enforce the same transitions.
+const BOOKING_TRANSITIONS = {
+  pending: ["confirmed", "rejected", "cancelled", "expired"],
+  confirmed: ["pending", "cancelled", "completed", "no_show"],
+  rejected: ["pending", "confirmed"],
+  cancelled: ["pending", "confirmed"],
+  expired: ["pending", "confirmed"],
+  completed: [],
+  no_show: [],
+};
+
+/**
+ * Whether a booking may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+function canChangeBookingStatus(from, to) {
+  return (BOOKING_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Decide whether a booking is confirmed right away. A ride's own setting wins
+ * over the driver profile; the profile's passenger requirements always apply.
+ * @param {Object} client - Database client
+ * @param {Object} ride - Ride row
+ * @param {number} passengerId - Passenger user ID
+ * @returns {Promise<boolean>} Whether the booking is confirmed instantly
+ */
+async function isInstantBooking(client, ride, passengerId) {
+  const result = await client.query(
+    `SELECT dp.instant_booking, dp.instant_booking_verified_only, dp.instant_booking_min_rating,
+            u.is_verified as passenger_verified,
+            (SELECT average_rating FROM user_rating_aggregates
+             WHERE user_id = u.id AND role = 'passenger') as passenger_rating
+     FROM driver_profiles dp, users u
+     WHERE dp.user_id = $1 AND u.id = $2`,
+    [ride.driver_id, passengerId]
+  );
+
+  const settings = result.rows[0];
+  if (!settings) {
+    return false;
+  }
+
+  const instant = ride.instant_booking !== null && ride.instant_booking !== undefined
+    ? ride.instant_booking
+    : settings.instant_booking;
+
+  if (!instant) {
+    return false;
+  }
+
+  if (settings.instant_booking_verified_only && !settings.passenger_verified) {
+    return false;
+  }
+
+  // Passengers without reviews do not meet a minimum rating
+  if (
+    settings.instant_booking_min_rating !== null &&
+    (settings.passenger_rating === null ||
+      parseFloat(settings.passenger_rating) < parseFloat(settings.instant_booking_min_rating))
+  ) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Validate a ride's booking mode and passenger requirement fields
+ * @param {Object} fields - `instant_booking`, `approval_window_minutes` and
+ *   `min_passenger_rating` from the request
+ * @returns {string|null} Error message, or null if the fields are valid
+ */
+function bookingModeError({ instant_booking, approval_window_minutes, min_passenger_rating }) {
+  if (
+    instant_booking !== undefined &&
+    instant_booking !== null &&
+    typeof instant_booking !== "boolean"
+  ) {
+    return "instant_booking must be true, false or null";
+  }
+
+  if (approval_window_minutes !== undefined && approval_window_minutes !== null) {
+    const minutes = Number(approval_window_minutes);
+    if (
+      !Number.isInteger(minutes) ||
+      minutes < MIN_APPROVAL_WINDOW_MINUTES ||
+      minutes > MAX_APPROVAL_WINDOW_MINUTES
+    ) {
+      return `Approval window must be between ${MIN_APPROVAL_WINDOW_MINUTES} and ${MAX_APPROVAL_WINDOW_MINUTES} minutes`;
+    }
+  }
+
+  if (
+    min_passenger_rating !== undefined &&
+    min_passenger_rating !== null &&
+    !(Number(min_passenger_rating) >= 0 && Number(min_passenger_rating) <= 5)
+  ) {
+    return "Minimum passenger rating must be between 0 and 5";
+  }
+
+  return null;
+}
+
+/**
+ * Deadline for the driver to answer a booking request: the ride's approval
+ * window from now, but never later than departure
+ * @param {Object} ride - Ride row
+ * @param {Date} [now=new Date()] - Time of the request
+ * @returns {Date}
+ */
+function approvalDeadline(ride, now = new Date()) {
+  const windowMinutes = ride.approval_window_minutes || PENDING_BOOKING_TIMEOUT_MINUTES;
+  const deadline = new Date(now.getTime() + windowMinutes * 60000);
+  const departure = new Date(ride.departure_time);
+  return departure < deadline ? departure : deadline;
+}
+
+/**
+ * Book seats for a passenger on a ride locked for update, reusing their
+ * earlier booking row if they had one. The price is the price per seat for
+ * the share of the route booked, and the ride's booking mode decides whether
+ * the booking is confirmed or waits for the driver. Seat availability must
+ * be checked by the caller.
+ * @param {Object} client - Database client inside a transaction
+ * @param {Object} ride - Locked ride row
+ * @param {Array<Object>} stops - Result of getRideStops
+ * @param {number} passengerId - Passenger user ID
+ * @param {Object} details - `seats_booked`, `boarding_stop_order`,
+ *   `alighting_stop_order`, `pickup_location` and `dropoff_location`
+ * @returns {Promise<Object|null>} `{ booking, instant }`, or null if the
+ *   passenger already has an active booking on the ride
+ */
+async function placeBooking(client, ride, stops, passengerId, details) {
+  const existingBooking = await client.query(
+    "SELECT * FROM bookings WHERE ride_id = $1 AND passenger_id = $2",
+    [ride.id, passengerId]
+  );
+
+  if (existingBooking.rows.length > 0 && ["pending", "confirmed"].includes(existingBooking.rows[0].status)) {
+    return null;
+  }
+
+  // price_per_seat already includes the traffic fee set when the ride was created
+  const fraction = segmentFraction(stops, details.boarding_stop_order, details.alighting_stop_order);
+  const totalPrice =
+    Math.round(parseFloat(ride.price_per_seat) * details.seats_booked * fraction * 100) / 100;
+
+  // Instant bookings are confirmed now; requests wait for the driver until the deadline
+  const instant = await isInstantBooking(client, ride, passengerId);
+  const status = instant ? "confirmed" : "pending";
+  const deadline = instant ? null : approvalDeadline(ride);
+
+  const values = [
+    details.seats_booked,
+    totalPrice,
+    details.pickup_location,
+    details.dropoff_location,
+    details.boarding_stop_order,
+    details.alighting_stop_order,
+    status,
+    deadline,
+  ];
+
+  let result;
+
+  if (existingBooking.rows.length > 0) {
+    // Reactivate the cancelled, rejected or expired booking
+    await setRebooking(client, true);
+    result = await client.query(
+      `UPDATE bookings
+       SET seats_booked = $1, total_price = $2, pickup_location = $3, dropoff_location = $4,
+           boarding_stop_order = $5, alighting_stop_order = $6, status = $7,
+           approval_deadline = $8, requested_at = CURRENT_TIMESTAMP
+       WHERE id = $9
+       RETURNING *`,
+      [...values, existingBooking.rows[0].id]
+    );
+    await setRebooking(client, false);
+  } else {
+    result = await client.query(
+      `INSERT INTO bookings
+       (seats_booked, total_price, pickup_location, dropoff_location,
+        boarding_stop_order, alighting_stop_order, status, approval_deadline, ride_id, passenger_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [...values, ride.id, passengerId]
+    );
+  }
+
+  await refreshAvailableSeats(client, ride.id);
+
+  return { booking: result.rows[0], instant };
+}
+
+/**
+ * Change the seats or pickup/dropoff locations of a booking and record the
+ * change. The passenger keeps the per-seat price they booked at. More seats
+ * on a confirmed booking send it back to the driver for approval, unless the
+ * passenger qualifies for instant booking on the ride. Seat availability
+ * must be checked by the caller.
+ * @param {Object} client - Database client inside a transaction
+ * @param {Object} ride - Locked ride row
+ * @param {Object} booking - Locked booking row
+ * @param {Object} changes - Any of `seats_booked`, `pickup_location` and `dropoff_location`
+ * @param {number} modifiedBy - User making the change
+ * @returns {Promise<Object>} `{ booking, modification }`
+ */
+async function modifyBooking(client, ride, booking, changes, modifiedBy) {
+  const pick = (field) => (changes[field] === undefined ? booking[field] : changes[field]);
+  const seats = pick("seats_booked");
+  const totalPrice =
+    Math.round((parseFloat(booking.total_price) / booking.seats_booked) * seats * 100) / 100;
+
+  const needsApproval =
+    seats > booking.seats_booked &&
+    booking.status === "confirmed" &&
+    !(await isInstantBooking(client, ride, booking.passenger_id));
+  const status = needsApproval ? "pending" : booking.status;
+
+  const updated = await client.query(
+    `UPDATE bookings
+     SET seats_booked = $1, total_price = $2, pickup_location = $3, dropoff_location = $4,
+         status = $5, approval_deadline = $6
+     WHERE id = $7
+     RETURNING *`,
+    [
+      seats,
+      totalPrice,
+      pick("pickup_location"),
+      pick("dropoff_location"),
+      status,
+      needsApproval ? approvalDeadline(ride) : booking.approval_deadline,
+      booking.id,
+    ]
+  );
+
+  const modification = await client.query(
+    `INSERT INTO booking_modifications
+     (booking_id, modified_by, old_seats_booked, new_seats_booked,
+      old_pickup_location, new_pickup_location, old_dropoff_location, new_dropoff_location,
+      old_total_price, new_total_price, old_status, new_status, approval_status)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+     RETURNING *`,
+    [
+      booking.id,
+      modifiedBy,
+      booking.seats_booked,
+      seats,
+      booking.pickup_location,
+      pick("pickup_location"),
+      booking.dropoff_location,
+      pick("dropoff_location"),
+      booking.total_price,
+      totalPrice,
+      booking.status,
+      status,
+      needsApproval ? "pending" : "not_required",
+    ]
+  );
+
+  await refreshAvailableSeats(client, ride.id);
+  if (seats < booking.seats_booked) {
+    await offerFreedSeats(client, ride.id);
+  }
+
+  return { booking: updated.rows[0], modification: modification.rows[0] };
+}
+
+/**
+ * Close the modification of a booking that is waiting for the driver
+ * @param {Object} client - Database client inside a transaction
+ * @param {number} bookingId - Booking ID
+ * @param {string} approvalStatus - approved | cancelled
+ * @returns {Promise<boolean>} Whether a modification was waiting
+ */
+async function resolveModification(client, bookingId, approvalStatus) {
+  const result = await client.query(
+    `UPDATE booking_modifications
+     SET approval_status = $1, resolved_at = CURRENT_TIMESTAMP
+     WHERE booking_id = $2 AND approval_status = 'pending'`,
+    [approvalStatus, bookingId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Undo modifications still waiting for the driver, restoring the bookings'
+ * previous seats, locations, price and status, and offer freed seats to the
+ * rides' waitlists
+ * @param {Object} client - Database client inside a transaction
+ * @param {number[]} bookingIds - Pending bookings to look at
+ * @param {string} approvalStatus - rejected | expired
+ * @returns {Promise<number[]>} IDs of the bookings that were restored
+ */
+async function revertModifications(client, bookingIds, approvalStatus) {
+  const pending = await client.query(
+    `SELECT m.* FROM booking_modifications m
+     JOIN bookings b ON m.booking_id = b.id
+     WHERE m.booking_id = ANY($1) AND m.approval_status = 'pending' AND b.status = 'pending'`,
+    [bookingIds]
+  );
+
+  const rideIds = new Set();
+
+  for (const modification of pending.rows) {
+    const restored = await client.query(
+      `UPDATE bookings
+       SET seats_booked = $1, total_price = $2, pickup_location = $3, dropoff_location = $4,
+           status = $5
+       WHERE id = $6
+       RETURNING ride_id`,
+      [
+        modification.old_seats_booked,
+        modification.old_total_price,
+        modification.old_pickup_location,
+        modification.old_dropoff_location,
+        modification.old_status,
+        modification.booking_id,
+      ]
+    );
+    rideIds.add(restored.rows[0].ride_id);
+
+    await resolveModification(client, modification.booking_id, approvalStatus);
+  }
+
+  for (const rideId of rideIds) {
+    await refreshAvailableSeats(client, rideId);
+    await offerFreedSeats(client, rideId);
+  }
+
+  return pending.rows.map((modification) => modification.booking_id);
+}
+
+/**
+ * Auto-reject pending bookings whose approval deadline passed, or whose ride
+ * has already departed, and give their seats back to the rides. They are
+ * marked expired to tell them apart from bookings the driver rejected.
+ * Confirmed bookings waiting for approval of more seats go back to their
+ * previous seats instead.
+ * @returns {Promise<Object>} Counts of expired bookings, restored bookings
+ *   and updated rides
+ */
+async function expirePendingBookings() {
+  const overdueCondition = `b.status = 'pending'
+    AND (COALESCE(b.approval_deadline,
+                  b.requested_at + $1::int * INTERVAL '1 minute') <= NOW()
+         OR r.departure_time <= NOW())`;
+
+  const overdue = await db.query(
+    `SELECT DISTINCT b.ride_id FROM bookings b
+     JOIN rides r ON b.ride_id = r.id
+     WHERE ${overdueCondition}`,
+    [PENDING_BOOKING_TIMEOUT_MINUTES]
+  );
+
+  let expiredBookings = 0;
+  let restoredBookings = 0;
+  let ridesUpdated = 0;
+
+  // One transaction per ride that locks the ride before its bookings, like
+  // booking requests do, so a failing ride does not hold up the others
+  for (const { ride_id } of overdue.rows) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+      await setStatusContext(client, null, "Not answered before the approval deadline");
+
+      await client.query("SELECT id FROM rides WHERE id = $1 FOR UPDATE", [ride_id]);
+
+      const bookings = await client.query(
+        `SELECT b.id FROM bookings b
+         JOIN rides r ON b.ride_id = r.id
+         WHERE b.ride_id = $2 AND ${overdueCondition}
+         FOR UPDATE OF b`,
+        [PENDING_BOOKING_TIMEOUT_MINUTES, ride_id]
+      );
+      const overdueIds = bookings.rows.map((row) => row.id);
+
+      const restored = await revertModifications(client, overdueIds, "expired");
+
+      const expired = await client.query(
+        `UPDATE bookings SET status = 'expired'
+         WHERE id = ANY($1) AND status = 'pending'`,
+        [overdueIds]
+      );
+
+      if (expired.rowCount > 0) {
+        await refreshAvailableSeats(client, ride_id);
+        await offerFreedSeats(client, ride_id);
+      }
+
+      await client.query("COMMIT");
+
+      expiredBookings += expired.rowCount;
+      restoredBookings += restored.length;
+      if (overdueIds.length > 0) {
+        ridesUpdated++;
+      }
+    } catch (error) {
+      await client.query("ROLLBACK");
+      console.error(`Failed to expire pending bookings of ride ${ride_id}:`, error);
+    } finally {
+      client.release();
+    }
+  }
+
+  return {
+    expired_bookings: expiredBookings,
+    bookings_restored: restoredBookings,
+    rides_updated: ridesUpdated,
+  };
+}
+
+module.exports = {
+  PENDING_BOOKING_TIMEOUT_MINUTES,
+  canChangeBookingStatus,
+  isInstantBooking,
+  bookingModeError,
+  approvalDeadline,
+  placeBooking,
+  modifyBooking,
+  resolveModification,
+  revertModifications,
+  expirePendingBookings,
+};
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Driver document rules and license verification checks
+ * @module utils/driverDocuments
+ */
+
+const db = require("../config/database");
+
+const DOCUMENT_TYPES = ["license", "vehicle_registration", "insurance"];
+
+const MAX_DOCUMENT_SIZE_BYTES =
+  (parseInt(process.env.MAX_DOCUMENT_SIZE_MB) || 5) * 1024 * 1024;
+
+// Accepted formats, identified by their leading "magic" bytes
+const ALLOWED_FILE_TYPES = {
+  "image/jpeg": { extension: ".jpg", signature: [0xff, 0xd8, 0xff] },
+  "image/png": { extension: ".png", signature: [0x89, 0x50, 0x4e, 0x47] },
+  "application/pdf": { extension: ".pdf", signature: [0x25, 0x50, 0x44, 0x46] },
+};
+
+/**
+ * Check that an uploaded file is one of the accepted types and that its
+ * content matches the declared MIME type
+ * @param {Object} file - Multer file object
+ * @returns {string|null} Error message, or null if the file is acceptable
+ */
+function validateDocumentFile(file) {
+  const type = ALLOWED_FILE_TYPES[file.mimetype];
+
+  if (!type) {
+    return "Only JPEG, PNG and PDF files are accepted";
+  }
+
+  const matches = type.signature.every((byte, i) => file.buffer[i] === byte);
+  if (!matches) {
+    return "File content does not match its type";
+  }
+
+  return null;
+}
+
+/**
+ * Whether a driver has an approved, unexpired document of every required type
+ * @param {number} userId - Driver user ID
+ * @param {Object} [client=db] - Database client
+ * @returns {Promise<boolean>}
+ */
+async function hasApprovedDocuments(userId, client = db) {
+  const result = await client.query(
+    `SELECT COUNT(DISTINCT document_type) as approved_types
+     FROM driver_documents
+     WHERE user_id = $1 AND status = 'approved' AND expires_on >= CURRENT_DATE`,
+    [userId]
+  );
+  return parseInt(result.rows[0].approved_types) === DOCUMENT_TYPES.length;
+}
+
+/**
+ * Send a verified driver back to review when their documents no longer
+ * satisfy the requirements (rejected or expired)
+ * @param {number} userId - Driver user ID
+ * @param {Object} [client=db] - Database client
+ * @returns {Promise<boolean>} True if license verification was revoked
+ */
+async function revokeLicenseIfDocumentsInvalid(userId, client = db) {
+  if (await hasApprovedDocuments(userId, client)) {
+    return false;
+  }
+
+  const result = await client.query(
+    `UPDATE driver_profiles
+     SET license_verified = FALSE, license_status = 'pending'
+     WHERE user_id = $1 AND license_verified = TRUE`,
+    [userId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Mark documents past their expiry date as expired and revoke license
+ * verification of the affected drivers
+ * @returns {Promise<Object>} Counts of expired documents and revoked licenses
+ */
+async function expireDriverDocuments() {
+  const client = await db.pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const expired = await client.query(
+      `UPDATE driver_documents
+       SET status = 'expired'
+       WHERE status IN ('pending', 'approved') AND expires_on < CURRENT_DATE
+       RETURNING user_id`
+    );
+
+    const userIds = [...new Set(expired.rows.map((row) => row.user_id))];
+    let revoked = 0;
+
+    for (const userId of userIds) {
+      if (await revokeLicenseIfDocumentsInvalid(userId, client)) {
+        revoked++;
+      }
+    }
+
+    await client.query("COMMIT");
+
+    return { expired_documents: expired.rowCount, revoked_licenses: revoked };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  MAX_DOCUMENT_SIZE_BYTES,
+  ALLOWED_FILE_TYPES,
+  validateDocumentFile,
+  hasApprovedDocuments,
+  revokeLicenseIfDocumentsInvalid,
+  expireDriverDocuments,
+};
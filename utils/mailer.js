@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Outgoing mail with pluggable transports
+ * @module utils/mailer
+ *
+ * The transport is selected with MAIL_TRANSPORT. Built-in transports are
+ * "console" (logs the message) and "file" (writes each message as JSON to
+ * MAIL_OUTBOX_DIR), both meant for local development. Production transports
+ * are added with registerTransport(); with NODE_ENV=production the built-in
+ * transports are refused, so reset links never end up in logs or files.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// Transports that keep messages on the server instead of delivering them
+const DEVELOPMENT_TRANSPORTS = ["console", "file"];
+
+const transports = {
+  console: {
+    async send(message) {
+      console.log(
+        `\n[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}\n`
+      );
+    },
+  },
+  file: {
+    async send(message) {
+      const dir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "..", "mail-outbox");
+      await fs.promises.mkdir(dir, { recursive: true });
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, "_")}.json`;
+      await fs.promises.writeFile(
+        path.join(dir, fileName),
+        JSON.stringify({ ...message, sent_at: new Date().toISOString() }, null, 2)
+      );
+    },
+  },
+};
+
+/**
+ * Register a mail transport
+ * @param {string} name - Transport name used in MAIL_TRANSPORT
+ * @param {Object} transport - Object with an async send({ to, from, subject, text }) method
+ */
+function registerTransport(name, transport) {
+  if (!transport || typeof transport.send !== "function") {
+    throw new Error(`Mail transport "${name}" must implement send()`);
+  }
+  transports[name] = transport;
+}
+
+/**
+ * The configured transport
+ * @returns {Object} Transport
+ * @throws {Error} If the transport is unknown, or only meant for development
+ *   while NODE_ENV is production
+ */
+function configuredTransport() {
+  const name = process.env.MAIL_TRANSPORT || "console";
+
+  if (!transports[name]) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+
+  if (process.env.NODE_ENV === "production" && DEVELOPMENT_TRANSPORTS.includes(name)) {
+    throw new Error(
+      `Mail transport "${name}" does not deliver mail. Set MAIL_TRANSPORT to a registered production transport.`
+    );
+  }
+
+  return transports[name];
+}
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - Message to send
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @returns {Promise<void>}
+ */
+async function sendMail({ to, subject, text }) {
+  const transport = configuredTransport();
+
+  await transport.send({
+    to,
+    from: process.env.MAIL_FROM || "Tareeqi <no-reply@tareeqi.app>",
+    subject,
+    text,
+  });
+}
+
+module.exports = {
+  registerTransport,
+  configuredTransport,
+  sendMail,
+};
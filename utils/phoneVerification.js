@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Phone number OTP challenges for registration and phone changes
+ * @module utils/phoneVerification
+ */
+
+const db = require("../config/database");
+const { sendSms } = require("./sms");
+const { hashToken, generateNumericCode } = require("./tokens");
+
+const OTP_TTL_MINUTES = parseInt(process.env.PHONE_OTP_TTL_MINUTES) || 10;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_MAX_SENDS = 5;
+const OTP_RESEND_COOLDOWN_SECONDS =
+  parseInt(process.env.PHONE_OTP_RESEND_COOLDOWN_SECONDS) || 60;
+
+const hashCode = (userId, code) => hashToken(`${userId}:phone:${code}`);
+
+/**
+ * Send (or resend) an OTP to a phone number. An open challenge for the same
+ * phone and purpose is reused, subject to the resend cooldown and send limit;
+ * any other open challenge of the user is closed.
+ * @param {number} userId - User ID
+ * @param {string} phone - Phone number to verify
+ * @param {string} purpose - "registration" or "phone_change"
+ * @returns {Promise<Object>} `{ status: 'sent', expires_in_minutes }` or
+ *   `{ status: 'cooldown', retry_after }` or `{ status: 'limit' }`
+ */
+async function startPhoneVerification(userId, phone, purpose) {
+  const code = generateNumericCode();
+  const client = await db.pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const openResult = await client.query(
+      `SELECT *,
+              EXTRACT(EPOCH FROM (NOW() - last_sent_at)) as seconds_since_sent
+       FROM phone_verifications
+       WHERE user_id = $1 AND consumed_at IS NULL AND expires_at > NOW()
+         AND phone = $2 AND purpose = $3
+       ORDER BY created_at DESC
+       LIMIT 1
+       FOR UPDATE`,
+      [userId, phone, purpose]
+    );
+
+    const open = openResult.rows[0];
+
+    if (open && open.seconds_since_sent < OTP_RESEND_COOLDOWN_SECONDS) {
+      await client.query("ROLLBACK");
+      return {
+        status: "cooldown",
+        retry_after: Math.ceil(OTP_RESEND_COOLDOWN_SECONDS - open.seconds_since_sent),
+      };
+    }
+
+    if (open && open.send_count >= OTP_MAX_SENDS) {
+      await client.query("ROLLBACK");
+      return { status: "limit" };
+    }
+
+    if (open) {
+      await client.query(
+        `UPDATE phone_verifications
+         SET code_hash = $1, attempts = 0, send_count = send_count + 1,
+             last_sent_at = NOW(), expires_at = NOW() + ($2 || ' minutes')::INTERVAL
+         WHERE id = $3`,
+        [hashCode(userId, code), String(OTP_TTL_MINUTES), open.id]
+      );
+    } else {
+      await client.query(
+        "UPDATE phone_verifications SET consumed_at = NOW() WHERE user_id = $1 AND consumed_at IS NULL",
+        [userId]
+      );
+
+      await client.query(
+        `INSERT INTO phone_verifications (user_id, phone, purpose, code_hash, expires_at)
+         VALUES ($1, $2, $3, $4, NOW() + ($5 || ' minutes')::INTERVAL)`,
+        [userId, phone, purpose, hashCode(userId, code), String(OTP_TTL_MINUTES)]
+      );
+    }
+
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await sendSms(
+    phone,
+    `Your Tareeqi verification code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes.`
+  );
+
+  return { status: "sent", expires_in_minutes: OTP_TTL_MINUTES };
+}
+
+/**
+ * Check a code against the user's open challenge and mark the phone as
+ * verified. For phone changes the new number replaces the current one.
+ * @param {number} userId - User ID
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<Object>} `{ status, user? }` where status is one of
+ *   'verified', 'not_found', 'invalid', 'exhausted'
+ */
+async function confirmPhoneVerification(userId, code) {
+  const client = await db.pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      `SELECT * FROM phone_verifications
+       WHERE user_id = $1 AND consumed_at IS NULL AND expires_at > NOW()
+       ORDER BY created_at DESC
+       LIMIT 1
+       FOR UPDATE`,
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return { status: "not_found" };
+    }
+
+    const challenge = result.rows[0];
+
+    if (challenge.attempts >= OTP_MAX_ATTEMPTS) {
+      await client.query(
+        "UPDATE phone_verifications SET consumed_at = NOW() WHERE id = $1",
+        [challenge.id]
+      );
+      await client.query("COMMIT");
+      return { status: "exhausted" };
+    }
+
+    if (hashCode(userId, String(code).trim()) !== challenge.code_hash) {
+      await client.query(
+        "UPDATE phone_verifications SET attempts = attempts + 1 WHERE id = $1",
+        [challenge.id]
+      );
+      await client.query("COMMIT");
+      return { status: "invalid" };
+    }
+
+    await client.query(
+      "UPDATE phone_verifications SET consumed_at = NOW() WHERE id = $1",
+      [challenge.id]
+    );
+
+    // A registration challenge only verifies the number it was sent to
+    const userResult = await client.query(
+      `UPDATE users
+       SET phone = $1, phone_verified = TRUE, phone_verified_at = NOW()
+       WHERE id = $2 AND ($3 = 'phone_change' OR phone = $1)
+       RETURNING id, full_name, email, phone, phone_verified, phone_verified_at`,
+      [challenge.phone, userId, challenge.purpose]
+    );
+
+    if (userResult.rows.length === 0) {
+      await client.query("COMMIT");
+      return { status: "not_found" };
+    }
+
+    await client.query("COMMIT");
+
+    return { status: "verified", purpose: challenge.purpose, user: userResult.rows[0] };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  startPhoneVerification,
+  confirmPhoneVerification,
+};
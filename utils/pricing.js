@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Pricing engine: peak-hour traffic fees, suggested seat prices
+ * and the regulatory price cap, driven by the pricing_* tables
+ * @module utils/pricing
+ */
+
+const db = require("../config/database");
+const { localParts, parseClientTime } = require("./time");
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Load all pricing rules. Pass the result to the other functions when
+ * pricing several rides at once.
+ * @param {Object} [client=db] - Database client
+ * @returns {Promise<Object>} `{ settings, peakWindows, fuelMultipliers, holidays }`
+ */
+async function loadPricingRules(client = db) {
+  const [settings, peakWindows, fuelMultipliers, holidays] = await Promise.all([
+    client.query("SELECT key, value FROM pricing_settings"),
+    client.query(
+      `SELECT day_of_week, start_time, end_time, fee_per_km
+       FROM pricing_peak_windows WHERE is_active = TRUE`
+    ),
+    client.query("SELECT fuel_type, multiplier FROM pricing_fuel_multipliers"),
+    client.query(
+      `SELECT to_char(holiday_date, 'YYYY-MM-DD') as holiday_date, name,
+              peak_fee_enabled, price_multiplier
+       FROM pricing_holidays`
+    ),
+  ]);
+
+  return {
+    settings: Object.fromEntries(
+      settings.rows.map((row) => [row.key, parseFloat(row.value)])
+    ),
+    peakWindows: peakWindows.rows,
+    fuelMultipliers: Object.fromEntries(
+      fuelMultipliers.rows.map((row) => [row.fuel_type, parseFloat(row.multiplier)])
+    ),
+    holidays: Object.fromEntries(holidays.rows.map((row) => [row.holiday_date, row])),
+  };
+}
+
+/**
+ * Calculate the traffic fee of a ride from the peak windows it departs in.
+ * Peak windows and holidays are matched in Amman time, and holidays without
+ * peak fees are free of charge.
+ * @param {string|Date} departureTime - Departure time (see utils/time)
+ * @param {number} distanceKm - Route distance in kilometers
+ * @param {Object} [rules] - Result of loadPricingRules (loaded if omitted)
+ * @returns {Promise<number>} Traffic fee in JOD (0 outside peak hours)
+ */
+async function calculateTrafficFee(departureTime, distanceKm, rules) {
+  if (!distanceKm || !departureTime) {
+    return 0;
+  }
+
+  const departure = parseClientTime(departureTime);
+  if (!departure) {
+    return 0;
+  }
+  const local = localParts(departure);
+
+  const { peakWindows, holidays } = rules || (await loadPricingRules());
+
+  const holiday = holidays[local.date];
+  if (holiday && !holiday.peak_fee_enabled) {
+    return 0;
+  }
+
+  // Overlapping windows do not add up; the highest rate applies
+  const feePerKm = peakWindows
+    .filter(
+      (window) =>
+        (window.day_of_week === null || window.day_of_week === local.dayOfWeek) &&
+        local.time >= window.start_time.slice(0, 5) &&
+        local.time < window.end_time.slice(0, 5)
+    )
+    .reduce((max, window) => Math.max(max, parseFloat(window.fee_per_km)), 0);
+
+  return round(parseFloat(distanceKm) * feePerKm);
+}
+
+/**
+ * Highest price per seat allowed for a distance
+ * @param {number} distanceKm - Route distance in kilometers
+ * @param {Object} rules - Result of loadPricingRules
+ * @returns {number|null} Cap in JOD, or null when the distance is unknown
+ */
+function maxPricePerSeat(distanceKm, rules) {
+  const distance = parseFloat(distanceKm);
+  if (!distance || rules.settings.max_price_per_km === undefined) {
+    return null;
+  }
+  return round(distance * rules.settings.max_price_per_km);
+}
+
+/**
+ * Check a driver's price per seat against the regulatory cap. While a cap is
+ * configured, rides need a distance to be checked against.
+ * @param {number} pricePerSeat - Price per seat
+ * @param {number} distanceKm - Route distance in kilometers
+ * @param {Object} [rules] - Result of loadPricingRules (loaded if omitted)
+ * @returns {Promise<string|null>} Error message, or null if the price is allowed
+ */
+async function validatePricePerSeat(pricePerSeat, distanceKm, rules) {
+  rules = rules || (await loadPricingRules());
+  const cap = maxPricePerSeat(distanceKm, rules);
+
+  if (cap === null && rules.settings.max_price_per_km !== undefined) {
+    return "The ride's distance is required: send the origin and destination coordinates";
+  }
+
+  if (cap !== null && parseFloat(pricePerSeat) > cap) {
+    return `Price per seat cannot exceed ${cap.toFixed(2)} JOD for a ${distanceKm} km ride`;
+  }
+  return null;
+}
+
+/**
+ * Suggest a price per seat with a line-item breakdown
+ * @param {Object} params - Ride details
+ * @param {number} params.distance_km - Route distance in kilometers
+ * @param {string} [params.departure_time] - Departure time
+ * @param {string} [params.fuel_type="petrol"] - Fuel type of the vehicle
+ * @param {boolean} [params.ac_enabled=false] - Whether AC is on
+ * @param {Object} [rules] - Result of loadPricingRules (loaded if omitted)
+ * @returns {Promise<Object>} Quote with suggested and maximum price per seat,
+ *   line items and the per-ride traffic fee
+ */
+async function quotePrice(params, rules) {
+  rules = rules || (await loadPricingRules());
+  const { settings, fuelMultipliers, holidays } = rules;
+  const distance = parseFloat(params.distance_km);
+  const fuelType = params.fuel_type || "petrol";
+  const lineItems = [];
+
+  lineItems.push({ code: "base_fare", label: "Base fare", amount: round(settings.base_fare || 0) });
+
+  const distanceAmount = distance * (settings.rate_per_km || 0);
+  lineItems.push({
+    code: "distance",
+    label: `${distance} km × ${settings.rate_per_km || 0} JOD`,
+    amount: round(distanceAmount),
+  });
+
+  const fuelMultiplier = fuelMultipliers[fuelType] || 1;
+  if (fuelMultiplier !== 1) {
+    lineItems.push({
+      code: "fuel_adjustment",
+      label: `Fuel type ${fuelType} (× ${fuelMultiplier})`,
+      amount: round(distanceAmount * (fuelMultiplier - 1)),
+    });
+  }
+
+  if (params.ac_enabled === true || params.ac_enabled === "true") {
+    lineItems.push({ code: "ac_surcharge", label: "Air conditioning", amount: round(settings.ac_surcharge || 0) });
+  }
+
+  const departure = parseClientTime(params.departure_time);
+  const local = departure ? localParts(departure) : null;
+  const holiday = local ? holidays[local.date] : null;
+  const subtotal = lineItems.reduce((sum, item) => sum + item.amount, 0);
+
+  if (holiday && parseFloat(holiday.price_multiplier) !== 1) {
+    lineItems.push({
+      code: "holiday_adjustment",
+      label: `${holiday.name} (× ${parseFloat(holiday.price_multiplier)})`,
+      amount: round(subtotal * (parseFloat(holiday.price_multiplier) - 1)),
+    });
+  }
+
+  const maxPrice = maxPricePerSeat(distance, rules);
+  let suggested = round(lineItems.reduce((sum, item) => sum + item.amount, 0));
+  if (maxPrice !== null && suggested > maxPrice) {
+    suggested = maxPrice;
+  }
+
+  return {
+    currency: "JOD",
+    distance_km: distance,
+    suggested_price_per_seat: suggested,
+    max_price_per_seat: maxPrice,
+    line_items: lineItems,
+    traffic_fee: params.departure_time
+      ? await calculateTrafficFee(params.departure_time, distance, rules)
+      : 0,
+    holiday: holiday ? holiday.name : null,
+  };
+}
+
+module.exports = {
+  loadPricingRules,
+  calculateTrafficFee,
+  maxPricePerSeat,
+  validatePricePerSeat,
+  quotePrice,
+};
@@ -0,0 +1,242 @@
+/**
+ * @fileoverview Driver and passenger ratings of users
+ * @module utils/ratings
+ *
+ * Reviews rate their reviewee either as the ride's driver or as a passenger.
+ * Each user has a separate rating aggregate per role, updated incrementally as
+ * reviews are revealed, hidden or deleted. The driver aggregate is mirrored to
+ * driver_profiles.rating, total_reviews and weighted_rating.
+ */
+
+const db = require("../config/database");
+
+const RATING_ROLES = ["driver", "passenger"];
+
+// Columns of user_rating_aggregates counting 1 to 5 star reviews
+const STAR_COLUMNS = ["one_star", "two_star", "three_star", "four_star", "five_star"];
+
+// The weighted rating averages a user's reviews with RATING_PRIOR_WEIGHT
+// imaginary reviews of RATING_PRIOR_MEAN stars, so a few reviews cannot
+// outrank many slightly lower ones. Keep in sync with add_weighted_ratings.sql
+// or run `npm run repair-ratings` after changing them.
+const RATING_PRIOR_MEAN = 4;
+const RATING_PRIOR_WEIGHT = 10;
+
+// Average and weighted rating of an aggregate row, from its star counts
+const RATING_SUM = "(one_star + 2 * two_star + 3 * three_star + 4 * four_star + 5 * five_star)";
+const AVERAGE_RATING = `ROUND(${RATING_SUM}::numeric / NULLIF(total_reviews, 0), 2)`;
+const WEIGHTED_RATING = `ROUND((${RATING_SUM} + ${RATING_PRIOR_WEIGHT} * ${RATING_PRIOR_MEAN})::numeric
+           / (total_reviews + ${RATING_PRIOR_WEIGHT}), 2)`;
+
+/**
+ * Add a revealed review's rating to its reviewee's rating, or take it out
+ * again. Only the reviewee's aggregate row is touched; the row lock keeps
+ * concurrent changes in order.
+ * @param {Object} client - Database client inside a transaction
+ * @param {Object} review - Review row with `reviewee_id`, `reviewee_role` and `rating`
+ * @param {number} change - 1 to add the rating, -1 to take it out
+ * @returns {Promise<Object>} Updated aggregate
+ */
+async function applyReviewRating(client, review, change) {
+  const star = STAR_COLUMNS[review.rating - 1];
+
+  await client.query(
+    `INSERT INTO user_rating_aggregates (user_id, role) VALUES ($1, $2)
+     ON CONFLICT (user_id, role) DO NOTHING`,
+    [review.reviewee_id, review.reviewee_role]
+  );
+
+  await client.query(
+    `UPDATE user_rating_aggregates
+     SET total_reviews = total_reviews + $3, ${star} = ${star} + $3
+     WHERE user_id = $1 AND role = $2`,
+    [review.reviewee_id, review.reviewee_role, change]
+  );
+
+  const result = await client.query(
+    `UPDATE user_rating_aggregates
+     SET average_rating = ${AVERAGE_RATING},
+         weighted_rating = ${WEIGHTED_RATING},
+         updated_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND role = $2
+     RETURNING *`,
+    [review.reviewee_id, review.reviewee_role]
+  );
+  const aggregate = result.rows[0];
+
+  if (aggregate.role === "driver") {
+    await client.query(
+      `UPDATE driver_profiles
+       SET rating = $1, total_reviews = $2, weighted_rating = $3
+       WHERE user_id = $4`,
+      [aggregate.average_rating || 0, aggregate.total_reviews, aggregate.weighted_rating, aggregate.user_id]
+    );
+  }
+
+  return aggregate;
+}
+
+/**
+ * Recalculate all rating aggregates and driver profile ratings from the
+ * reviews, fixing any that drifted
+ *
+ * Locks user_rating_aggregates until the transaction ends. Incremental
+ * updates wait for the rebuild, and the rebuild waits for incremental updates
+ * already in progress, so none is lost or counted twice.
+ * @param {Object} client - Database client inside a transaction
+ * @returns {Promise<Object>} Counts of fixed aggregates and driver profiles
+ */
+async function rebuildRatingAggregates(client) {
+  await client.query("LOCK TABLE user_rating_aggregates IN SHARE ROW EXCLUSIVE MODE");
+
+  const counted = await client.query(
+    `WITH counts AS (
+       SELECT u.user_id, u.role,
+              COUNT(rv.id) as total_reviews,
+              COUNT(rv.id) FILTER (WHERE rv.rating = 1) as one_star,
+              COUNT(rv.id) FILTER (WHERE rv.rating = 2) as two_star,
+              COUNT(rv.id) FILTER (WHERE rv.rating = 3) as three_star,
+              COUNT(rv.id) FILTER (WHERE rv.rating = 4) as four_star,
+              COUNT(rv.id) FILTER (WHERE rv.rating = 5) as five_star
+       FROM (
+         SELECT reviewee_id as user_id, reviewee_role as role FROM reviews
+         UNION
+         SELECT user_id, role FROM user_rating_aggregates
+       ) u
+       LEFT JOIN reviews rv
+         ON rv.reviewee_id = u.user_id AND rv.reviewee_role = u.role
+         AND rv.revealed_at IS NOT NULL AND NOT rv.is_hidden
+       GROUP BY u.user_id, u.role
+     )
+     INSERT INTO user_rating_aggregates AS a
+       (user_id, role, total_reviews, one_star, two_star, three_star, four_star, five_star)
+     SELECT * FROM counts
+     ON CONFLICT (user_id, role) DO UPDATE
+     SET total_reviews = EXCLUDED.total_reviews,
+         one_star = EXCLUDED.one_star,
+         two_star = EXCLUDED.two_star,
+         three_star = EXCLUDED.three_star,
+         four_star = EXCLUDED.four_star,
+         five_star = EXCLUDED.five_star,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE (a.total_reviews, a.one_star, a.two_star, a.three_star, a.four_star, a.five_star)
+       IS DISTINCT FROM (EXCLUDED.total_reviews, EXCLUDED.one_star, EXCLUDED.two_star,
+                         EXCLUDED.three_star, EXCLUDED.four_star, EXCLUDED.five_star)
+     RETURNING user_id, role`
+  );
+
+  const scored = await client.query(
+    `UPDATE user_rating_aggregates
+     SET average_rating = ${AVERAGE_RATING},
+         weighted_rating = ${WEIGHTED_RATING}
+     WHERE (average_rating, weighted_rating)
+       IS DISTINCT FROM (${AVERAGE_RATING}, ${WEIGHTED_RATING})
+     RETURNING user_id, role`
+  );
+
+  const drivers = await client.query(
+    `UPDATE driver_profiles dp
+     SET rating = s.rating, total_reviews = s.total_reviews, weighted_rating = s.weighted_rating
+     FROM (
+       SELECT d.user_id,
+              COALESCE(a.average_rating, 0) as rating,
+              COALESCE(a.total_reviews, 0) as total_reviews,
+              COALESCE(a.weighted_rating, $1) as weighted_rating
+       FROM driver_profiles d
+       LEFT JOIN user_rating_aggregates a ON a.user_id = d.user_id AND a.role = 'driver'
+     ) s
+     WHERE dp.user_id = s.user_id
+       AND (dp.rating, dp.total_reviews, dp.weighted_rating)
+         IS DISTINCT FROM (s.rating, s.total_reviews, s.weighted_rating)`,
+    [RATING_PRIOR_MEAN]
+  );
+
+  const fixed = new Set(
+    [...counted.rows, ...scored.rows].map(({ user_id, role }) => `${user_id}:${role}`)
+  );
+
+  return {
+    aggregates_fixed: fixed.size,
+    driver_profiles_fixed: drivers.rowCount,
+  };
+}
+
+/**
+ * Format an aggregate row for responses
+ * @param {Object} [row] - user_rating_aggregates row
+ * @returns {Object} `{ average_rating, weighted_rating, total_reviews, distribution }`;
+ *   the average is null without reviews
+ */
+function formatRating(row) {
+  const count = (field) => (row ? row[field] : 0);
+
+  return {
+    average_rating: row && row.average_rating !== null ? parseFloat(row.average_rating) : null,
+    weighted_rating: row ? parseFloat(row.weighted_rating) : RATING_PRIOR_MEAN,
+    total_reviews: count("total_reviews"),
+    distribution: {
+      5: count("five_star"),
+      4: count("four_star"),
+      3: count("three_star"),
+      2: count("two_star"),
+      1: count("one_star"),
+    },
+  };
+}
+
+/**
+ * A user's driver and passenger ratings
+ * @param {number} userId - User ID
+ * @param {Object} [client=db] - Database client
+ * @returns {Promise<Object>} `{ driver, passenger }`, each from formatRating
+ */
+async function getRatings(userId, client = db) {
+  const result = await client.query(
+    "SELECT * FROM user_rating_aggregates WHERE user_id = $1",
+    [userId]
+  );
+
+  const ratings = {};
+  for (const role of RATING_ROLES) {
+    ratings[role] = formatRating(result.rows.find((row) => row.role === role));
+  }
+  return ratings;
+}
+
+/**
+ * Check whether a passenger's rating allows them to book a ride. Passengers
+ * without ratings always can.
+ * @param {Object} client - Database client
+ * @param {Object} ride - Ride row
+ * @param {number} passengerId - Passenger user ID
+ * @returns {Promise<string|null>} Error message, or null if they may book
+ */
+async function passengerRatingError(client, ride, passengerId) {
+  if (ride.min_passenger_rating === null || ride.min_passenger_rating === undefined) {
+    return null;
+  }
+
+  const result = await client.query(
+    `SELECT average_rating FROM user_rating_aggregates
+     WHERE user_id = $1 AND role = 'passenger'`,
+    [passengerId]
+  );
+  const rating = result.rows[0] ? result.rows[0].average_rating : null;
+
+  if (rating !== null && parseFloat(rating) < parseFloat(ride.min_passenger_rating)) {
+    return `This ride requires a passenger rating of at least ${parseFloat(ride.min_passenger_rating)}`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  RATING_ROLES,
+  RATING_PRIOR_MEAN,
+  RATING_PRIOR_WEIGHT,
+  applyReviewRating,
+  rebuildRatingAggregates,
+  formatRating,
+  getRatings,
+  passengerRatingError,
+};
@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Cancellation policy, recorded cancellations and reliability scores
+ * @module utils/reliability
+ *
+ * A cancellation is free, standard or late depending on how long before
+ * departure it happens; standard and late cancellations carry penalty points
+ * from the cancellation_policy table. A user's reliability score is the share
+ * of their trips not lost to penalties, from 0 to 100.
+ */
+
+const db = require("../config/database");
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const CANCELLATION_REASON_MAX_LENGTH = 500;
+
+/**
+ * Load the cancellation policy
+ * @param {Object} [client=db] - Database client
+ * @returns {Promise<Object>} Policy values by key
+ */
+async function loadCancellationPolicy(client = db) {
+  const result = await client.query("SELECT key, value FROM cancellation_policy");
+  return Object.fromEntries(result.rows.map((row) => [row.key, parseFloat(row.value)]));
+}
+
+/**
+ * Classify a cancellation by how long before departure it happens. Cancelling
+ * something nobody was counting on yet (a pending booking, a ride without
+ * confirmed passengers) is always free.
+ * @param {string|Date} departureTime - Ride departure
+ * @param {Object} policy - Result of loadCancellationPolicy
+ * @param {Object} [options]
+ * @param {boolean} [options.committed=true] - Whether the other side was counting on it
+ * @param {Date} [options.now=new Date()] - Time of the cancellation
+ * @returns {Object} `{ category, hours_before_departure, penalty_points }`
+ */
+function classifyCancellation(departureTime, policy, { committed = true, now = new Date() } = {}) {
+  const hours = round((new Date(departureTime) - now) / 3600000);
+
+  let category = "standard";
+  if (!committed || hours >= (policy.free_cancel_hours || 0)) {
+    category = "free";
+  } else if (hours < (policy.late_cancel_hours || 0)) {
+    category = "late";
+  }
+
+  const penalties = {
+    free: 0,
+    standard: policy.standard_cancel_penalty || 0,
+    late: policy.late_cancel_penalty || 0,
+  };
+
+  return { category, hours_before_departure: hours, penalty_points: penalties[category] };
+}
+
+/**
+ * Record a cancellation
+ * @param {Object} client - Database client inside a transaction
+ * @param {Object} cancellation - `user_id`, `role`, `ride_id`, optional
+ *   `booking_id` and `reason`, plus the result of classifyCancellation
+ * @returns {Promise<Object>} Inserted cancellation
+ */
+async function recordCancellation(client, cancellation) {
+  const result = await client.query(
+    `INSERT INTO cancellations
+     (user_id, role, ride_id, booking_id, reason, hours_before_departure, category, penalty_points)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [
+      cancellation.user_id,
+      cancellation.role,
+      cancellation.ride_id,
+      cancellation.booking_id || null,
+      cancellation.reason || null,
+      cancellation.hours_before_departure,
+      cancellation.category,
+      cancellation.penalty_points,
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Record a driver's cancellation of scheduled rides. Call it before
+ * cancelRides, while the rides still have their confirmed bookings.
+ * @param {Object} client - Database client inside a transaction
+ * @param {number} driverId - Driver user ID
+ * @param {number[]} rideIds - Rides being cancelled
+ * @param {string} [reason] - Reason given by the driver
+ * @returns {Promise<Object[]>} Recorded cancellations
+ */
+async function recordRideCancellations(client, driverId, rideIds, reason) {
+  if (rideIds.length === 0) {
+    return [];
+  }
+
+  const rides = await client.query(
+    `SELECT r.id, r.departure_time,
+            EXISTS (SELECT 1 FROM bookings b
+                    WHERE b.ride_id = r.id AND b.status = 'confirmed') as has_passengers
+     FROM rides r
+     WHERE r.id = ANY($1)`,
+    [rideIds]
+  );
+
+  const policy = await loadCancellationPolicy(client);
+  const recorded = [];
+
+  for (const ride of rides.rows) {
+    recorded.push(
+      await recordCancellation(client, {
+        user_id: driverId,
+        role: "driver",
+        ride_id: ride.id,
+        reason,
+        ...classifyCancellation(ride.departure_time, policy, { committed: ride.has_passengers }),
+      })
+    );
+  }
+
+  return recorded;
+}
+
+/**
+ * Reliability of a user as a passenger or a driver. Trips are completed
+ * trips, no-shows and cancellations that were not free.
+ * @param {number} userId - User ID
+ * @param {string} role - passenger | driver
+ * @param {Object} [client=db] - Database client
+ * @returns {Promise<Object>} `{ score, trips, completed, no_shows,
+ *   late_cancellations, cancellations }`; the score is null without trips
+ */
+async function getReliability(userId, role, client = db) {
+  const outcomes =
+    role === "driver"
+      ? `SELECT COUNT(*) FILTER (WHERE status = 'completed') as completed, 0 as no_shows
+         FROM rides WHERE driver_id = $1`
+      : `SELECT COUNT(*) FILTER (WHERE status = 'completed') as completed,
+                COUNT(*) FILTER (WHERE status = 'no_show') as no_shows
+         FROM bookings WHERE passenger_id = $1`;
+
+  const [tripResult, cancellationResult, policy] = await Promise.all([
+    client.query(outcomes, [userId]),
+    client.query(
+      `SELECT COUNT(*) as cancellations,
+              COUNT(*) FILTER (WHERE category != 'free') as penalized,
+              COUNT(*) FILTER (WHERE category = 'late') as late_cancellations,
+              COALESCE(SUM(penalty_points), 0) as penalty_points
+       FROM cancellations WHERE user_id = $1 AND role = $2`,
+      [userId, role]
+    ),
+    loadCancellationPolicy(client),
+  ]);
+
+  const completed = parseInt(tripResult.rows[0].completed);
+  const noShows = parseInt(tripResult.rows[0].no_shows);
+  const cancellations = cancellationResult.rows[0];
+
+  const trips = completed + noShows + parseInt(cancellations.penalized);
+  const penaltyPoints =
+    parseFloat(cancellations.penalty_points) + noShows * (policy.no_show_penalty || 0);
+
+  return {
+    score: trips === 0 ? null : Math.round(100 * Math.max(0, 1 - penaltyPoints / trips)),
+    trips,
+    completed,
+    no_shows: noShows,
+    late_cancellations: parseInt(cancellations.late_cancellations),
+    cancellations: parseInt(cancellations.cancellations),
+  };
+}
+
+module.exports = {
+  CANCELLATION_REASON_MAX_LENGTH,
+  loadCancellationPolicy,
+  classifyCancellation,
+  recordCancellation,
+  recordRideCancellations,
+  getReliability,
+};
@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Per-category ratings and tags of reviews
+ * @module utils/reviewCategories
+ *
+ * Besides the overall rating, a review can rate single aspects of the trip
+ * and carry tags from a fixed set. Categories and tags depend on whether the
+ * reviewee is rated as the driver or as a passenger.
+ */
+
+const db = require("../config/database");
+
+// Keep in sync with the CHECK constraints in add_review_categories.sql
+const REVIEW_CATEGORIES = {
+  driver: ["punctuality", "driving_safety", "cleanliness", "communication"],
+  passenger: ["punctuality", "respect"],
+};
+
+const REVIEW_TAGS = {
+  driver: {
+    positive: ["on_time", "safe_driving", "clean_car", "friendly", "good_conversation", "helpful"],
+    negative: ["late", "unsafe_driving", "dirty_car", "rude", "detour", "phone_while_driving"],
+  },
+  passenger: {
+    positive: ["on_time", "respectful", "friendly", "good_conversation"],
+    negative: ["late", "kept_driver_waiting", "rude", "noisy", "messy"],
+  },
+};
+
+const MAX_REVIEW_TAGS = 5;
+
+// How many of a user's most used tags review stats show
+const TOP_TAGS_LIMIT = 5;
+
+/**
+ * Columns with a review's category ratings and tags, for queries selecting
+ * reviews as `r`
+ */
+const REVIEW_DETAILS = `(SELECT COALESCE(json_object_agg(rc.category, rc.rating), '{}')
+   FROM review_category_ratings rc WHERE rc.review_id = r.id) as category_ratings,
+  (SELECT COALESCE(json_agg(rt.tag ORDER BY rt.tag), '[]')
+   FROM review_tags rt WHERE rt.review_id = r.id) as tags`;
+
+/**
+ * Whether a tag is positive or negative for a reviewee role
+ * @param {string} role - driver | passenger
+ * @param {string} tag - Tag
+ * @returns {string|null} positive | negative, or null if the tag does not apply
+ */
+function tagSentiment(role, tag) {
+  if (REVIEW_TAGS[role].positive.includes(tag)) {
+    return "positive";
+  }
+  if (REVIEW_TAGS[role].negative.includes(tag)) {
+    return "negative";
+  }
+  return null;
+}
+
+/**
+ * Validate category ratings and tags for a reviewee role
+ * @param {string} role - driver | passenger
+ * @param {Object} [categoryRatings] - Ratings (1-5) by category
+ * @param {string[]} [tags] - Tags
+ * @returns {string|null} Error message, or null if they are valid
+ */
+function reviewDetailsError(role, categoryRatings, tags) {
+  if (categoryRatings !== undefined) {
+    if (categoryRatings === null || typeof categoryRatings !== "object" || Array.isArray(categoryRatings)) {
+      return "category_ratings must be an object of ratings by category";
+    }
+
+    for (const [category, rating] of Object.entries(categoryRatings)) {
+      if (!REVIEW_CATEGORIES[role].includes(category)) {
+        return `A ${role} can be rated on: ${REVIEW_CATEGORIES[role].join(", ")}`;
+      }
+      if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+        return "Category ratings must be whole numbers between 1 and 5";
+      }
+    }
+  }
+
+  if (tags !== undefined) {
+    if (!Array.isArray(tags) || new Set(tags).size !== tags.length) {
+      return "tags must be a list of different tags";
+    }
+    if (tags.length > MAX_REVIEW_TAGS) {
+      return `A review can have at most ${MAX_REVIEW_TAGS} tags`;
+    }
+    const invalid = tags.find((tag) => !tagSentiment(role, tag));
+    if (invalid !== undefined) {
+      return `Invalid tag for a ${role}: ${invalid}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Replace the category ratings and tags of a review. Either is left as it is
+ * when not given.
+ * @param {Object} client - Database client inside a transaction
+ * @param {number} reviewId - Review ID
+ * @param {Object} [categoryRatings] - Ratings by category
+ * @param {string[]} [tags] - Tags
+ * @returns {Promise<void>}
+ */
+async function saveReviewDetails(client, reviewId, categoryRatings, tags) {
+  if (categoryRatings !== undefined) {
+    await client.query("DELETE FROM review_category_ratings WHERE review_id = $1", [reviewId]);
+    await client.query(
+      `INSERT INTO review_category_ratings (review_id, category, rating)
+       SELECT $1, category, rating
+       FROM UNNEST($2::varchar[], $3::int[]) AS c(category, rating)`,
+      [reviewId, Object.keys(categoryRatings), Object.values(categoryRatings)]
+    );
+  }
+
+  if (tags !== undefined) {
+    await client.query("DELETE FROM review_tags WHERE review_id = $1", [reviewId]);
+    await client.query(
+      `INSERT INTO review_tags (review_id, tag)
+       SELECT $1, tag FROM UNNEST($2::varchar[]) AS t(tag)`,
+      [reviewId, tags]
+    );
+  }
+}
+
+/**
+ * Per-category averages and most used tags of the revealed reviews a user
+ * received, leaving out reviews hidden by a moderator
+ * @param {number} userId - Reviewee user ID
+ * @param {string} [role] - Only reviews as a driver or as a passenger
+ * @param {Object} [client=db] - Database client
+ * @returns {Promise<Object>} `{ categories, top_tags }`
+ */
+async function getReviewDetailStats(userId, role, client = db) {
+  const roleFilter = role ? "AND r.reviewee_role = $2" : "";
+  const params = role ? [userId, role] : [userId];
+
+  const [categories, tags] = await Promise.all([
+    client.query(
+      `SELECT r.reviewee_role as role, rc.category,
+              ROUND(AVG(rc.rating)::numeric, 2) as average_rating,
+              COUNT(*) as total_ratings
+       FROM review_category_ratings rc
+       JOIN reviews r ON rc.review_id = r.id
+       WHERE r.reviewee_id = $1 AND r.revealed_at IS NOT NULL AND NOT r.is_hidden ${roleFilter}
+       GROUP BY r.reviewee_role, rc.category
+       ORDER BY r.reviewee_role, rc.category`,
+      params
+    ),
+    client.query(
+      `SELECT r.reviewee_role as role, rt.tag, COUNT(*) as count
+       FROM review_tags rt
+       JOIN reviews r ON rt.review_id = r.id
+       WHERE r.reviewee_id = $1 AND r.revealed_at IS NOT NULL AND NOT r.is_hidden ${roleFilter}
+       GROUP BY r.reviewee_role, rt.tag
+       ORDER BY COUNT(*) DESC, rt.tag
+       LIMIT ${TOP_TAGS_LIMIT}`,
+      params
+    ),
+  ]);
+
+  return {
+    categories: categories.rows.map((row) => ({
+      role: row.role,
+      category: row.category,
+      average_rating: parseFloat(row.average_rating),
+      total_ratings: parseInt(row.total_ratings),
+    })),
+    top_tags: tags.rows.map((row) => ({
+      role: row.role,
+      tag: row.tag,
+      sentiment: tagSentiment(row.role, row.tag),
+      count: parseInt(row.count),
+    })),
+  };
+}
+
+module.exports = {
+  REVIEW_CATEGORIES,
+  REVIEW_TAGS,
+  REVIEW_DETAILS,
+  reviewDetailsError,
+  saveReviewDetails,
+  getReviewDetailStats,
+};
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Review reports and moderation
+ * @module utils/reviewModeration
+ *
+ * Users report reviews they find abusive. Moderators (admins) work through the
+ * reported reviews and hide them, which takes them out of ratings, or keep or
+ * restore them. Either decision resolves the open reports of the review.
+ */
+
+const { applyReviewRating } = require("./ratings");
+
+// Keep in sync with the CHECK constraint in add_review_moderation.sql
+const REPORT_REASONS = [
+  "abusive",
+  "harassment",
+  "discrimination",
+  "spam",
+  "false_information",
+  "personal_information",
+  "other",
+];
+
+const MAX_REPLY_LENGTH = 1000;
+
+/**
+ * Hide a review or restore it, resolve its open reports and update the
+ * reviewee's rating
+ * @param {Object} client - Database client inside a transaction, holding the review row
+ * @param {Object} review - Review row
+ * @param {boolean} hidden - Whether the review is hidden
+ * @param {number} moderatorId - Acting moderator user ID
+ * @param {string} [reason] - Reason for hiding the review
+ * @returns {Promise<Object>} `{ review, reports_resolved }`
+ */
+async function moderateReview(client, review, hidden, moderatorId, reason) {
+  const result = await client.query(
+    `UPDATE reviews
+     SET is_hidden = $1, hidden_reason = $2,
+         hidden_by = $3, hidden_at = CASE WHEN $1 THEN NOW() END
+     WHERE id = $4
+     RETURNING *`,
+    [hidden, hidden ? reason : null, hidden ? moderatorId : null, review.id]
+  );
+
+  // Hiding a review upholds its reports; keeping it visible dismisses them
+  const reports = await client.query(
+    `UPDATE review_reports
+     SET status = $1, resolved_by = $2, resolved_at = NOW()
+     WHERE review_id = $3 AND status = 'open'`,
+    [hidden ? "upheld" : "dismissed", moderatorId, review.id]
+  );
+
+  if (review.revealed_at !== null && review.is_hidden !== hidden) {
+    await applyReviewRating(client, review, hidden ? -1 : 1);
+  }
+
+  return { review: result.rows[0], reports_resolved: reports.rowCount };
+}
+
+module.exports = {
+  REPORT_REASONS,
+  MAX_REPLY_LENGTH,
+  moderateReview,
+};
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Double-blind review window and the reveal of reviews
+ * @module utils/reviews
+ *
+ * Both sides of a completed booking can review each other until the review
+ * window closes. A review stays hidden, and out of ratings, until the other
+ * side has reviewed too or the window closes. Revealed reviews are final.
+ */
+
+const db = require("../config/database");
+const { applyReviewRating } = require("./ratings");
+
+// How long after a booking is completed its driver and passenger can review each other
+const REVIEW_WINDOW_DAYS = parseInt(process.env.REVIEW_WINDOW_DAYS) || 14;
+
+/**
+ * When the review window of a completed booking closes
+ * @param {Object} booking - Booking row
+ * @returns {Date}
+ */
+function reviewWindowClosesAt(booking) {
+  return new Date(new Date(booking.completed_at).getTime() + REVIEW_WINDOW_DAYS * 86400000);
+}
+
+/**
+ * Whether a review can no longer be edited or deleted
+ * @param {Object} review - Review row with its booking's `completed_at`
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {boolean}
+ */
+function reviewLocked(review, now = new Date()) {
+  return review.revealed_at !== null || reviewWindowClosesAt(review) <= now;
+}
+
+/**
+ * Add newly revealed reviews to their reviewees' ratings. Reviews hidden by a
+ * moderator stay out.
+ * @param {Object} client - Database client inside a transaction
+ * @param {Array<Object>} revealed - Revealed review rows
+ * @returns {Promise<void>}
+ */
+async function addRevealedRatings(client, revealed) {
+  for (const review of revealed) {
+    if (!review.is_hidden) {
+      await applyReviewRating(client, review, 1);
+    }
+  }
+}
+
+/**
+ * Reveal the reviews of a booking once both sides have reviewed
+ * @param {Object} client - Database client inside a transaction, holding the booking row
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<boolean>} Whether the booking's reviews are revealed
+ */
+async function revealBookingReviews(client, bookingId) {
+  const result = await client.query(
+    `UPDATE reviews SET revealed_at = CURRENT_TIMESTAMP
+     WHERE booking_id = $1 AND revealed_at IS NULL
+       AND (SELECT COUNT(DISTINCT reviewer_id) FROM reviews WHERE booking_id = $1) >= 2
+     RETURNING reviewee_id, reviewee_role, rating, is_hidden`,
+    [bookingId]
+  );
+
+  await addRevealedRatings(client, result.rows);
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Reveal the hidden reviews of bookings whose review window has closed
+ * @returns {Promise<Object>} Count of revealed reviews
+ */
+async function revealExpiredReviews() {
+  const client = await db.pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      `UPDATE reviews rv SET revealed_at = CURRENT_TIMESTAMP
+       FROM bookings b
+       WHERE rv.booking_id = b.id
+         AND rv.revealed_at IS NULL
+         AND b.completed_at <= NOW() - $1::int * INTERVAL '1 day'
+       RETURNING rv.reviewee_id, rv.reviewee_role, rv.rating, rv.is_hidden`,
+      [REVIEW_WINDOW_DAYS]
+    );
+
+    await addRevealedRatings(client, result.rows);
+
+    await client.query("COMMIT");
+
+    return { reviews_revealed: result.rowCount };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  REVIEW_WINDOW_DAYS,
+  reviewWindowClosesAt,
+  reviewLocked,
+  revealBookingReviews,
+  revealExpiredReviews,
+};
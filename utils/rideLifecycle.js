@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Ride lifecycle: start, completion and cancellation rules
+ * @module utils/rideLifecycle
+ *
+ * scheduled -> in_progress -> completed
+ * scheduled -> cancelled
+ */
+
+const db = require("../config/database");
+const { cancelRides } = require("./rides");
+const { revertModifications } = require("./bookings");
+const { setStatusContext } = require("./statusHistory");
+
+// How long before departure a driver may start a ride and passengers may check in
+const RIDE_START_WINDOW_MINUTES = parseInt(process.env.RIDE_START_WINDOW_MINUTES) || 30;
+
+// How long after departure rides the driver did not complete are closed
+const RIDE_AUTO_CLOSE_HOURS = parseInt(process.env.RIDE_AUTO_CLOSE_HOURS) || 6;
+
+const RIDE_TRANSITIONS = {
+  scheduled: ["in_progress", "cancelled"],
+  in_progress: ["completed"],
+  completed: [],
+  cancelled: [],
+};
+
+// Fields a driver can still change once the ride is under way
+const IN_PROGRESS_EDITABLE_FIELDS = ["description", "amenities"];
+
+/**
+ * Whether a ride may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return (RIDE_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Earliest time a ride can be started or checked in to
+ * @param {Object} ride - Ride row
+ * @returns {Date}
+ */
+function startWindowOpensAt(ride) {
+  return new Date(new Date(ride.departure_time).getTime() - RIDE_START_WINDOW_MINUTES * 60000);
+}
+
+/**
+ * Check whether a ride can be started now
+ * @param {Object} ride - Ride row
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {string|null} Error message, or null if the ride can start
+ */
+function startError(ride, now = new Date()) {
+  if (!canTransition(ride.status, "in_progress")) {
+    return `A ${ride.status} ride cannot be started`;
+  }
+  if (now < startWindowOpensAt(ride)) {
+    return `Rides can be started at most ${RIDE_START_WINDOW_MINUTES} minutes before departure`;
+  }
+  return null;
+}
+
+/**
+ * Cancel the booking requests of a ride the driver never answered. Seat
+ * increases of confirmed bookings are dropped instead, keeping the booking.
+ * @param {Object} client - Database client inside a transaction
+ * @param {number} rideId - Ride ID
+ * @returns {Promise<void>}
+ */
+async function cancelPendingBookings(client, rideId) {
+  const pending = await client.query(
+    "SELECT id FROM bookings WHERE ride_id = $1 AND status = 'pending'",
+    [rideId]
+  );
+  await revertModifications(client, pending.rows.map((row) => row.id), "expired");
+
+  await client.query(
+    "UPDATE bookings SET status = 'cancelled' WHERE ride_id = $1 AND status = 'pending'",
+    [rideId]
+  );
+}
+
+/**
+ * Start a ride. Pending requests that were never answered are cancelled.
+ * @param {Object} client - Database client inside a transaction
+ * @param {number} rideId - Ride ID
+ * @returns {Promise<Object>} Updated ride
+ */
+async function startRide(client, rideId) {
+  await cancelPendingBookings(client, rideId);
+
+  const result = await client.query(
+    `UPDATE rides SET status = 'in_progress', started_at = CURRENT_TIMESTAMP
+     WHERE id = $1 RETURNING *`,
+    [rideId]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Complete a ride. Boarded passengers complete their bookings, confirmed
+ * passengers who never boarded become no-shows and pending requests are
+ * cancelled. Boarding is only tracked once a ride is started, so on a ride
+ * that was never started every confirmed booking completes.
+ * @param {Object} client - Database client inside a transaction
+ * @param {Object} ride - Ride row
+ * @returns {Promise<Object>} `{ ride, completed, no_shows }`
+ */
+async function completeRide(client, ride) {
+  const boardingTracked = ride.status === "in_progress";
+
+  await cancelPendingBookings(client, ride.id);
+
+  const completed = await client.query(
+    `UPDATE bookings SET status = 'completed', completed_at = CURRENT_TIMESTAMP
+     WHERE ride_id = $1 AND status = 'confirmed' AND (boarded_at IS NOT NULL OR NOT $2)`,
+    [ride.id, boardingTracked]
+  );
+
+  const noShows = await client.query(
+    `UPDATE bookings SET status = 'no_show'
+     WHERE ride_id = $1 AND status = 'confirmed' AND boarded_at IS NULL`,
+    [ride.id]
+  );
+
+  const result = await client.query(
+    `UPDATE rides SET status = 'completed', completed_at = CURRENT_TIMESTAMP
+     WHERE id = $1 RETURNING *`,
+    [ride.id]
+  );
+
+  await client.query(
+    "UPDATE driver_profiles SET total_rides = total_rides + 1 WHERE user_id = $1",
+    [ride.driver_id]
+  );
+
+  return {
+    ride: result.rows[0],
+    completed: completed.rowCount,
+    no_shows: noShows.rowCount,
+  };
+}
+
+/**
+ * Close rides the driver left open long after departure. Rides with confirmed
+ * passengers are completed; rides nobody joined are cancelled.
+ * @returns {Promise<Object>} Counts of completed and cancelled rides
+ */
+async function closeStaleRides() {
+  const stale = await db.query(
+    `SELECT id FROM rides
+     WHERE status IN ('scheduled', 'in_progress')
+       AND departure_time <= NOW() - $1::int * INTERVAL '1 hour'`,
+    [RIDE_AUTO_CLOSE_HOURS]
+  );
+
+  let completed = 0;
+  let cancelled = 0;
+
+  // One transaction per ride, so a failing ride does not hold up the others
+  for (const { id } of stale.rows) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+      await setStatusContext(client, null, "Closed automatically after departure");
+
+      const rideResult = await client.query(
+        `SELECT r.*,
+                EXISTS (SELECT 1 FROM bookings b
+                        WHERE b.ride_id = r.id AND b.status = 'confirmed') as has_passengers
+         FROM rides r
+         WHERE r.id = $1 AND r.status IN ('scheduled', 'in_progress')
+         FOR UPDATE`,
+        [id]
+      );
+      const ride = rideResult.rows[0];
+
+      if (ride && ride.status === "scheduled" && !ride.has_passengers) {
+        await cancelRides(client, [ride.id]);
+        cancelled++;
+      } else if (ride) {
+        await completeRide(client, ride);
+        completed++;
+      }
+
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      console.error(`Failed to close ride ${id}:`, error);
+    } finally {
+      client.release();
+    }
+  }
+
+  return { rides_completed: completed, rides_cancelled: cancelled };
+}
+
+module.exports = {
+  RIDE_START_WINDOW_MINUTES,
+  RIDE_AUTO_CLOSE_HOURS,
+  IN_PROGRESS_EDITABLE_FIELDS,
+  canTransition,
+  startWindowOpensAt,
+  startError,
+  startRide,
+  completeRide,
+  closeStaleRides,
+};
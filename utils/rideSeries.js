@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Recurrence rules and ride materialization for ride series
+ * @module utils/rideSeries
+ */
+
+const db = require("../config/database");
+const { loadPricingRules, calculateTrafficFee } = require("./pricing");
+const { localDateString, parseClientTime } = require("./time");
+const { verifiedDistance } = require("./routing");
+
+// University week in Jordan: Sunday to Thursday
+const WEEKDAYS = [0, 1, 2, 3, 4];
+
+// How far ahead individual rides are created
+const SERIES_HORIZON_DAYS = parseInt(process.env.RIDE_SERIES_HORIZON_DAYS) || 14;
+
+// Longest allowed range between start_date and end_date
+const MAX_SERIES_DAYS = 180;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Format a date as YYYY-MM-DD. DATE columns come back from pg as Date objects
+ * at local midnight, so local components are used.
+ * @param {Date|string} date - Date to format
+ * @returns {string}
+ */
+function toDateString(date) {
+  if (typeof date === "string") {
+    return date.slice(0, 10);
+  }
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Whether a string is a real calendar date in YYYY-MM-DD format
+ * @param {string} value - Value to check
+ * @returns {boolean}
+ */
+function isValidDate(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} dateString - Date
+ * @param {number} days - Days to add
+ * @returns {string}
+ */
+function addDays(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  return new Date(date.getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Validate a recurrence rule from a request body
+ * @param {Object} recurrence - `{ days, start_date, end_date, excluded_dates }`
+ *   where days is "weekdays" (Sunday-Thursday) or an array of day numbers
+ *   (0 = Sunday ... 6 = Saturday)
+ * @returns {Object} `{ errors, rule }` with the normalized rule
+ */
+function parseRecurrence(recurrence) {
+  const errors = [];
+
+  if (!recurrence || typeof recurrence !== "object") {
+    return { errors: ["Recurrence is required"], rule: null };
+  }
+
+  const { days, start_date, end_date, excluded_dates = [] } = recurrence;
+
+  let daysOfWeek = null;
+  if (days === "weekdays") {
+    daysOfWeek = WEEKDAYS;
+  } else if (
+    Array.isArray(days) &&
+    days.length > 0 &&
+    days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+  ) {
+    daysOfWeek = [...new Set(days)].sort();
+  } else {
+    errors.push('Days must be "weekdays" or a list of day numbers (0 = Sunday ... 6 = Saturday)');
+  }
+
+  if (!isValidDate(start_date)) {
+    errors.push("Start date must be a valid date (YYYY-MM-DD)");
+  }
+
+  if (!isValidDate(end_date)) {
+    errors.push("End date must be a valid date (YYYY-MM-DD)");
+  }
+
+  if (isValidDate(start_date) && isValidDate(end_date)) {
+    if (end_date < start_date) {
+      errors.push("End date cannot be before start date");
+    } else if (end_date > addDays(start_date, MAX_SERIES_DAYS)) {
+      errors.push(`A series cannot span more than ${MAX_SERIES_DAYS} days`);
+    }
+  }
+
+  if (!Array.isArray(excluded_dates) || !excluded_dates.every(isValidDate)) {
+    errors.push("Excluded dates must be a list of valid dates (YYYY-MM-DD)");
+  }
+
+  if (errors.length > 0) {
+    return { errors, rule: null };
+  }
+
+  return {
+    errors,
+    rule: {
+      days_of_week: daysOfWeek,
+      start_date,
+      end_date,
+      excluded_dates: [...new Set(excluded_dates)].sort(),
+    },
+  };
+}
+
+/**
+ * Whether a date falls on the series' recurrence rule
+ * @param {Object} series - Ride series row (or normalized rule)
+ * @param {string} dateString - Date (YYYY-MM-DD)
+ * @returns {boolean}
+ */
+function matchesRecurrence(series, dateString) {
+  const excluded = (series.excluded_dates || []).map(toDateString);
+  const dayOfWeek = new Date(`${dateString}T00:00:00Z`).getUTCDay();
+
+  return (
+    dateString >= toDateString(series.start_date) &&
+    dateString <= toDateString(series.end_date) &&
+    series.days_of_week.includes(dayOfWeek) &&
+    !excluded.includes(dateString)
+  );
+}
+
+/**
+ * Amman local departure time of a series occurrence, in the same format the
+ * frontend sends for single rides ("2026-01-06T07:30")
+ * @param {string} dateString - Occurrence date (YYYY-MM-DD)
+ * @param {string} time - Series departure time ("HH:MM" or "HH:MM:SS")
+ * @returns {string}
+ */
+function occurrenceDepartureTime(dateString, time) {
+  return `${dateString}T${String(time).slice(0, 5)}`;
+}
+
+/**
+ * Create the rides of a series that fall within the materialization horizon
+ * and do not exist yet. Occurrences that were cancelled are not recreated.
+ * @param {Object} series - Ride series row
+ * @param {Object} [client=db] - Database client
+ * @returns {Promise<number>} Number of rides created
+ */
+async function materializeSeries(series, client = db) {
+  if (series.status !== "active") {
+    return 0;
+  }
+
+  const today = localDateString();
+  const startDate = toDateString(series.start_date);
+  const from = startDate > today ? startDate : today;
+  const horizon = addDays(today, SERIES_HORIZON_DAYS);
+  const endDate = toDateString(series.end_date);
+  const to = endDate < horizon ? endDate : horizon;
+  const now = new Date();
+  const pricingRules = await loadPricingRules(client);
+  let created = 0;
+
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    if (!matchesRecurrence(series, date)) {
+      continue;
+    }
+
+    const departureTime = parseClientTime(occurrenceDepartureTime(date, series.departure_time));
+    if (departureTime <= now) {
+      continue;
+    }
+
+    const result = await client.query(
+      `INSERT INTO rides
+       (driver_id, vehicle_id, origin, destination, origin_lat, origin_lng, destination_lat,
+        destination_lng, departure_time, total_seats, available_seats, price_per_seat,
+        description, amenities, gender_preference, distance_km, fuel_type, ac_enabled,
+        traffic_fee, direction, university_id, series_id, series_occurrence_date,
+        client_distance_km, distance_flagged, estimated_duration_minutes, estimated_arrival_time)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $10, $11, $12, $13, $14, $15, $16, $17,
+               $18, $19, $20, $21, $22, $23, $24, $25,
+               $9::timestamptz + $25::int * INTERVAL '1 minute')
+       ON CONFLICT (series_id, series_occurrence_date) DO NOTHING
+       RETURNING id`,
+      [
+        series.driver_id,
+        series.vehicle_id,
+        series.origin,
+        series.destination,
+        series.origin_lat,
+        series.origin_lng,
+        series.destination_lat,
+        series.destination_lng,
+        departureTime,
+        series.total_seats,
+        series.price_per_seat,
+        series.description,
+        series.amenities || [],
+        series.gender_preference,
+        series.distance_km,
+        series.fuel_type,
+        series.ac_enabled,
+        await calculateTrafficFee(departureTime, verifiedDistance(series), pricingRules),
+        series.direction,
+        series.university_id,
+        series.id,
+        date,
+        series.client_distance_km,
+        series.distance_flagged,
+        series.estimated_duration_minutes,
+      ]
+    );
+
+    created += result.rowCount;
+  }
+
+  return created;
+}
+
+/**
+ * Materialize upcoming rides for every active series of active drivers
+ * @returns {Promise<Object>} Number of series processed and rides created
+ */
+async function materializeAllSeries() {
+  const result = await db.query(
+    `SELECT s.* FROM ride_series s
+     JOIN users u ON u.id = s.driver_id
+     WHERE s.status = 'active' AND s.end_date >= $1 AND u.is_active = TRUE`,
+    [localDateString()]
+  );
+
+  // A failing series does not hold up the others
+  let created = 0;
+  for (const series of result.rows) {
+    try {
+      created += await materializeSeries(series);
+    } catch (error) {
+      console.error(`Failed to materialize ride series ${series.id}:`, error);
+    }
+  }
+
+  return { series: result.rows.length, rides_created: created };
+}
+
+module.exports = {
+  WEEKDAYS,
+  SERIES_HORIZON_DAYS,
+  toDateString,
+  isValidDate,
+  parseRecurrence,
+  matchesRecurrence,
+  occurrenceDepartureTime,
+  materializeSeries,
+  materializeAllSeries,
+};
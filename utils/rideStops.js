@@ -0,0 +1,258 @@
+/**
+ * @fileoverview Ride waypoints, per-segment seat availability and segment pricing
+ * @module utils/rideStops
+ */
+
+const db = require("../config/database");
+const { calculateDistance } = require("./rides");
+
+// Waypoints a ride may have between origin and destination
+const MAX_WAYPOINTS = 8;
+
+// Booking statuses that hold seats on a ride
+const SEAT_HOLDING_STATUSES = ["pending", "confirmed", "completed"];
+
+// Everything that takes seats on a segment: bookings, and seats offered to
+// waitlisted passengers until the offer expires
+const SEAT_CLAIMS = `(
+  SELECT id, ride_id, seats_booked, boarding_stop_order, alighting_stop_order
+  FROM bookings
+  WHERE status IN (${SEAT_HOLDING_STATUSES.map((status) => `'${status}'`).join(", ")})
+  UNION ALL
+  SELECT NULL, ride_id, seats_requested, boarding_stop_order, alighting_stop_order
+  FROM ride_waitlist
+  WHERE status = 'offered' AND offer_expires_at > NOW()
+)`;
+
+/**
+ * Validate the waypoints of a ride from a request body
+ * @param {Array<Object>} stops - `[{ name, lat, lng }]` in driving order
+ * @param {Object} ride - Ride fields; origin and destination coordinates are required
+ * @returns {string[]} Validation errors
+ */
+function validateStops(stops, ride) {
+  const errors = [];
+
+  if (!Array.isArray(stops)) {
+    return ["Stops must be a list"];
+  }
+
+  if (stops.length > MAX_WAYPOINTS) {
+    errors.push(`A ride can have at most ${MAX_WAYPOINTS} stops`);
+  }
+
+  if (
+    stops.length > 0 &&
+    [ride.origin_lat, ride.origin_lng, ride.destination_lat, ride.destination_lng].some(
+      (value) => value === undefined || value === null || isNaN(parseFloat(value))
+    )
+  ) {
+    errors.push("Origin and destination coordinates are required for rides with stops");
+  }
+
+  stops.forEach((stop, i) => {
+    if (!stop || !stop.name) {
+      errors.push(`Stop ${i + 1}: name is required`);
+    }
+    if (!stop || isNaN(parseFloat(stop.lat)) || isNaN(parseFloat(stop.lng))) {
+      errors.push(`Stop ${i + 1}: lat and lng are required`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Replace the waypoints of a ride
+ * @param {Object} client - Database client inside a transaction
+ * @param {number} rideId - Ride ID
+ * @param {Array<Object>} stops - Validated `[{ name, lat, lng }]` in driving order
+ * @returns {Promise<void>}
+ */
+async function saveRideStops(client, rideId, stops) {
+  await client.query("DELETE FROM ride_stops WHERE ride_id = $1", [rideId]);
+
+  for (const [i, stop] of stops.entries()) {
+    await client.query(
+      `INSERT INTO ride_stops (ride_id, stop_order, name, lat, lng)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [rideId, i + 1, stop.name, stop.lat, stop.lng]
+    );
+  }
+}
+
+/**
+ * All stops of a ride in order, origin and destination included, with the
+ * distance along the route from the origin
+ * @param {Object} ride - Ride row
+ * @param {Object} [client=db] - Database client
+ * @returns {Promise<Array<Object>>} `[{ stop_order, name, lat, lng, distance_from_origin_km }]`
+ */
+async function getRideStops(ride, client = db) {
+  const waypoints = await client.query(
+    "SELECT stop_order, name, lat, lng FROM ride_stops WHERE ride_id = $1 ORDER BY stop_order",
+    [ride.id]
+  );
+
+  const stops = [
+    { stop_order: 0, name: ride.origin, lat: ride.origin_lat, lng: ride.origin_lng },
+    ...waypoints.rows,
+    {
+      stop_order: waypoints.rows.length + 1,
+      name: ride.destination,
+      lat: ride.destination_lat,
+      lng: ride.destination_lng,
+    },
+  ];
+
+  let distance = 0;
+  return stops.map((stop, i) => {
+    if (i > 0) {
+      const prev = stops[i - 1];
+      if ([prev.lat, prev.lng, stop.lat, stop.lng].every((value) => value !== null && value !== undefined)) {
+        distance += calculateDistance(
+          parseFloat(prev.lat),
+          parseFloat(prev.lng),
+          parseFloat(stop.lat),
+          parseFloat(stop.lng)
+        );
+      }
+    }
+    return { ...stop, distance_from_origin_km: Math.round(distance * 100) / 100 };
+  });
+}
+
+/**
+ * Share of the full route covered between two stops, used to price a segment.
+ * Falls back to the full route when the route length is unknown.
+ * @param {Array<Object>} stops - Result of getRideStops
+ * @param {number} boarding - Boarding stop order
+ * @param {number} alighting - Alighting stop order
+ * @returns {number} Fraction between 0 and 1
+ */
+function segmentFraction(stops, boarding, alighting) {
+  const total = stops[stops.length - 1].distance_from_origin_km;
+
+  if (!total || (boarding === 0 && alighting === stops.length - 1)) {
+    return 1;
+  }
+
+  return (
+    (stops[alighting].distance_from_origin_km - stops[boarding].distance_from_origin_km) /
+    total
+  );
+}
+
+/**
+ * Seats still free on every segment between two stops, net of bookings and
+ * outstanding waitlist offers
+ * @param {Object} client - Database client
+ * @param {Object} ride - Ride row
+ * @param {number} boarding - Boarding stop order
+ * @param {number} alighting - Alighting stop order
+ * @param {number} [excludeBookingId] - Booking to leave out (when changing it)
+ * @returns {Promise<number>}
+ */
+async function segmentAvailableSeats(client, ride, boarding, alighting, excludeBookingId = null) {
+  const result = await client.query(
+    `SELECT COALESCE(MAX(segment_load), 0) as max_load
+     FROM (
+       SELECT s.segment, COALESCE(SUM(b.seats_booked), 0) as segment_load
+       FROM generate_series($2::int, $3::int - 1) AS s(segment)
+       LEFT JOIN ${SEAT_CLAIMS} b
+         ON b.ride_id = $1
+        AND b.boarding_stop_order <= s.segment
+        AND b.alighting_stop_order > s.segment
+        AND ($4::int IS NULL OR b.id IS DISTINCT FROM $4)
+       GROUP BY s.segment
+     ) loads`,
+    [ride.id, boarding, alighting, excludeBookingId]
+  );
+
+  return ride.total_seats - parseInt(result.rows[0].max_load);
+}
+
+/**
+ * Recalculate a ride's available_seats as the seats left on its fullest
+ * segment, which is what searches and seat filters go by. Seats held by a
+ * waitlist offer count as taken.
+ * @param {Object} client - Database client
+ * @param {number} rideId - Ride ID
+ * @returns {Promise<number>} The ride's available seats
+ */
+async function refreshAvailableSeats(client, rideId) {
+  const result = await client.query(
+    `UPDATE rides r
+     SET available_seats = GREATEST(r.total_seats - (
+       SELECT COALESCE(MAX(segment_load), 0)
+       FROM (
+         SELECT s.segment, COALESCE(SUM(b.seats_booked), 0) as segment_load
+         FROM generate_series(0, (SELECT COUNT(*) FROM ride_stops WHERE ride_id = r.id)::int) AS s(segment)
+         LEFT JOIN ${SEAT_CLAIMS} b
+           ON b.ride_id = r.id
+          AND b.boarding_stop_order <= s.segment
+          AND b.alighting_stop_order > s.segment
+         GROUP BY s.segment
+       ) loads
+     ), 0)
+     WHERE r.id = $1
+     RETURNING r.available_seats`,
+    [rideId]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].available_seats : null;
+}
+
+/**
+ * Recalculate available_seats of all scheduled rides from their bookings and
+ * report rides whose stored count had drifted
+ * @returns {Promise<Object>} Counts of checked and corrected rides
+ */
+async function reconcileAvailableSeats() {
+  const rides = await db.query("SELECT id FROM rides WHERE status = 'scheduled'");
+  let corrected = 0;
+
+  // One transaction per ride, so a failing ride does not hold up the others
+  for (const { id } of rides.rows) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      // Same lock as the booking path, so no booking is half-counted
+      const current = await client.query(
+        "SELECT available_seats FROM rides WHERE id = $1 FOR UPDATE",
+        [id]
+      );
+      const seats = await refreshAvailableSeats(client, id);
+
+      await client.query("COMMIT");
+
+      if (current.rows.length > 0 && seats !== current.rows[0].available_seats) {
+        console.warn(
+          `Ride ${id} had ${current.rows[0].available_seats} available seats, corrected to ${seats}`
+        );
+        corrected++;
+      }
+    } catch (error) {
+      await client.query("ROLLBACK");
+      console.error(`Failed to reconcile available seats of ride ${id}:`, error);
+    } finally {
+      client.release();
+    }
+  }
+
+  return { rides_checked: rides.rows.length, rides_corrected: corrected };
+}
+
+module.exports = {
+  MAX_WAYPOINTS,
+  SEAT_HOLDING_STATUSES,
+  validateStops,
+  saveRideStops,
+  getRideStops,
+  segmentFraction,
+  segmentAvailableSeats,
+  refreshAvailableSeats,
+  reconcileAvailableSeats,
+};
@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Ride distance and cancellation shared by ride and ride series routes
+ * @module utils/rides
+ */
+
+/**
+ * Calculate distance between two coordinates using Haversine formula
+ * @param {number} lat1 - Latitude of first point
+ * @param {number} lng1 - Longitude of first point
+ * @param {number} lat2 - Latitude of second point
+ * @param {number} lng2 - Longitude of second point
+ * @returns {number} Distance in kilometers
+ */
+function calculateDistance(lat1, lng1, lat2, lng2) {
+  const R = 6371; // Earth's radius in km
+  const dLat = ((lat2 - lat1) * Math.PI) / 180;
+  const dLng = ((lng2 - lng1) * Math.PI) / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos((lat1 * Math.PI) / 180) *
+      Math.cos((lat2 * Math.PI) / 180) *
+      Math.sin(dLng / 2) *
+      Math.sin(dLng / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c; // Distance in km
+}
+
+/**
+ * Cancel rides together with their active bookings and waitlist entries
+ * @param {Object} client - Database client inside a transaction
+ * @param {number[]} rideIds - IDs of the rides to cancel
+ * @returns {Promise<number>} Number of rides cancelled
+ */
+async function cancelRides(client, rideIds) {
+  if (rideIds.length === 0) {
+    return 0;
+  }
+
+  await client.query(
+    "UPDATE bookings SET status = 'cancelled' WHERE ride_id = ANY($1) AND status IN ('pending', 'confirmed')",
+    [rideIds]
+  );
+
+  await client.query(
+    `UPDATE booking_modifications SET approval_status = 'cancelled', resolved_at = CURRENT_TIMESTAMP
+     WHERE approval_status = 'pending'
+       AND booking_id IN (SELECT id FROM bookings WHERE ride_id = ANY($1))`,
+    [rideIds]
+  );
+
+  await client.query(
+    `UPDATE ride_waitlist SET status = 'cancelled'
+     WHERE ride_id = ANY($1) AND status IN ('waiting', 'offered')`,
+    [rideIds]
+  );
+
+  const result = await client.query(
+    "UPDATE rides SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP WHERE id = ANY($1)",
+    [rideIds]
+  );
+
+  return result.rowCount;
+}
+
+module.exports = {
+  calculateDistance,
+  cancelRides,
+};
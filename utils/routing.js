@@ -0,0 +1,205 @@
+/**
+ * @fileoverview Route distance and duration estimates with pluggable providers
+ * @module utils/routing
+ *
+ * The provider is selected with ROUTING_PROVIDER. The built-in "offline"
+ * provider multiplies the straight-line distance by a road factor and assumes
+ * an average speed; road-network services are added with registerProvider().
+ * When the configured provider fails, the offline estimate is used instead.
+ */
+
+const { calculateDistance } = require("./rides");
+
+const ROAD_FACTOR = parseFloat(process.env.ROUTING_ROAD_FACTOR) || 1.3;
+const AVERAGE_SPEED_KMH = parseFloat(process.env.ROUTING_AVERAGE_SPEED_KMH) || 50;
+
+// Client distances further than this share off the computed one are flagged,
+// and rejected beyond the second
+const DISTANCE_FLAG_TOLERANCE = parseFloat(process.env.DISTANCE_FLAG_TOLERANCE) || 0.2;
+const DISTANCE_REJECT_TOLERANCE = parseFloat(process.env.DISTANCE_REJECT_TOLERANCE) || 0.5;
+
+const offlineProvider = {
+  async route(points) {
+    let straightLine = 0;
+    for (let i = 1; i < points.length; i++) {
+      straightLine += calculateDistance(
+        points[i - 1].lat,
+        points[i - 1].lng,
+        points[i].lat,
+        points[i].lng
+      );
+    }
+
+    const distanceKm = straightLine * ROAD_FACTOR;
+    return {
+      distance_km: distanceKm,
+      duration_minutes: (distanceKm / AVERAGE_SPEED_KMH) * 60,
+    };
+  },
+};
+
+const providers = {
+  offline: offlineProvider,
+};
+
+/**
+ * Register a routing provider
+ * @param {string} name - Provider name used in ROUTING_PROVIDER
+ * @param {Object} provider - Object with an async route(points) method that
+ *   resolves to `{ distance_km, duration_minutes }`
+ */
+function registerProvider(name, provider) {
+  if (!provider || typeof provider.route !== "function") {
+    throw new Error(`Routing provider "${name}" must implement route()`);
+  }
+  providers[name] = provider;
+}
+
+/**
+ * Estimate the route through a list of points
+ * @param {Array<Object>} points - `[{ lat, lng }]` in driving order
+ * @returns {Promise<Object>} `{ distance_km, duration_minutes, provider }`
+ */
+async function estimateRoute(points) {
+  const name = process.env.ROUTING_PROVIDER || "offline";
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown routing provider "${name}"`);
+  }
+
+  let result;
+  let used = name;
+
+  try {
+    result = await provider.route(points);
+  } catch (error) {
+    if (provider === offlineProvider) {
+      throw error;
+    }
+    console.error(`Routing provider "${name}" failed, using offline estimate:`, error.message);
+    result = await offlineProvider.route(points);
+    used = "offline";
+  }
+
+  return {
+    distance_km: Math.round(result.distance_km * 100) / 100,
+    duration_minutes: Math.round(result.duration_minutes),
+    provider: used,
+  };
+}
+
+/**
+ * Estimate the route of a ride from its coordinates and stops
+ * @param {Object} ride - Ride fields with origin and destination coordinates
+ * @param {Array<Object>} [stops=[]] - Waypoints `[{ lat, lng }]` in driving order
+ * @returns {Promise<Object|null>} Route estimate, or null without coordinates
+ */
+async function estimateRideRoute(ride, stops = []) {
+  const points = [
+    { lat: ride.origin_lat, lng: ride.origin_lng },
+    ...stops,
+    { lat: ride.destination_lat, lng: ride.destination_lng },
+  ].map((point) => ({ lat: parseFloat(point.lat), lng: parseFloat(point.lng) }));
+
+  if (points.some((point) => isNaN(point.lat) || isNaN(point.lng))) {
+    return null;
+  }
+
+  return estimateRoute(points);
+}
+
+/**
+ * Compare a client-supplied distance with the computed one
+ * @param {number} clientKm - Distance sent by the client (may be empty)
+ * @param {number} computedKm - Distance computed by the server
+ * @returns {string} "ok", "flagged" or "rejected"
+ */
+function checkClientDistance(clientKm, computedKm) {
+  const claimed = parseFloat(clientKm);
+
+  if (isNaN(claimed) || !computedKm) {
+    return "ok";
+  }
+
+  const deviation = Math.abs(claimed - computedKm) / computedKm;
+
+  if (deviation > DISTANCE_REJECT_TOLERANCE) {
+    return "rejected";
+  }
+  if (deviation > DISTANCE_FLAG_TOLERANCE) {
+    return "flagged";
+  }
+  return "ok";
+}
+
+/**
+ * Whether a ride has origin and destination coordinates
+ * @param {Object} ride - Ride or series fields
+ * @returns {boolean}
+ */
+function hasRouteCoordinates(ride) {
+  return [ride.origin_lat, ride.origin_lng, ride.destination_lat, ride.destination_lng].every(
+    (value) => value !== null && value !== undefined && !isNaN(parseFloat(value))
+  );
+}
+
+/**
+ * The distance fees and price caps are based on. Only distances computed from
+ * coordinates count; older rides and series without them only have the
+ * client's unverified distance.
+ * @param {Object} ride - Ride or series row
+ * @returns {string|number|null} Distance in kilometers, or null if unverified
+ */
+function verifiedDistance(ride) {
+  return hasRouteCoordinates(ride) ? ride.distance_km : null;
+}
+
+/**
+ * Work out the distance fields stored on a ride from its coordinates. The
+ * client's distance is only compared with the computed one; without
+ * coordinates there is no distance and `missing_coordinates` is set.
+ * @param {Object} ride - Ride fields (coordinates and client distance_km)
+ * @param {Array<Object>} [stops=[]] - Waypoints in driving order
+ * @returns {Promise<Object>} `{ rejected, missing_coordinates, distance_km,
+ *   client_distance_km, distance_flagged, estimated_duration_minutes }`
+ */
+async function resolveRideDistance(ride, stops = []) {
+  const clientKm = ride.distance_km === undefined || ride.distance_km === null || ride.distance_km === ""
+    ? null
+    : parseFloat(ride.distance_km);
+
+  const route = await estimateRideRoute(ride, stops);
+
+  if (!route) {
+    return {
+      rejected: false,
+      missing_coordinates: true,
+      distance_km: null,
+      client_distance_km: clientKm,
+      distance_flagged: true,
+      estimated_duration_minutes: null,
+    };
+  }
+
+  const check = checkClientDistance(clientKm, route.distance_km);
+
+  return {
+    rejected: check === "rejected",
+    missing_coordinates: false,
+    distance_km: route.distance_km,
+    client_distance_km: clientKm,
+    distance_flagged: check === "flagged",
+    estimated_duration_minutes: route.duration_minutes,
+  };
+}
+
+module.exports = {
+  registerProvider,
+  estimateRoute,
+  estimateRideRoute,
+  checkClientDistance,
+  hasRouteCoordinates,
+  verifiedDistance,
+  resolveRideDistance,
+};
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Outgoing SMS with pluggable providers
+ * @module utils/sms
+ *
+ * The provider is selected with SMS_PROVIDER. The built-in "log" provider
+ * prints messages to the console for local development; real gateways are
+ * added with registerProvider(). With NODE_ENV=production the log provider is
+ * refused, so codes never end up in logs.
+ */
+
+const providers = {
+  log: {
+    async send({ to, body }) {
+      console.log(`[sms] To: ${to} - ${body}`);
+    },
+  },
+};
+
+/**
+ * Register an SMS provider
+ * @param {string} name - Provider name used in SMS_PROVIDER
+ * @param {Object} provider - Object with an async send({ to, body }) method
+ */
+function registerProvider(name, provider) {
+  if (!provider || typeof provider.send !== "function") {
+    throw new Error(`SMS provider "${name}" must implement send()`);
+  }
+  providers[name] = provider;
+}
+
+/**
+ * The configured provider
+ * @returns {Object} Provider
+ * @throws {Error} If the provider is unknown, or is the log provider while
+ *   NODE_ENV is production
+ */
+function configuredProvider() {
+  const name = process.env.SMS_PROVIDER || "log";
+
+  if (!providers[name]) {
+    throw new Error(`Unknown SMS provider "${name}"`);
+  }
+
+  if (process.env.NODE_ENV === "production" && name === "log") {
+    throw new Error(
+      'SMS provider "log" does not deliver messages. Set SMS_PROVIDER to a registered gateway.'
+    );
+  }
+
+  return providers[name];
+}
+
+/**
+ * Send a text message through the configured provider
+ * @param {string} to - Phone number in E.164 format
+ * @param {string} body - Message text
+ * @returns {Promise<void>}
+ */
+async function sendSms(to, body) {
+  await configuredProvider().send({ to, body });
+}
+
+module.exports = {
+  registerProvider,
+  configuredProvider,
+  sendSms,
+};
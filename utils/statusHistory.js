@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Booking and ride status history
+ * @module utils/statusHistory
+ *
+ * Database triggers record every status change of a booking or ride and
+ * reject transitions that are not allowed. Who made a change and why is
+ * taken from the transaction, so call setStatusContext before changing
+ * statuses.
+ */
+
+const db = require("../config/database");
+
+const HISTORY_TABLES = {
+  booking: { table: "booking_status_history", column: "booking_id" },
+  ride: { table: "ride_status_history", column: "ride_id" },
+};
+
+/**
+ * Set who is changing statuses in the current transaction, and why. The
+ * settings end with the transaction.
+ * @param {Object} client - Database client inside a transaction
+ * @param {number|null} actorId - Acting user, or null for the system
+ * @param {string} [reason] - Reason recorded with every change
+ * @returns {Promise<void>}
+ */
+async function setStatusContext(client, actorId, reason) {
+  await client.query(
+    `SELECT set_config('tareeqi.actor_id', $1, true),
+            set_config('tareeqi.status_reason', $2, true)`,
+    [actorId ? String(actorId) : "", reason || ""]
+  );
+}
+
+/**
+ * Let status changes in the current transaction reactivate cancelled,
+ * rejected and expired bookings. Only booking a ride again may do that, as it
+ * takes the booking's seats again.
+ * @param {Object} client - Database client inside a transaction
+ * @param {boolean} enabled - Whether reactivation is allowed
+ * @returns {Promise<void>}
+ */
+async function setRebooking(client, enabled) {
+  await client.query("SELECT set_config('tareeqi.rebooking', $1, true)", [
+    enabled ? "on" : "",
+  ]);
+}
+
+/**
+ * Status history of a booking or ride, oldest first
+ * @param {string} type - booking | ride
+ * @param {number} id - Booking or ride ID
+ * @param {Object} [client=db] - Database client
+ * @returns {Promise<Array<Object>>} Changes with the name of who made them
+ */
+async function getStatusHistory(type, id, client = db) {
+  const { table, column } = HISTORY_TABLES[type];
+
+  const result = await client.query(
+    `SELECT h.id, h.old_status, h.new_status, h.reason, h.changed_by,
+            u.full_name as changed_by_name, h.created_at
+     FROM ${table} h
+     LEFT JOIN users u ON h.changed_by = u.id
+     WHERE h.${column} = $1
+     ORDER BY h.created_at, h.id`,
+    [id]
+  );
+
+  return result.rows;
+}
+
+module.exports = {
+  setStatusContext,
+  setRebooking,
+  getStatusHistory,
+};
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview File storage with pluggable backends
+ * @module utils/storage
+ *
+ * The backend is selected with STORAGE_BACKEND. The built-in "local" backend
+ * stores files under UPLOAD_DIR; other backends (e.g. object storage) are
+ * added with registerBackend(). Files are addressed by an opaque key.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const uploadDir = () =>
+  path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, "..", "uploads"));
+
+const backends = {
+  local: {
+    async save(key, buffer) {
+      const filePath = path.join(uploadDir(), key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+    async read(key) {
+      const root = uploadDir();
+      const filePath = path.resolve(root, key);
+      if (!filePath.startsWith(root + path.sep)) {
+        throw new Error("Invalid storage key");
+      }
+      return fs.promises.readFile(filePath);
+    },
+    async remove(key) {
+      await fs.promises.rm(path.join(uploadDir(), key), { force: true });
+    },
+  },
+};
+
+const getBackend = () => {
+  const name = process.env.STORAGE_BACKEND || "local";
+  if (!backends[name]) {
+    throw new Error(`Unknown storage backend "${name}"`);
+  }
+  return backends[name];
+};
+
+/**
+ * Register a storage backend
+ * @param {string} name - Backend name used in STORAGE_BACKEND
+ * @param {Object} backend - Object with async save(key, buffer), read(key) and remove(key)
+ */
+function registerBackend(name, backend) {
+  for (const method of ["save", "read", "remove"]) {
+    if (!backend || typeof backend[method] !== "function") {
+      throw new Error(`Storage backend "${name}" must implement ${method}()`);
+    }
+  }
+  backends[name] = backend;
+}
+
+/**
+ * Store a file under a new random key
+ * @param {string} folder - Key prefix (e.g. "driver-documents/12")
+ * @param {Buffer} buffer - File contents
+ * @param {string} extension - File extension including the dot
+ * @returns {Promise<string>} Storage key
+ */
+async function saveFile(folder, buffer, extension) {
+  const key = `${folder}/${crypto.randomUUID()}${extension}`;
+  await getBackend().save(key, buffer);
+  return key;
+}
+
+/**
+ * Read a stored file
+ * @param {string} key - Storage key
+ * @returns {Promise<Buffer>} File contents
+ */
+async function readFile(key) {
+  return getBackend().read(key);
+}
+
+/**
+ * Delete a stored file
+ * @param {string} key - Storage key
+ * @returns {Promise<void>}
+ */
+async function deleteFile(key) {
+  return getBackend().remove(key);
+}
+
+module.exports = {
+  registerBackend,
+  saveFile,
+  readFile,
+  deleteFile,
+};
@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Jordan (Asia/Amman) time handling
+ * @module utils/time
+ *
+ * Ride and booking times are stored as TIMESTAMPTZ. Client input follows one
+ * rule: a value with a zone ("Z" or "+03:00") is taken as that instant, and a
+ * value without one ("2026-01-06T07:30") is Amman local time. Responses carry
+ * the UTC value plus a `*_local` copy in Amman time.
+ */
+
+const TIME_ZONE = "Asia/Amman";
+
+// Ride time columns that get a `*_local` copy in responses
+const LOCAL_TIME_FIELDS = ["departure_time", "estimated_arrival_time"];
+
+const LOCAL_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?$/;
+const ZONED_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i;
+
+const formatter = new Intl.DateTimeFormat("en-CA", {
+  timeZone: TIME_ZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+  hourCycle: "h23",
+});
+
+/**
+ * Amman wall-clock parts of an instant
+ * @param {Date} date - Instant
+ * @returns {Object} `{ date, time, seconds, dayOfWeek, offsetMinutes }` with
+ *   date as "YYYY-MM-DD" and time as "HH:MM"
+ */
+function localParts(date) {
+  const parts = Object.fromEntries(
+    formatter.formatToParts(date).map((part) => [part.type, part.value])
+  );
+  const localAsUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    seconds: parts.second,
+    dayOfWeek: new Date(localAsUtc).getUTCDay(),
+    offsetMinutes: Math.round((localAsUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000),
+  };
+}
+
+/**
+ * Interpret a client-supplied date and time
+ * @param {string|Date} value - ISO date and time, with or without a zone
+ * @returns {Date|null} The instant, or null if the value is not a valid time
+ */
+function parseClientTime(value) {
+  if (value instanceof Date) {
+    return isNaN(value) ? null : value;
+  }
+  if (typeof value !== "string") {
+    return null;
+  }
+
+  if (ZONED_PATTERN.test(value)) {
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+  }
+
+  const match = LOCAL_PATTERN.exec(value);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, second = "00"] = match;
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Shift by the zone offset, then correct once in case the shift crossed a
+  // daylight saving change
+  let date = new Date(wallClock - localParts(new Date(wallClock)).offsetMinutes * 60000);
+  date = new Date(wallClock - localParts(date).offsetMinutes * 60000);
+
+  const local = localParts(date);
+  if (local.date !== `${year}-${month}-${day}` || local.time !== `${hour}:${minute}`) {
+    return null;
+  }
+  return date;
+}
+
+/**
+ * Amman local representation of an instant, e.g. "2026-01-06T07:30:00+03:00"
+ * @param {Date|string|null} value - Instant
+ * @returns {string|null}
+ */
+function toLocalString(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date)) {
+    return null;
+  }
+
+  const local = localParts(date);
+  const sign = local.offsetMinutes < 0 ? "-" : "+";
+  const offset = Math.abs(local.offsetMinutes);
+  const hours = String(Math.floor(offset / 60)).padStart(2, "0");
+  const minutes = String(offset % 60).padStart(2, "0");
+
+  return `${local.date}T${local.time}:${local.seconds}${sign}${hours}:${minutes}`;
+}
+
+/**
+ * Today's date in Amman
+ * @param {Date} [now=new Date()] - Current instant
+ * @returns {string} YYYY-MM-DD
+ */
+function localDateString(now = new Date()) {
+  return localParts(now).date;
+}
+
+/**
+ * Add `*_local` copies of the ride time fields present on a row
+ * @param {Object} row - Database row
+ * @returns {Object} The row with the local fields added
+ */
+function withLocalTimes(row) {
+  if (!row) {
+    return row;
+  }
+
+  const localTimes = {};
+  for (const field of LOCAL_TIME_FIELDS) {
+    if (field in row) {
+      localTimes[`${field}_local`] = toLocalString(row[field]);
+    }
+  }
+  return { ...row, ...localTimes };
+}
+
+module.exports = {
+  TIME_ZONE,
+  localParts,
+  parseClientTime,
+  toLocalString,
+  localDateString,
+  withLocalTimes,
+};
@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Access token signing and server-side refresh token sessions
+ * @module utils/tokens
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const db = require("../config/database");
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * Hash an opaque token for storage (SHA-256, hex encoded)
+ * @param {string} token - Raw token
+ * @returns {string} Hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * Generate a random opaque token
+ * @param {number} [bytes=32] - Number of random bytes
+ * @returns {string} Hex encoded token
+ */
+function generateToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString("hex");
+}
+
+/**
+ * Generate a random numeric verification code
+ * @param {number} [digits=6] - Number of digits
+ * @returns {string} Zero-padded code
+ */
+function generateNumericCode(digits = 6) {
+  return String(crypto.randomInt(0, 10 ** digits)).padStart(digits, "0");
+}
+
+/**
+ * Sign a short-lived access token bound to a session
+ * @param {Object} user - User row (id, email, role)
+ * @param {string} sessionId - Session the token belongs to
+ * @returns {string} Signed JWT
+ */
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { id: user.id, email: user.email, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+}
+
+/**
+ * Store a new refresh token row and build the token pair returned to clients
+ * @param {Object} client - Database client or pool wrapper
+ * @param {Object} user - User row
+ * @param {string} sessionId - Session identifier
+ * @param {Object} [req] - Express request (for user agent / IP)
+ * @returns {Promise<Object>} Token pair and the inserted row id
+ */
+async function issueTokenPair(client, user, sessionId, req) {
+  const refreshToken = generateToken();
+
+  const result = await client.query(
+    `INSERT INTO refresh_tokens (user_id, session_id, token_hash, expires_at, user_agent, ip_address)
+     VALUES ($1, $2, $3, NOW() + ($4 || ' days')::INTERVAL, $5, $6)
+     RETURNING id, expires_at`,
+    [
+      user.id,
+      sessionId,
+      hashToken(refreshToken),
+      String(REFRESH_TOKEN_TTL_DAYS),
+      req ? (req.headers["user-agent"] || "").slice(0, 255) : null,
+      req ? req.ip : null,
+    ]
+  );
+
+  const token = signAccessToken(user, sessionId);
+
+  return {
+    id: result.rows[0].id,
+    tokens: {
+      token,
+      refresh_token: refreshToken,
+      expires_in: jwt.decode(token).exp - Math.floor(Date.now() / 1000),
+      refresh_expires_at: result.rows[0].expires_at,
+    },
+  };
+}
+
+/**
+ * Start a new session for a user (login / registration)
+ * @param {Object} user - User row
+ * @param {Object} [req] - Express request
+ * @param {Object} [client=db] - Database client
+ * @returns {Promise<Object>} Access token, refresh token and expiry info
+ */
+async function createSession(user, req, client = db) {
+  const { tokens } = await issueTokenPair(client, user, crypto.randomUUID(), req);
+  return tokens;
+}
+
+/**
+ * Exchange a refresh token for a new token pair. The presented token is
+ * revoked; presenting an already rotated token revokes the whole session.
+ * @param {string} refreshToken - Raw refresh token
+ * @param {Object} [req] - Express request
+ * @returns {Promise<Object|null>} `{ user, tokens }` or null if the token is not usable
+ */
+async function rotateRefreshToken(refreshToken, req) {
+  const client = await db.pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      `SELECT rt.*, u.email, u.role, u.is_active
+       FROM refresh_tokens rt
+       JOIN users u ON rt.user_id = u.id
+       WHERE rt.token_hash = $1
+       FOR UPDATE OF rt`,
+      [hashToken(refreshToken)]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    const stored = result.rows[0];
+
+    if (stored.revoked_at) {
+      // A rotated token was replayed: assume it leaked and end the session
+      await revokeSession(stored.session_id, client);
+      await client.query("COMMIT");
+      return null;
+    }
+
+    if (new Date(stored.expires_at) <= new Date() || !stored.is_active) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    const user = { id: stored.user_id, email: stored.email, role: stored.role };
+    const issued = await issueTokenPair(client, user, stored.session_id, req);
+
+    await client.query(
+      "UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = $1 WHERE id = $2",
+      [issued.id, stored.id]
+    );
+
+    await client.query("COMMIT");
+
+    return { user, tokens: issued.tokens };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revoke every refresh token of a session
+ * @param {string} sessionId - Session identifier
+ * @param {Object} [client=db] - Database client
+ * @returns {Promise<number>} Number of revoked tokens
+ */
+async function revokeSession(sessionId, client = db) {
+  const result = await client.query(
+    "UPDATE refresh_tokens SET revoked_at = NOW() WHERE session_id = $1 AND revoked_at IS NULL",
+    [sessionId]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Revoke all sessions of a user ("log out all devices")
+ * @param {number} userId - User ID
+ * @param {Object} [client=db] - Database client
+ * @returns {Promise<number>} Number of revoked tokens
+ */
+async function revokeAllSessions(userId, client = db) {
+  const result = await client.query(
+    "UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL",
+    [userId]
+  );
+  return result.rowCount;
+}
+
+module.exports = {
+  hashToken,
+  generateToken,
+  generateNumericCode,
+  signAccessToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+};
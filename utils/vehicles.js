@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Vehicle validation and driver profile synchronisation
+ * @module utils/vehicles
+ */
+
+const db = require("../config/database");
+
+const FUEL_TYPES = ["petrol", "diesel", "electric", "hybrid"];
+
+/**
+ * Validate vehicle fields
+ * @param {Object} data - Vehicle fields from the request body
+ * @param {boolean} [partial=false] - Only validate fields that are present (updates)
+ * @returns {string[]} Validation errors
+ */
+function validateVehicle(data, partial = false) {
+  const errors = [];
+  const required = ["make", "model", "year", "color", "plate_number", "seats"];
+
+  if (!partial) {
+    for (const field of required) {
+      if (data[field] === undefined || data[field] === null || data[field] === "") {
+        errors.push(`${field} is required`);
+      }
+    }
+  }
+
+  if (data.year !== undefined) {
+    const year = parseInt(data.year);
+    if (isNaN(year) || year < 1980 || year > new Date().getFullYear() + 1) {
+      errors.push("Year is invalid");
+    }
+  }
+
+  if (data.seats !== undefined) {
+    const seats = parseInt(data.seats);
+    if (isNaN(seats) || seats < 1 || seats > 8) {
+      errors.push("Seats must be between 1 and 8");
+    }
+  }
+
+  if (data.fuel_type !== undefined && !FUEL_TYPES.includes(data.fuel_type)) {
+    errors.push(`Fuel type must be one of: ${FUEL_TYPES.join(", ")}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Copy the default vehicle's details onto the legacy car columns of the
+ * driver profile, which older clients still read
+ * @param {Object} client - Database client
+ * @param {number} userId - Driver user ID
+ * @returns {Promise<void>}
+ */
+async function syncProfileWithDefaultVehicle(client, userId) {
+  await client.query(
+    `UPDATE driver_profiles dp
+     SET car_make = v.make, car_model = v.model, car_year = v.year,
+         car_color = v.color, car_plate_number = v.plate_number, car_seats = v.seats
+     FROM vehicles v
+     WHERE dp.user_id = $1 AND v.driver_id = dp.user_id
+       AND v.is_default = TRUE AND v.is_active = TRUE`,
+    [userId]
+  );
+}
+
+/**
+ * Find the vehicle a new ride will use: the selected one if given, otherwise
+ * the driver's default vehicle
+ * @param {number} driverId - Driver user ID
+ * @param {number} [vehicleId] - Selected vehicle ID
+ * @param {Object} [client=db] - Database client
+ * @returns {Promise<Object|null>} Active vehicle owned by the driver, or null
+ */
+async function findRideVehicle(driverId, vehicleId, client = db) {
+  const result = vehicleId
+    ? await client.query(
+        "SELECT * FROM vehicles WHERE id = $1 AND driver_id = $2 AND is_active = TRUE",
+        [vehicleId, driverId]
+      )
+    : await client.query(
+        "SELECT * FROM vehicles WHERE driver_id = $1 AND is_default = TRUE AND is_active = TRUE",
+        [driverId]
+      );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Check a fuel type sent for a ride against the ride's vehicle. Rides use
+ * their vehicle's fuel type, which the fuel fee is based on.
+ * @param {string} [fuelType] - Fuel type from the request body
+ * @param {Object} vehicle - The ride's vehicle
+ * @returns {string|null} Error message, or null if it matches or was not sent
+ */
+function fuelTypeError(fuelType, vehicle) {
+  if (fuelType && vehicle.fuel_type && fuelType !== vehicle.fuel_type) {
+    return `Fuel type must match the vehicle's (${vehicle.fuel_type})`;
+  }
+  return null;
+}
+
+module.exports = {
+  FUEL_TYPES,
+  validateVehicle,
+  syncProfileWithDefaultVehicle,
+  findRideVehicle,
+  fuelTypeError,
+};
@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Ride waitlists: seat offers to waiting passengers and their expiry
+ * @module utils/waitlist
+ *
+ * waiting -> offered -> accepted | declined | expired
+ * waiting | offered -> cancelled
+ */
+
+const db = require("../config/database");
+const { segmentAvailableSeats, refreshAvailableSeats } = require("./rideStops");
+
+// How long a waitlisted passenger has to accept offered seats
+const WAITLIST_OFFER_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES) || 15;
+
+/**
+ * Offer free seats of a ride to waiting passengers, in the order they joined.
+ * Entries that need more seats than are free on their segment keep their
+ * place, and later entries that fit are offered seats first. Offered seats
+ * are held for the passenger until the offer expires.
+ * @param {Object} client - Database client inside a transaction
+ * @param {number} rideId - Ride ID
+ * @returns {Promise<number>} Number of offers made
+ */
+async function offerFreedSeats(client, rideId) {
+  const rideResult = await client.query(
+    "SELECT * FROM rides WHERE id = $1 FOR UPDATE",
+    [rideId]
+  );
+  const ride = rideResult.rows[0];
+
+  if (!ride || ride.status !== "scheduled" || new Date(ride.departure_time) <= new Date()) {
+    return 0;
+  }
+
+  const waiting = await client.query(
+    `SELECT * FROM ride_waitlist
+     WHERE ride_id = $1 AND status = 'waiting'
+     ORDER BY created_at, id`,
+    [rideId]
+  );
+
+  let offers = 0;
+
+  for (const entry of waiting.rows) {
+    const seats = await segmentAvailableSeats(
+      client,
+      ride,
+      entry.boarding_stop_order,
+      entry.alighting_stop_order
+    );
+
+    if (seats < entry.seats_requested) {
+      continue;
+    }
+
+    // Offers never outlast departure
+    await client.query(
+      `UPDATE ride_waitlist
+       SET status = 'offered', offered_at = CURRENT_TIMESTAMP,
+           offer_expires_at = LEAST(NOW() + $1::int * INTERVAL '1 minute', $2::timestamptz)
+       WHERE id = $3`,
+      [WAITLIST_OFFER_MINUTES, ride.departure_time, entry.id]
+    );
+    offers++;
+  }
+
+  if (offers > 0) {
+    await refreshAvailableSeats(client, rideId);
+  }
+
+  return offers;
+}
+
+/**
+ * Expire seat offers that were not accepted in time and pass their seats on
+ * to the next passengers in line. Entries on rides that departed or are no
+ * longer scheduled expire as well.
+ * @returns {Promise<Object>} Counts of expired entries and offers made
+ */
+async function expireWaitlistOffers() {
+  const due = await db.query(
+    `SELECT DISTINCT w.ride_id
+     FROM ride_waitlist w
+     JOIN rides r ON w.ride_id = r.id
+     WHERE (w.status = 'offered' AND w.offer_expires_at <= NOW())
+        OR (w.status IN ('waiting', 'offered')
+            AND (r.status != 'scheduled' OR r.departure_time <= NOW()))`
+  );
+
+  let offersExpired = 0;
+  let offersMade = 0;
+  let entriesClosed = 0;
+
+  // One transaction per ride that locks the ride before its waitlist, like
+  // bookings do, so a failing ride does not hold up the others
+  for (const { ride_id } of due.rows) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const rideResult = await client.query(
+        `SELECT id, status != 'scheduled' OR departure_time <= NOW() as closed
+         FROM rides WHERE id = $1 FOR UPDATE`,
+        [ride_id]
+      );
+
+      if (rideResult.rows[0].closed) {
+        const closed = await client.query(
+          `UPDATE ride_waitlist SET status = 'expired'
+           WHERE ride_id = $1 AND status IN ('waiting', 'offered')`,
+          [ride_id]
+        );
+        await client.query("COMMIT");
+        entriesClosed += closed.rowCount;
+        continue;
+      }
+
+      const expired = await client.query(
+        `UPDATE ride_waitlist SET status = 'expired'
+         WHERE ride_id = $1 AND status = 'offered' AND offer_expires_at <= NOW()`,
+        [ride_id]
+      );
+
+      let offers = 0;
+      if (expired.rowCount > 0) {
+        offers = await offerFreedSeats(client, ride_id);
+        await refreshAvailableSeats(client, ride_id);
+      }
+
+      await client.query("COMMIT");
+
+      offersExpired += expired.rowCount;
+      offersMade += offers;
+    } catch (error) {
+      await client.query("ROLLBACK");
+      console.error(`Failed to expire waitlist offers of ride ${ride_id}:`, error);
+    } finally {
+      client.release();
+    }
+  }
+
+  return {
+    offers_expired: offersExpired,
+    offers_made: offersMade,
+    entries_closed: entriesClosed,
+  };
+}
+
+module.exports = {
+  WAITLIST_OFFER_MINUTES,
+  offerFreedSeats,
+  expireWaitlistOffers,
+};